@@ -11,6 +11,8 @@ import { AuthProvider } from "./contexts/AuthContext";
 import { ConnectivityProvider } from "./contexts/ConnectivityContext";
 import { NotificationProvider } from "./contexts/NotificationContext";
 import WebViewHandler from "./components/WebViewHandler";
+import SimulatedLocationPanel from "./components/SimulatedLocationPanel";
+import { isLocationSimulationAvailable } from "./services/locationService";
 import { useEffect } from "react";
 import { isRunningInWebView } from "./utils/mobileCompatibility";
 
@@ -37,6 +39,7 @@ const App = () => {
               <WebViewHandler>
                 <Toaster />
                 <Sonner />
+                {isLocationSimulationAvailable() && <SimulatedLocationPanel />}
                 <BrowserRouter>
                   <Routes>
                     <Route path="/login" element={<Login />} />
@@ -1,40 +1,95 @@
-import { useState, useEffect, useContext } from "react";
+import { useState, useEffect, useContext, useMemo } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
-import { ArrowLeft, MapPin, Clock, Car, DollarSign, X, AlertCircle, History, ChevronDown, ChevronUp, User, Timer, Route, Navigation, Wifi, WifiOff } from "lucide-react";
+import { ArrowLeft, MapPin, Clock, Car, DollarSign, X, AlertCircle, User, Timer, TimerOff, Route, Navigation, Wifi, WifiOff } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import { useConnectivity } from "@/contexts/ConnectivityContext";
 import { isAndroidDevice, applyAndroidOptimizations } from "@/utils/deviceUtils";
 import DestinationInput from "./DestinationInput";
-import { createRideRequest, listenToRideRequest, cancelRideRequest, RideRequest, Location, checkCustomerHasActiveRide, listenToUserRides } from "@/services/firebaseService";
-import { formatTravelTime } from "@/utils/distanceCalculator";
+import { createRideRequest, listenToRideRequest, RideRequest, Location, checkCustomerHasActiveRide } from "@/services/firebaseService";
+import { transitionRide } from "@/services/rideLifecycle";
+import { calculateDistance, formatTravelTime } from "@/utils/distanceCalculator";
 import { formatPrice } from "@/utils/priceCalculator";
+import { calculateFare, compareOfferToFare, getFareRange, getOfferDifference } from "@/utils/fareEngine";
+import { useFareRules } from "@/hooks/use-fare-rules";
+import { useRoute } from "@/hooks/use-route";
 import { Input } from "@/components/ui/input";
 import { useAuth } from "@/contexts/AuthContext";
 import NotificationCenter from "@/components/notifications/NotificationCenter";
+import FareBreakdown from "./FareBreakdown";
+import RideOffersPanel from "./RideOffersPanel";
+import CustomerRideHistory from "./CustomerRideHistory";
+import RideRatingForm from "./RideRatingForm";
+import UserRatingBadge from "./UserRatingBadge";
+import RideChat from "./RideChat";
+import NearbyDriversMap from "./NearbyDriversMap";
+import { hasRideChat } from "@/services/chatService";
 import { createRideUpdateNotificationForCustomer } from "@/services/notificationService";
+import { useLocation } from "@/hooks/use-location";
+import { useDispatchSettings } from "@/hooks/use-dispatch-settings";
+import { useRideDispatch } from "@/hooks/use-ride-dispatch";
+import { createRideDispatch } from "@/utils/dispatchEngine";
+import { useRequestExpiry, useRequestExpirySettings } from "@/hooks/use-request-expiry";
+import { expireRideRequest } from "@/services/requestExpiryService";
+import { getRequestExpiresAt, getRerequestPrice, isRideRequestExpired, RIDE_EXPIRY_MESSAGES } from "@/utils/requestExpiry";
 
 interface CustomerInterfaceProps {
   onBack: () => void;
 }
 
 const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
-  const [currentLocation, setCurrentLocation] = useState<Location | null>(null);
   const [selectedDestination, setSelectedDestination] = useState<{ location: Location; address: string } | null>(null);
   const [activeRide, setActiveRide] = useState<RideRequest | null>(null);
   const [currentRideId, setCurrentRideId] = useState<string | null>(null);
   const [manualPrice, setManualPrice] = useState<string>("");
+  const [isPriceEdited, setIsPriceEdited] = useState(false);
   const [isCancelling, setIsCancelling] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [userRides, setUserRides] = useState<RideRequest[]>([]);
-  const [showPastRides, setShowPastRides] = useState(false);
   const [loading, setLoading] = useState(true);
   const [isAndroid, setIsAndroid] = useState<boolean>(false);
   const { toast } = useToast();
   const { currentUser } = useAuth();
   const { isOnline, hasLocationPermission, requestLocationPermission } = useConnectivity();
+  const { location: currentLocation, error: locationError } = useLocation('idle');
+  const fareRules = useFareRules();
+  const dispatchSettings = useDispatchSettings();
+  // While dispatch is on, this app offers the ride to one driver after another
+  const dispatchOffer = useRideDispatch(activeRide);
+  const expirySettings = useRequestExpirySettings();
+  // Requests nobody takes in time expire instead of blocking new ones
+  useRequestExpiry(activeRide);
+
+  // Road route for the selected trip, so the fare follows the distance actually driven
+  const { route: tripRoute } = useRoute(currentLocation, selectedDestination?.location ?? null);
+
+  // Itemized fare for the selected trip, from the configured fare rules.
+  // Uses a straight line until the route arrives.
+  const fareEstimate = useMemo(() => {
+    if (!currentLocation || !selectedDestination) return null;
+    return calculateFare(tripRoute ? {
+      distanceMiles: tripRoute.distanceMiles,
+      durationMinutes: tripRoute.durationMinutes,
+    } : {
+      distanceMiles: calculateDistance(currentLocation, selectedDestination.location),
+    }, fareRules);
+  }, [currentLocation, selectedDestination, tripRoute, fareRules]);
+
+  const fareRange = useMemo(
+    () => (fareEstimate ? getFareRange(fareEstimate.total, fareRules) : null),
+    [fareEstimate, fareRules]
+  );
+
+  // Pre-fill the offer with the suggested fare until the customer types their own
+  useEffect(() => {
+    if (fareRange && !isPriceEdited) {
+      setManualPrice(fareRange.suggested.toFixed(2));
+    }
+  }, [fareRange, isPriceEdited]);
+
+  const offeredPrice = parseFloat(manualPrice);
+  const offerComparison = fareRange && offeredPrice > 0 ? compareOfferToFare(offeredPrice, fareRange) : null;
 
   // Effect to detect Android device and apply optimizations
   useEffect(() => {
@@ -124,37 +179,16 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
     }
   }, [currentUser, toast]);
 
-  // Effect to listen to all user rides (active and past)
-  useEffect(() => {
-    if (!currentUser) return;
-    
-    const unsubscribe = listenToUserRides((rides) => {
-      setUserRides(rides);
-    });
-    
-    return unsubscribe;
-  }, [currentUser]);
-
+  // Report location errors from the location service
   useEffect(() => {
-    // Get current location
-    if (navigator.geolocation) {
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          setCurrentLocation({
-            latitude: position.coords.latitude,
-            longitude: position.coords.longitude,
-          });
-        },
-        () => {
-          toast({
-            title: "Location Error",
-            description: "Could not get your current location. Please enable location services.",
-            variant: "destructive",
-          });
-        }
-      );
+    if (locationError) {
+      toast({
+        title: "Location Error",
+        description: "Could not get your current location. Please enable location services.",
+        variant: "destructive",
+      });
     }
-  }, [toast]);
+  }, [locationError, toast]);
 
   // Listen to active ride updates
   useEffect(() => {
@@ -255,7 +289,16 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
     }
     
     // Check if user already has an active ride
-    const existingRide = await checkCustomerHasActiveRide();
+    let existingRide = await checkCustomerHasActiveRide();
+    if (existingRide && isRideRequestExpired(existingRide)) {
+      // It ran out of time while the app was closed, so it no longer counts
+      try {
+        await expireRideRequest(existingRide);
+        existingRide = null;
+      } catch (error) {
+        console.error('Error expiring ride request:', error);
+      }
+    }
     if (existingRide) {
       toast({
         title: "Active Ride Exists",
@@ -306,6 +349,9 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
         destinationLocation: selectedDestination.location,
         destinationAddress: selectedDestination.address,
         estimatedPrice: customerPrice,
+        suggestedPrice: fareRange?.suggested,
+        expiresAt: getRequestExpiresAt(expirySettings),
+        ...(dispatchSettings.enabled ? { dispatch: createRideDispatch() } : {}),
       });
 
       if (rideId) {
@@ -326,11 +372,45 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
     }
   };
 
+  // Request an expired ride again, with the same trip and the given price
+  const requestAgain = async (price: number) => {
+    if (!activeRide || activeRide.status !== 'expired' || isSubmitting) return;
+    
+    setIsSubmitting(true);
+    try {
+      const rideId = await createRideRequest({
+        pickupLocation: activeRide.pickupLocation,
+        pickupAddress: activeRide.pickupAddress,
+        destinationLocation: activeRide.destinationLocation,
+        destinationAddress: activeRide.destinationAddress,
+        estimatedPrice: price,
+        suggestedPrice: activeRide.suggestedPrice,
+        expiresAt: getRequestExpiresAt(expirySettings),
+        ...(dispatchSettings.enabled ? { dispatch: createRideDispatch() } : {}),
+      });
+      
+      setCurrentRideId(rideId);
+      toast({
+        title: "Ride Requested Again",
+        description: `Your offered price: ${formatPrice(price)}. Looking for nearby drivers...`,
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: "Failed to request ride. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   const resetRide = () => {
     setActiveRide(null);
     setCurrentRideId(null);
     setSelectedDestination(null);
     setManualPrice("");
+    setIsPriceEdited(false);
   };
 
   // Function to cancel a ride request
@@ -339,14 +419,15 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
     
     setIsCancelling(true);
     try {
-      const result = await cancelRideRequest(activeRide.id);
+      await transitionRide(activeRide.id, 'cancel', {
+        expectedStatus: 'pending',
+        expectedRevision: activeRide.revision || 0,
+      });
       
-      if (result.success) {
-        toast({
-          title: "Ride Cancelled",
-          description: "Your ride request has been cancelled.",
-        });
-      }
+      toast({
+        title: "Ride Cancelled",
+        description: "Your ride request has been cancelled.",
+      });
     } catch (error: any) {
       toast({
         title: "Error",
@@ -372,6 +453,8 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
         return 'Trip completed';
       case 'cancelled':
         return 'Ride cancelled';
+      case 'expired':
+        return 'Request expired';
       default:
         return '';
     }
@@ -394,6 +477,8 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
         return 'default';
       case 'cancelled':
         return 'destructive';
+      case 'expired':
+        return 'secondary';
       default:
         return 'secondary';
     }
@@ -458,6 +543,11 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
           </CardContent>
         </Card>
 
+        {/* Show who's around before requesting, and while waiting for a driver */}
+        {(!activeRide || activeRide.status === 'pending') && (activeRide?.pickupLocation || currentLocation) && (
+          <NearbyDriversMap center={activeRide?.pickupLocation || currentLocation} />
+        )}
+
         {/* Only show destination selection when there's no active ride */}
         {!activeRide && (
           <Card className="border-0 shadow-md overflow-hidden">
@@ -469,14 +559,20 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
             </CardHeader>
             <CardContent className="p-4 pt-5">
               <DestinationInput
-                onDestinationSelected={(location, address) => 
-                  setSelectedDestination({ location, address })
-                }
+                onDestinationSelected={(location, address) => {
+                  setSelectedDestination({ location, address });
+                  setIsPriceEdited(false);
+                }}
                 selectedDestination={selectedDestination}
               />
 
               {selectedDestination && (
                 <div className="space-y-5 mt-6">
+                  {fareEstimate && (
+                    <div className="bg-gray-50 p-4 rounded-lg border border-gray-100">
+                      <FareBreakdown breakdown={fareEstimate} />
+                    </div>
+                  )}
                   <div className="bg-blue-50 p-4 rounded-lg border border-blue-100">
                     <label htmlFor="price" className="block text-sm font-semibold text-blue-800 mb-2 flex items-center gap-2">
                       <div className="bg-blue-100 p-1 rounded-full">
@@ -493,12 +589,41 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
                         type="number"
                         placeholder="Enter your offer"
                         value={manualPrice}
-                        onChange={(e) => setManualPrice(e.target.value)}
+                        onChange={(e) => {
+                          setManualPrice(e.target.value);
+                          setIsPriceEdited(true);
+                        }}
                         className="pl-9 border-blue-200 focus:border-blue-400 focus:ring-blue-400"
                         min="0.01"
                         step="0.01"
                       />
                     </div>
+                    {fareRange && (
+                      <div className="flex items-center justify-between mt-2 text-xs text-blue-700">
+                        <span>
+                          Typical fare: {formatPrice(fareRange.low)} – {formatPrice(fareRange.high)}
+                        </span>
+                        {offeredPrice !== fareRange.suggested && (
+                          <Button
+                            variant="link"
+                            size="sm"
+                            className="h-auto p-0 text-xs"
+                            onClick={() => {
+                              setManualPrice(fareRange.suggested.toFixed(2));
+                              setIsPriceEdited(false);
+                            }}
+                          >
+                            Use suggested {formatPrice(fareRange.suggested)}
+                          </Button>
+                        )}
+                      </div>
+                    )}
+                    {offerComparison === 'lowball' && (
+                      <p className="flex items-center gap-1 mt-2 text-xs text-amber-700">
+                        <AlertCircle className="h-3 w-3" />
+                        Your offer is {Math.round(-getOfferDifference(offeredPrice, fareRange) * 100)}% below the suggested fare. Drivers may not accept it.
+                      </p>
+                    )}
                   </div>
                   <Button
                     className="w-full bg-gradient-to-r from-blue-600 to-indigo-700 hover:from-blue-700 hover:to-indigo-800 text-white shadow-md hover:shadow-lg transition-all border-0 py-6"
@@ -570,12 +695,44 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
                   <div className="bg-blue-100 p-1 rounded-full">
                     <DollarSign className="w-4 h-4 text-blue-600" />
                   </div>
-                  Estimated Cost
+                  {activeRide.agreedFare !== undefined ? 'Agreed Fare' : 'Estimated Cost'}
+                </h3>
+                <span className="font-bold text-green-600">{formatPrice(activeRide.agreedFare ?? activeRide.estimatedPrice)}</span>
+              </div>
+            )}
+
+            {activeRide?.status === 'pending' && activeRide.dispatch?.status === 'offering' && (
+              <div className="flex justify-between py-3 items-center">
+                <h3 className="font-medium text-blue-900 flex items-center gap-2">
+                  <div className="bg-blue-100 p-1 rounded-full">
+                    <Car className="w-4 h-4 text-blue-600" />
+                  </div>
+                  Matching
                 </h3>
-                <span className="font-bold text-green-600">{formatPrice(activeRide.estimatedPrice)}</span>
+                <span className="text-blue-700 text-sm text-right max-w-[200px]">
+                  {dispatchOffer
+                    ? `Offered to a nearby driver (${Object.keys(activeRide.dispatch.passed || {}).length + 1} of up to ${dispatchSettings.maxOffers})`
+                    : 'Finding the best driver for you...'}
+                </span>
               </div>
             )}
 
+            {activeRide?.status === 'pending' && activeRide.expiresAt && (
+              <div className="flex justify-between py-3 items-center">
+                <h3 className="font-medium text-blue-900 flex items-center gap-2">
+                  <div className="bg-blue-100 p-1 rounded-full">
+                    <Timer className="w-4 h-4 text-blue-600" />
+                  </div>
+                  Expires
+                </h3>
+                <span className="text-blue-700 text-sm">{new Date(activeRide.expiresAt).toLocaleTimeString()}</span>
+              </div>
+            )}
+
+            {activeRide?.status === 'pending' && activeRide.id && (
+              <RideOffersPanel ride={activeRide} />
+            )}
+
             {activeRide?.status === 'started' && (
               <>
                 <div className="flex justify-between py-3 items-center">
@@ -622,7 +779,7 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
                     <p className="text-green-700 flex items-center gap-2">
                       <DollarSign className="w-4 h-4 text-green-600" />
                       <span className="font-medium">Final cost:</span> 
-                      <span className="font-bold">{formatPrice(activeRide.estimatedPrice)}</span>
+                      <span className="font-bold">{formatPrice(activeRide.settledAmount ?? activeRide.agreedFare ?? activeRide.estimatedPrice ?? 0)}</span>
                     </p>
                     <p className="text-green-700 flex items-center gap-2">
                       <MapPin className="w-4 h-4 text-green-600" />
@@ -630,6 +787,14 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
                       <span>{activeRide.destinationAddress}</span>
                     </p>
                   </div>
+                  <div className="mt-4 bg-white p-3 rounded-lg border border-green-100">
+                    <RideRatingForm ride={activeRide} />
+                  </div>
+                  {hasRideChat(activeRide) && (
+                    <div className="mt-3">
+                      <RideChat ride={activeRide} />
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -650,7 +815,38 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
               </div>
             )}
             
-            {activeRide && activeRide.status !== 'completed' && activeRide.status !== 'cancelled' && (
+            {activeRide?.status === 'expired' && (
+              <div className="py-3">
+                <div className="p-5 bg-gradient-to-r from-amber-50 to-orange-50 rounded-xl border border-amber-200 shadow-sm space-y-4">
+                  <div className="flex items-center gap-3">
+                    <div className="bg-amber-100 p-2 rounded-full">
+                      <TimerOff className="w-5 h-5 text-amber-600" />
+                    </div>
+                    <div>
+                      <h3 className="font-bold text-lg text-amber-800">Request Expired</h3>
+                      <p className="text-amber-700 text-sm mt-1">
+                        {RIDE_EXPIRY_MESSAGES[activeRide.expiryReason || 'notAccepted']}
+                      </p>
+                    </div>
+                  </div>
+                  {activeRide.estimatedPrice !== undefined && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <Button variant="outline" onClick={() => requestAgain(activeRide.estimatedPrice)} disabled={isSubmitting}>
+                        Request Again
+                      </Button>
+                      <Button onClick={() => requestAgain(getRerequestPrice(activeRide.estimatedPrice, expirySettings))} disabled={isSubmitting}>
+                        Offer {formatPrice(getRerequestPrice(activeRide.estimatedPrice, expirySettings))}
+                      </Button>
+                    </div>
+                  )}
+                  <Button variant="ghost" className="w-full" onClick={resetRide}>
+                    Change Trip
+                  </Button>
+                </div>
+              </div>
+            )}
+            
+            {activeRide && activeRide.status !== 'completed' && activeRide.status !== 'cancelled' && activeRide.status !== 'expired' && (
               <div className="py-3">
                 <div className="p-4 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl border border-blue-200 shadow-sm space-y-3">
                     <div className="flex items-center justify-between">
@@ -671,11 +867,16 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
                         </div>
                         <div className="flex-1">
                           <p className="font-medium text-sm">{activeRide.driverName}</p>
-                          <p className="text-xs text-gray-500">Your driver</p>
+                          <p className="text-xs text-gray-500 flex items-center gap-2">
+                            Your driver
+                            <UserRatingBadge userId={activeRide.driverId} role="driver" />
+                          </p>
                         </div>
                       </div>
                     )}
                     
+                    {hasRideChat(activeRide) && <RideChat ride={activeRide} />}
+                    
                     {/* Estimated time and distance to pickup - shown only when driver is en route */}
                     {activeRide.status === 'accepted' && activeRide.estimatedTimeToPickup !== undefined && (
                       <div className="bg-white p-3 rounded-md border border-blue-100 space-y-2">
@@ -766,82 +967,13 @@ const CustomerInterface = ({ onBack }: CustomerInterfaceProps) => {
         </Card>
 
         {/* Ride History Section */}
-        <Card>
-          <CardHeader className="pb-3">
-            <div className="flex justify-between items-center">
-              <CardTitle className="flex items-center gap-2">
-                <History className="w-5 h-5" />
-                Your Ride Requests
-              </CardTitle>
-              <Button 
-                variant="ghost" 
-                size="sm" 
-                className="h-8 px-2" 
-                onClick={() => setShowPastRides(!showPastRides)}
-              >
-                {showPastRides ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
-              </Button>
-            </div>
-          </CardHeader>
-          {showPastRides && (
-            <CardContent>
-              {userRides.length === 0 ? (
-                <p className="text-center text-gray-500 py-4">No ride history found</p>
-              ) : (
-                <div className="space-y-3 max-h-96 overflow-y-auto pr-1">
-                  {userRides
-                    .sort((a, b) => b.requestTime - a.requestTime) // Sort by most recent first
-                    .map(ride => (
-                      <div 
-                        key={ride.id} 
-                        className={`border rounded-lg p-3 ${ride.status === 'pending' || ride.status === 'accepted' || ride.status === 'started' ? 'border-blue-200 bg-blue-50' : ''}`}
-                      >
-                        <div className="flex justify-between items-start mb-2">
-                          <div>
-                            <p className="text-sm font-medium">
-                              {new Date(ride.requestTime).toLocaleString()}
-                            </p>
-                            <p className="text-xs text-gray-600">
-                              {ride.destinationAddress}
-                            </p>
-                          </div>
-                          <Badge variant={getStatusColor(ride.status)}>
-                            {ride.status.charAt(0).toUpperCase() + ride.status.slice(1)}
-                          </Badge>
-                        </div>
-                        <div className="text-sm">
-                          <div className="flex justify-between">
-                            <span>Price:</span>
-                            <span className="font-medium">{formatPrice(ride.estimatedPrice || 0)}</span>
-                          </div>
-                          {ride.calculatedMileage > 0 && (
-                            <div className="flex justify-between">
-                              <span>Distance:</span>
-                              <span>{ride.calculatedMileage.toFixed(2)} miles</span>
-                            </div>
-                          )}
-                          {ride.status === 'pending' && currentRideId !== ride.id && (
-                            <Button 
-                              size="sm" 
-                              variant="outline" 
-                              className="w-full mt-2"
-                              onClick={() => {
-                                setCurrentRideId(ride.id);
-                                setActiveRide(ride);
-                              }}
-                            >
-                              View Details
-                            </Button>
-                          )}
-                        </div>
-                      </div>
-                    ))
-                  }
-                </div>
-              )}
-            </CardContent>
-          )}
-        </Card>
+        <CustomerRideHistory
+          currentRideId={currentRideId}
+          onViewRide={(ride) => {
+            setCurrentRideId(ride.id);
+            setActiveRide(ride);
+          }}
+        />
       </div>
     </div>
   );
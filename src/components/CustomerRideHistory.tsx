@@ -0,0 +1,266 @@
+import { useMemo, useState } from "react";
+import { endOfDay, startOfDay } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ChevronDown, ChevronUp, Download, History, Search } from "lucide-react";
+import { fetchUserRidesPage, listenToLatestUserRides, RideRequest } from "@/services/firebaseService";
+import { usePagedList } from "@/hooks/use-paged-list";
+import { useToast } from "@/hooks/use-toast";
+import { formatPrice } from "@/utils/priceCalculator";
+import { downloadRidesCsv, filterRides, getMonthlySpend, getRideCost, RideStatusFilter } from "@/utils/rideHistory";
+import RideReceipt from "./RideReceipt";
+import RideTimeline from "./RideTimeline";
+import RideRatingDialog from "./RideRatingDialog";
+import LoadMoreTrigger from "./LoadMoreTrigger";
+
+interface CustomerRideHistoryProps {
+  currentRideId: string | null;
+  onViewRide: (ride: RideRequest) => void;
+}
+
+const STATUS_OPTIONS: { value: RideStatusFilter; label: string }[] = [
+  { value: 'all', label: 'All statuses' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'accepted', label: 'Accepted' },
+  { value: 'started', label: 'Started' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'expired', label: 'Expired' },
+];
+
+const isActiveStatus = (status: RideRequest['status']) =>
+  status === 'pending' || status === 'accepted' || status === 'started';
+
+// Parse the value of a date input as a local date
+const parseDateInput = (value: string): Date | undefined => {
+  if (!value) return undefined;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Customer's past rides with search, filters, monthly spend and CSV export.
+// Rides are loaded a page at a time; the date range is applied by the query.
+const CustomerRideHistory = ({ currentRideId, onViewRide }: CustomerRideHistoryProps) => {
+  const { toast } = useToast();
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState<RideStatusFilter>('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const from = parseDateInput(fromDate);
+  const to = parseDateInput(toDate);
+  const fromTime = from ? startOfDay(from).getTime() : undefined;
+  const toTime = to ? endOfDay(to).getTime() : undefined;
+
+  const { items: rides, hasMore, isLoading, isLoadingMore, error, loadMore, loadAll } = usePagedList<RideRequest>({
+    enabled: isOpen,
+    listenToLatest: (callback) => listenToLatestUserRides({ from: fromTime, to: toTime }, callback),
+    fetchOlder: (oldest) => fetchUserRidesPage(oldest, { from: fromTime }),
+    getTime: (ride) => ride.requestTime,
+  }, [fromTime, toTime]);
+
+  // The query already limits rides to the date range
+  const filters = useMemo(() => ({ search, status }), [search, status]);
+  const filteredRides = useMemo(() => filterRides(rides, filters), [rides, filters]);
+
+  const monthlySpend = useMemo(() => getMonthlySpend(filteredRides), [filteredRides]);
+
+  const hasFilters = search !== '' || status !== 'all' || fromDate !== '' || toDate !== '';
+
+  // Export every ride matching the filters, not just the pages loaded so far
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      downloadRidesCsv(filterRides(await loadAll(), filters));
+    } catch (error) {
+      toast({
+        title: "Export Failed",
+        description: error instanceof Error ? error.message : "Could not load your rides. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const clearFilters = () => {
+    setSearch('');
+    setStatus('all');
+    setFromDate('');
+    setToDate('');
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <div className="flex justify-between items-center">
+          <CardTitle className="flex items-center gap-2">
+            <History className="w-5 h-5" />
+            Your Ride Requests
+          </CardTitle>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-8 px-2"
+            onClick={() => setIsOpen(!isOpen)}
+          >
+            {isOpen ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+          </Button>
+        </div>
+      </CardHeader>
+      {isOpen && (
+        <CardContent className="space-y-4">
+          {isLoading ? (
+            <p className="text-center text-gray-500 py-4">Loading rides...</p>
+          ) : rides.length === 0 && !hasFilters ? (
+            <p className="text-center text-gray-500 py-4">No ride history found</p>
+          ) : (
+            <>
+              <div className="space-y-3">
+                <div className="relative">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                  <Input
+                    placeholder="Search pickup or destination"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    className="pl-9"
+                  />
+                </div>
+                <div className="grid grid-cols-3 gap-2">
+                  <div className="space-y-1">
+                    <Label htmlFor="history-from" className="text-xs">From</Label>
+                    <Input id="history-from" type="date" value={fromDate} max={toDate || undefined} onChange={(e) => setFromDate(e.target.value)} />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="history-to" className="text-xs">To</Label>
+                    <Input id="history-to" type="date" value={toDate} min={fromDate || undefined} onChange={(e) => setToDate(e.target.value)} />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-xs">Status</Label>
+                    <Select value={status} onValueChange={(value) => setStatus(value as RideStatusFilter)}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {STATUS_OPTIONS.map((option) => (
+                          <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+                <div className="flex justify-between items-center">
+                  <p className="text-xs text-gray-500">
+                    {filteredRides.length} ride{filteredRides.length !== 1 ? 's' : ''}{hasMore ? ' loaded' : ''}
+                    {hasFilters && (
+                      <Button variant="link" size="sm" className="h-auto p-0 ml-2 text-xs" onClick={clearFilters}>
+                        Clear filters
+                      </Button>
+                    )}
+                  </p>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={isExporting || (filteredRides.length === 0 && !hasMore)}
+                    onClick={handleExport}
+                  >
+                    <Download className="w-4 h-4 mr-2" />
+                    {isExporting ? 'Exporting...' : 'Export CSV'}
+                  </Button>
+                </div>
+              </div>
+
+              {monthlySpend.length > 0 && (
+                <div className="bg-blue-50 border border-blue-100 rounded-lg p-3">
+                  <p className="text-sm font-medium mb-2">
+                    Monthly spend
+                    {hasMore && <span className="text-xs font-normal text-gray-500"> (rides loaded so far)</span>}
+                  </p>
+                  <div className="space-y-1 text-sm">
+                    {monthlySpend.map((month) => (
+                      <div key={month.month} className="flex justify-between">
+                        <span>{month.label} <span className="text-xs text-gray-500">({month.trips} trip{month.trips !== 1 ? 's' : ''})</span></span>
+                        <span className="font-medium">{formatPrice(month.total)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="space-y-3 max-h-96 overflow-y-auto pr-1">
+                {filteredRides.length === 0 && !hasMore && (
+                  <p className="text-center text-gray-500 py-4">No rides match these filters</p>
+                )}
+                {filteredRides.map(ride => (
+                  <div
+                    key={ride.id}
+                    className={`border rounded-lg p-3 ${isActiveStatus(ride.status) ? 'border-blue-200 bg-blue-50' : ''}`}
+                  >
+                    <div className="flex justify-between items-start mb-2">
+                      <div>
+                        <p className="text-sm font-medium">
+                          {new Date(ride.requestTime).toLocaleString()}
+                        </p>
+                        {ride.pickupAddress && (
+                          <p className="text-xs text-gray-600">From: {ride.pickupAddress}</p>
+                        )}
+                        <p className="text-xs text-gray-600">
+                          {ride.pickupAddress ? 'To: ' : ''}{ride.destinationAddress}
+                        </p>
+                      </div>
+                      <Badge variant={ride.status === 'cancelled' ? 'destructive' : ride.status === 'expired' ? 'secondary' : 'default'}>
+                        {ride.status.charAt(0).toUpperCase() + ride.status.slice(1)}
+                      </Badge>
+                    </div>
+                    <div className="text-sm">
+                      <div className="flex justify-between">
+                        <span>{ride.settledAmount !== undefined ? 'Fare:' : 'Price:'}</span>
+                        <span className="font-medium">{formatPrice(getRideCost(ride))}</span>
+                      </div>
+                      {ride.calculatedMileage > 0 && (
+                        <div className="flex justify-between">
+                          <span>Distance:</span>
+                          <span>{ride.calculatedMileage.toFixed(2)} miles</span>
+                        </div>
+                      )}
+                      {ride.status === 'pending' && currentRideId !== ride.id && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          className="w-full mt-2"
+                          onClick={() => onViewRide(ride)}
+                        >
+                          View Details
+                        </Button>
+                      )}
+                    </div>
+                    {ride.id && (
+                      <div className="mt-2">
+                        {ride.status === 'completed' && (
+                        <>
+                          <RideReceipt ride={ride} />
+                          <RideRatingDialog ride={ride} />
+                        </>
+                      )}
+                        <RideTimeline rideId={ride.id} />
+                      </div>
+                    )}
+                  </div>
+                ))}
+                <LoadMoreTrigger hasMore={hasMore} isLoading={isLoadingMore} onLoadMore={loadMore} error={error} />
+              </div>
+            </>
+          )}
+        </CardContent>
+      )}
+    </Card>
+  );
+};
+
+export default CustomerRideHistory;
@@ -0,0 +1,75 @@
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import { CheckCircle2, MapPin, Timer, XCircle } from "lucide-react";
+import { RideRequest } from "@/services/firebaseService";
+import { DispatchOffer } from "@/utils/dispatchEngine";
+import { formatPrice } from "@/utils/priceCalculator";
+import { useNow } from "@/hooks/use-now";
+import UserRatingBadge from "./UserRatingBadge";
+
+interface DispatchOfferCardProps {
+  ride: RideRequest;
+  offer: DispatchOffer;
+  distanceToDriver?: number;
+  isBusy?: boolean;
+  onAccept: () => void;
+  onDecline: () => void;
+}
+
+// A ride dispatch is offering to this driver alone, with the time left to accept it
+const DispatchOfferCard = ({ ride, offer, distanceToDriver, isBusy, onAccept, onDecline }: DispatchOfferCardProps) => {
+  const now = useNow(1000);
+  const secondsLeft = Math.max(0, Math.ceil((offer.expiresAt - now) / 1000));
+  const windowSeconds = Math.max(1, (offer.expiresAt - offer.offeredAt) / 1000);
+
+  return (
+    <div className="border-2 border-blue-500 rounded-lg p-4 space-y-3 bg-blue-50">
+      <div className="flex justify-between items-start">
+        <div>
+          <p className="text-xs font-semibold uppercase tracking-wide text-blue-700">Ride offered to you</p>
+          <p className="font-medium flex items-center gap-2">
+            {ride.customerName || 'Customer'}
+            <UserRatingBadge userId={ride.customerId} role="customer" />
+          </p>
+        </div>
+        <Badge variant="outline" className="bg-white flex items-center gap-1">
+          <Timer className="w-3 h-3" />
+          {secondsLeft}s
+        </Badge>
+      </div>
+
+      <Progress value={(secondsLeft / windowSeconds) * 100} className="h-1.5" />
+
+      <div className="space-y-1 text-sm">
+        <p className="flex items-center gap-1 text-gray-700">
+          <MapPin className="w-4 h-4 text-blue-600" />
+          {ride.pickupAddress || 'Pickup'}
+          {distanceToDriver !== undefined && <span className="text-gray-500">({distanceToDriver.toFixed(1)} mi away)</span>}
+        </p>
+        {ride.destinationAddress && (
+          <p className="flex items-center gap-1 text-gray-700">
+            <MapPin className="w-4 h-4 text-red-500" />
+            {ride.destinationAddress}
+          </p>
+        )}
+        {ride.estimatedPrice !== undefined && (
+          <p className="font-semibold text-green-700">{formatPrice(ride.estimatedPrice)}</p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <Button variant="outline" size="sm" onClick={onDecline} disabled={isBusy || secondsLeft === 0}>
+          <XCircle className="w-4 h-4 mr-1" />
+          Decline
+        </Button>
+        <Button size="sm" onClick={onAccept} disabled={isBusy || secondsLeft === 0}>
+          <CheckCircle2 className="w-4 h-4 mr-1" />
+          Accept
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default DispatchOfferCard;
@@ -1,4 +1,4 @@
-import { useState, useEffect, useContext } from "react";
+import { useState, useEffect, useContext, useRef, useMemo } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
@@ -22,23 +22,61 @@ import {
   Compass,
   Wifi,
   WifiOff,
-  AlertCircle 
+  AlertCircle,
+  Download,
+  HandCoins,
+  Power
 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import { 
   listenToDriverActiveRide,
-  listenToPendingRides, 
-  updateRideRequest, 
+  PENDING_RIDE_SEARCH_RADIUS_MILES,
   RideRequest,
   Location,
   checkDriverHasActiveRide,
-  listenToDriverCompletedRides,
-  cancelAcceptedRide
+  listenToLatestDriverCompletedRides,
+  listenToDriverCompletedRidesSince,
+  fetchDriverCompletedRidesPage,
+  updateDriverLocation,
+  createBreadcrumbRecorder,
+  shouldRecordBreadcrumbs,
+  BreadcrumbRecorder,
+  RideOffer,
+  createRideOffer,
+  withdrawRideOffer,
+  listenToDriverOffers
 } from "@/services/firebaseService";
-import { calculateDistance } from "@/utils/distanceCalculator";
-import { calculateEstimatedPrice, formatPrice } from "@/utils/priceCalculator";
+import { transitionRide, RideAlreadyTakenError, RideTransitionError, DriverOfflineError, DriverBusyError } from "@/services/rideLifecycle";
+import { listenToDriverSessions } from "@/services/presenceService";
+import { createDriverLocationPublisher, DriverLocationPublisher } from "@/services/driverLocationService";
+import { calculateDistance, formatTravelTime } from "@/utils/distanceCalculator";
+import { createOdometer, addOdometerFix, OdometerState } from "@/utils/odometer";
+import { useLocation } from "@/hooks/use-location";
+import { LocationFix, SamplingMode } from "@/services/locationService";
+import { formatPrice } from "@/utils/priceCalculator";
+import { calculateFare, compareOfferToFare, getFareRange, getOfferDifference, OfferComparison } from "@/utils/fareEngine";
+import { useFareRules } from "@/hooks/use-fare-rules";
+import { usePagedList } from "@/hooks/use-paged-list";
+import { useDriverPresence } from "@/hooks/use-driver-presence";
+import { useNearbyPendingRides } from "@/hooks/use-nearby-pending-rides";
+import { useRouteDistances } from "@/hooks/use-route";
+import { Route as NavigationRoute } from "@/services/routingService";
+import { useNow } from "@/hooks/use-now";
+import { declineDispatchedRide } from "@/services/dispatchService";
+import { getActiveDispatchOffer, isRideOpenToDriver } from "@/utils/dispatchEngine";
+import { isRideRequestExpired } from "@/utils/requestExpiry";
+import { getEarningsReportStart, OnlineSession } from "@/utils/earnings";
 import RideRouteMap from "./RideRouteMap";
 import DriverNavigationMap from "./DriverNavigationMap";
+import RideTimeline from "./RideTimeline";
+import FareBreakdown from "./FareBreakdown";
+import RideReceipt from "./RideReceipt";
+import EarningsDashboard from "./EarningsDashboard";
+import LoadMoreTrigger from "./LoadMoreTrigger";
+import UserRatingBadge from "./UserRatingBadge";
+import RideRatingDialog from "./RideRatingDialog";
+import RideChat from "./RideChat";
+import DispatchOfferCard from "./DispatchOfferCard";
 import NotificationCenter from "@/components/notifications/NotificationCenter";
 import { createRideUpdateNotificationForDriver } from "@/services/notificationService";
 import { useAuth } from "@/contexts/AuthContext";
@@ -48,6 +86,18 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Separator } from "@/components/ui/separator";
 import { ScrollArea } from "@/components/ui/scroll-area";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Label } from "@/components/ui/label";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { exportTrips, TripExportFormat } from "@/utils/tripExport";
 
 interface DriverInterfaceProps {
   onBack: () => void;
@@ -60,33 +110,101 @@ interface RideWithDistance extends RideRequest {
 type SortOption = 'distance' | 'price-asc' | 'price-desc' | 'time';
 type DriverView = 'available' | 'active' | 'history';
 
+const TRIP_EXPORT_FORMATS: { format: TripExportFormat; label: string }[] = [
+  { format: 'gpx', label: 'GPX' },
+  { format: 'kml', label: 'KML' },
+  { format: 'geojson', label: 'GeoJSON' },
+];
+
 // Define maximum distance (in miles) driver must be from pickup location to start the trip
 const MAX_PICKUP_DISTANCE = 0.2; // 0.2 miles (about 320 meters)
 
 // Define maximum distance (in miles) driver must be from destination location to end the trip
 const MAX_DESTINATION_DISTANCE = 0.2; // 0.2 miles (about 320 meters)
 
+// Minimum time between driver location writes to Firebase
+const LOCATION_SYNC_INTERVAL_MS = 5000;
+
+const OFFER_COMPARISON_STYLES: Record<OfferComparison, string> = {
+  lowball: 'bg-red-100 text-red-700 border-red-200',
+  below: 'bg-amber-100 text-amber-700 border-amber-200',
+  fair: 'bg-green-100 text-green-700 border-green-200',
+  above: 'bg-blue-100 text-blue-700 border-blue-200',
+};
+
+// Describe how an offer compares to the suggested fare, e.g. "12% below suggested"
+const describeOfferDifference = (difference: number): string => {
+  const percent = Math.round(Math.abs(difference) * 100);
+  if (percent === 0) return 'Matches suggested';
+  return `${percent}% ${difference < 0 ? 'below' : 'above'} suggested`;
+};
+
+// Pick how often we need GPS fixes for the current ride phase
+const getSamplingMode = (status?: RideRequest['status']): SamplingMode => {
+  if (status === 'started') return 'trip';
+  if (status === 'accepted') return 'enroute';
+  return 'idle';
+};
+
 const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
-  const [currentLocation, setCurrentLocation] = useState<Location | null>(null);
-  const [pendingRides, setPendingRides] = useState<RideWithDistance[]>([]);
   const [sortedRides, setSortedRides] = useState<RideWithDistance[]>([]);
   const [activeRide, setActiveRide] = useState<RideRequest | null>(null);
-  const [completedRides, setCompletedRides] = useState<RideRequest[]>([]);
+  const [recentCompletedRides, setRecentCompletedRides] = useState<RideRequest[]>([]);
+  const [onlineSessions, setOnlineSessions] = useState<OnlineSession[]>([]);
+  const [locationPublisher, setLocationPublisher] = useState<DriverLocationPublisher | null>(null);
+  const [rideToRate, setRideToRate] = useState<RideRequest | null>(null); // just-completed ride, to rate the customer
   const [mileage, setMileage] = useState(0);
   const [startLocation, setStartLocation] = useState<Location | null>(null);
   const [isTracking, setIsTracking] = useState(false);
   const [selectedRideForPreview, setSelectedRideForPreview] = useState<RideWithDistance | null>(null);
   const [estimatedDistance, setEstimatedDistance] = useState(0);
+  const [navigationRoute, setNavigationRoute] = useState<NavigationRoute | null>(null);
   const [sortOption, setSortOption] = useState<SortOption>('distance');
   const [maxDistance, setMaxDistance] = useState<number | null>(null);
   const [currentView, setCurrentView] = useState<DriverView>('available');
   const [isLoading, setIsLoading] = useState(true);
   const [isCancelling, setIsCancelling] = useState(false);
+  const [exportingRideId, setExportingRideId] = useState<string | null>(null);
+  const [myOffers, setMyOffers] = useState<RideOffer[]>([]);
+  const [counterOfferRideId, setCounterOfferRideId] = useState<string | null>(null);
+  const [counterOfferAmount, setCounterOfferAmount] = useState("");
+  const [isSendingOffer, setIsSendingOffer] = useState(false);
   const [isAndroid, setIsAndroid] = useState<boolean>(false);
   const [connectionWarningShown, setConnectionWarningShown] = useState<boolean>(false);
+  const odometerRef = useRef<OdometerState | null>(null);
+  const breadcrumbRecorderRef = useRef<BreadcrumbRecorder | null>(null);
+  const lastProcessedFixRef = useRef<LocationFix | null>(null);
+  const lastLocationSyncRef = useRef<number>(0);
   const { toast } = useToast();
   const { currentUser } = useAuth();
   const { isOnline, hasLocationPermission, requestLocationPermission } = useConnectivity();
+  const { fix, location: currentLocation, error: locationError } = useLocation(getSamplingMode(activeRide?.status));
+  const fareRules = useFareRules();
+  const { presence, isOnline: isOnDuty, isUpdating: isUpdatingPresence, setOnline: setOnDuty } = useDriverPresence();
+  // Only load the requests around the driver, and only while they could take one
+  const pendingRides = useNearbyPendingRides(
+    isOnDuty && !activeRide ? currentLocation : null,
+    maxDistance ?? PENDING_RIDE_SEARCH_RADIUS_MILES
+  );
+  // Rides dispatch is offering to this driver alone, and the rides open to every driver.
+  // Offers and requests run out over time, so re-check them every few seconds.
+  const listNow = useNow(5000, pendingRides.length > 0);
+  const dispatchOffers = useMemo(() => pendingRides
+    .filter((ride) => !isRideRequestExpired(ride, listNow))
+    .map((ride) => ({ ride, offer: getActiveDispatchOffer(ride.dispatch, listNow) }))
+    .filter(({ offer }) => !!currentUser && offer?.driverId === currentUser.uid),
+  [pendingRides, currentUser, listNow]);
+  const openRides = useMemo(() => pendingRides.filter((ride) =>
+    !!currentUser &&
+    !isRideRequestExpired(ride, listNow) &&
+    isRideOpenToDriver(ride, currentUser.uid, listNow) &&
+    !dispatchOffers.some(({ ride: offered }) => offered.id === ride.id)
+  ), [pendingRides, currentUser, listNow, dispatchOffers]);
+  // Driving distance to each pickup; straight-line distances stand in until they arrive
+  const pickupDistances = useRouteDistances(
+    currentLocation,
+    pendingRides.map((ride) => ({ id: ride.id, location: ride.pickupLocation }))
+  );
 
   // Detect Android device and apply optimizations
   useEffect(() => {
@@ -145,28 +263,20 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     }
   }, [hasLocationPermission, requestLocationPermission, toast]);
 
-  // Initial setup - check for active rides and get location
+  // Report location errors from the location service
   useEffect(() => {
-    setIsLoading(true);
-    
-    // Get current location
-    if (navigator.geolocation) {
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          setCurrentLocation({
-            latitude: position.coords.latitude,
-            longitude: position.coords.longitude,
-          });
-        },
-        () => {
-          toast({
-            title: "Location Error",
-            description: "Could not get your current location. Please enable location services.",
-            variant: "destructive",
-          });
-        }
-      );
+    if (locationError) {
+      toast({
+        title: "Location Error",
+        description: "Could not get your current location. Please enable location services.",
+        variant: "destructive",
+      });
     }
+  }, [locationError, toast]);
+
+  // Initial setup - check for active rides
+  useEffect(() => {
+    setIsLoading(true);
 
     // Check if driver has an active ride
     const checkActiveRide = async () => {
@@ -180,6 +290,7 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
           if (activeRideData.status === 'started') {
             setIsTracking(true);
             setMileage(activeRideData.calculatedMileage || 0);
+            odometerRef.current = createOdometer(activeRideData.calculatedMileage || 0, activeRideData.odometerLastFix || null);
             if (activeRideData.startTripLocation) {
               setStartLocation(activeRideData.startTripLocation);
             }
@@ -197,18 +308,31 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     return () => {}; // Cleanup will be handled in other effects
   }, [toast]);
 
-  // Listen to pending rides (only if no active ride)
+  // Show customers a coarse position while available (online with no ride)
+  const isAvailable = isOnDuty && !activeRide;
   useEffect(() => {
-    if (activeRide) return () => {};
+    if (!isAvailable || !currentUser) return () => {};
     
-    // Listen to pending rides
-    const unsubscribe = listenToPendingRides((rides) => {
-      setPendingRides(rides);
-    });
+    const publisher = createDriverLocationPublisher();
+    setLocationPublisher(publisher);
+    
+    return () => {
+      setLocationPublisher(null);
+      publisher.stop().catch((error) => console.error('Error hiding driver location:', error));
+    };
+  }, [isAvailable, currentUser]);
+  
+  useEffect(() => {
+    if (locationPublisher && currentLocation) {
+      locationPublisher.publish(currentLocation);
+    }
+  }, [locationPublisher, currentLocation]);
 
-    return unsubscribe;
- 
-  }, [activeRide]);
+  // Listen to the counter-offers this driver has sent
+  useEffect(() => {
+    if (!currentUser) return () => {};
+    return listenToDriverOffers(setMyOffers);
+  }, [currentUser]);
 
   // Listen to driver's active ride
   useEffect(() => {
@@ -223,6 +347,9 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
           if (ride.status === 'started') {
             setIsTracking(true);
             setMileage(ride.calculatedMileage || 0);
+            if (!odometerRef.current) {
+              odometerRef.current = createOdometer(ride.calculatedMileage || 0, ride.odometerLastFix || null);
+            }
             if (ride.startTripLocation) {
               setStartLocation(ride.startTripLocation);
             }
@@ -234,6 +361,7 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
         setIsTracking(false);
         setMileage(0);
         setStartLocation(null);
+        odometerRef.current = null;
         setCurrentView('available');
       }
     });
@@ -241,27 +369,49 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     return unsubscribe;
   }, [activeRide]);
 
-  // Listen to driver's completed rides
+  // Driver's completed rides for the history list, loaded a page at a time
+  const {
+    items: completedRides,
+    hasMore: hasMoreCompletedRides,
+    isLoading: isLoadingCompletedRides,
+    isLoadingMore: isLoadingMoreCompletedRides,
+    error: completedRidesError,
+    loadMore: loadMoreCompletedRides,
+    loadAll: loadAllCompletedRides,
+  } = usePagedList<RideRequest>({
+    enabled: currentView === 'history',
+    listenToLatest: (callback) => listenToLatestDriverCompletedRides({}, callback),
+    fetchOlder: (oldest) => fetchDriverCompletedRidesPage(oldest),
+    getTime: (ride) => ride.endTime || 0,
+  }, [currentUser]);
+
+  // The earnings dashboard only needs the rides its periods cover
   useEffect(() => {
     if (currentView !== 'history') return () => {};
     
-    const unsubscribe = listenToDriverCompletedRides((rides) => {
-      setCompletedRides(rides);
+    const since = getEarningsReportStart();
+    const unsubscribeRides = listenToDriverCompletedRidesSince(since, (rides) => {
+      setRecentCompletedRides(rides);
     });
+    // Hours are measured from the time spent online
+    const unsubscribeSessions = listenToDriverSessions(since, setOnlineSessions);
     
-    return unsubscribe;
+    return () => {
+      unsubscribeRides();
+      unsubscribeSessions();
+    };
   }, [currentView]);
 
   // Calculate distances and sort rides whenever pending rides or current location changes
   useEffect(() => {
-    if (!currentLocation || pendingRides.length === 0) {
+    if (!currentLocation || openRides.length === 0) {
       setSortedRides([]);
       return;
     }
 
     // Calculate distance from driver to each ride's pickup location
-    const ridesWithDistance = pendingRides.map(ride => {
-      const distance = calculateDistance(
+    const ridesWithDistance = openRides.map(ride => {
+      const distance = pickupDistances[ride.id]?.distanceMiles ?? calculateDistance(
         currentLocation,
         ride.pickupLocation
       );
@@ -278,7 +428,7 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
 
     // Sort the rides based on the selected sort option
     sortRides(filteredRides, sortOption);
-  }, [pendingRides, currentLocation, sortOption, maxDistance]);
+  }, [openRides, pickupDistances, currentLocation, sortOption, maxDistance]);
 
   // Function to sort rides based on the selected option
   const sortRides = (rides: RideWithDistance[], option: SortOption) => {
@@ -306,53 +456,55 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     setSortedRides(sorted);
   };
 
-  // Location tracking effect
+  // Record a breadcrumb trail for as long as a driver is assigned to the ride
+  const activeRideId = activeRide?.id;
+  const isRecordingBreadcrumbs = shouldRecordBreadcrumbs(activeRide?.status);
   useEffect(() => {
-    let intervalId: NodeJS.Timeout;
-
-    if (isTracking && activeRide && currentLocation && startLocation) {
-      intervalId = setInterval(() => {
-        if (navigator.geolocation) {
-          navigator.geolocation.getCurrentPosition((position) => {
-            const newLocation = {
-              latitude: position.coords.latitude,
-              longitude: position.coords.longitude,
-            };
-            
-            // Calculate distance from start location
-            const distance = calculateDistance(startLocation, newLocation);
-            setMileage(distance);
-            setCurrentLocation(newLocation);
-
-            // Update Firebase with current location and mileage
-            if (activeRide?.id) {
-              updateRideRequest(activeRide.id, {
-                ...activeRide,
-                currentDriverLocation: newLocation,
-                calculatedMileage: distance,
-              });
-            }
-          });
-        } else {
-          // Simulate mileage increase for demo
-          setMileage(prev => {
-            const newMileage = prev + 0.1;
-            if (activeRide?.id) {
-              updateRideRequest(activeRide.id, {
-                ...activeRide,
-                calculatedMileage: newMileage,
-              });
-            }
-            return newMileage;
-          });
-        }
-      }, 5000); // Update every 5 seconds
-    }
-
+    if (!activeRideId || !isRecordingBreadcrumbs) return;
+    
+    const recorder = createBreadcrumbRecorder(activeRideId);
+    breadcrumbRecorderRef.current = recorder;
+    
     return () => {
-      if (intervalId) clearInterval(intervalId);
+      if (breadcrumbRecorderRef.current === recorder) {
+        breadcrumbRecorderRef.current = null;
+      }
+      // Flush whatever is still buffered
+      recorder.stop();
     };
-  }, [isTracking, activeRide, currentLocation, startLocation]);
+  }, [activeRideId, isRecordingBreadcrumbs]);
+
+  // Location tracking - handle each fix from the location service on the way to pickup and during the trip
+  useEffect(() => {
+    if (!fix || !activeRide?.id || fix === lastProcessedFixRef.current) return;
+    if (activeRide.status !== 'accepted' && activeRide.status !== 'started') return;
+    lastProcessedFixRef.current = fix;
+    
+    const newLocation = { latitude: fix.latitude, longitude: fix.longitude };
+    breadcrumbRecorderRef.current?.record(fix);
+    
+    const isTripInProgress = isTracking && activeRide.status === 'started' && !!startLocation;
+    let odometer: OdometerState | undefined;
+    
+    if (isTripInProgress) {
+      // Add the distance driven since the last fix to the odometer
+      odometer = addOdometerFix(
+        odometerRef.current || createOdometer(0, { ...startLocation, timestamp: activeRide.startTime || Date.now() }),
+        fix
+      );
+      odometerRef.current = odometer;
+      setMileage(odometer.totalMiles);
+    }
+    
+    // Fixes can arrive every second during a trip, so throttle the Firebase writes
+    const now = Date.now();
+    if (now - lastLocationSyncRef.current < LOCATION_SYNC_INTERVAL_MS) return;
+    lastLocationSyncRef.current = now;
+    
+    // Share the location (and mileage, once the trip is in progress)
+    updateDriverLocation(activeRide.id, newLocation, odometer)
+      .catch((error) => console.error('Error sharing driver location:', error));
+  }, [fix, isTracking, activeRide, startLocation]);
 
   const calculateDistance = (start: Location, end: Location) => {
     // Simplified distance calculation (Haversine formula)
@@ -367,6 +519,27 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     return R * c;
   };
 
+  // A driver can't go offline in the middle of a ride
+  const canGoOffline = activeRide?.status !== 'accepted' && activeRide?.status !== 'started';
+
+  const toggleOnDuty = async (online: boolean) => {
+    try {
+      await setOnDuty(online);
+      toast({
+        title: online ? "You're Online" : "You're Offline",
+        description: online
+          ? "You'll see new ride requests as they come in."
+          : "You won't receive ride requests until you go online again.",
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to update your availability. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
   const acceptRide = async (ride: RideRequest) => {
     // Network connectivity check
     if (!isOnline) {
@@ -378,6 +551,15 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
       return;
     }
     
+    if (!isOnDuty) {
+      toast({
+        title: "You're Offline",
+        description: "Go online to accept rides.",
+        variant: "destructive",
+      });
+      return;
+    }
+    
     // Location permission check
     if (!hasLocationPermission) {
       toast({
@@ -411,17 +593,12 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     
     if (ride.id) {
       try {
-        // Update ride status in Firebase
-        const updatedRide = {
-          ...ride,
-          status: 'accepted' as const,
-          driverId: currentUser.uid,
-          driverName: currentUser.displayName || "Anonymous Driver",
-          acceptTime: Date.now(),
-          currentDriverLocation: currentLocation // Store initial driver location
-        };
-        
-        await updateRideRequest(ride.id, updatedRide);
+        // Claim the ride in Firebase; only one driver can win
+        const acceptedRide = await transitionRide(ride.id, 'accept', {
+          location: currentLocation,
+          expectedStatus: 'pending',
+          expectedRevision: ride.revision || 0,
+        });
         
         toast({
           title: "Ride Accepted",
@@ -430,7 +607,7 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
         
         // Create a notification for the driver
         createRideUpdateNotificationForDriver(
-          {...updatedRide, id: ride.id},
+          acceptedRide,
           "Ride Accepted", 
           `You've accepted a ride request from ${ride.customerName || 'a customer'}.\nPickup: ${ride.pickupAddress || 'Unknown location'}`,
           "medium"
@@ -440,14 +617,35 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
         setCurrentView('active');
       } catch (error) {
         toast({
-          title: "Error",
-          description: "Failed to accept ride. Please try again.",
+          title: error instanceof RideAlreadyTakenError
+            ? "Ride Already Taken"
+            : error instanceof DriverOfflineError ? "You're Offline"
+            : error instanceof DriverBusyError ? "You're On a Ride" : "Error",
+          description: error instanceof RideTransitionError
+            ? error.message
+            : "Failed to accept ride. Please try again.",
           variant: "destructive",
         });
       }
     }
   };
 
+  const declineDispatchOffer = async (ride: RideRequest) => {
+    try {
+      await declineDispatchedRide(ride);
+      toast({
+        title: "Ride Declined",
+        description: "The ride will be offered to another driver.",
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to decline ride. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
   const startTrip = async () => {
     if (!activeRide?.id || !currentLocation || !currentUser) {
       toast({
@@ -485,16 +683,14 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     try {
       setStartLocation(currentLocation);
       setIsTracking(true);
-      setMileage(activeRide.calculatedMileage || 0);
-      
-      const updatedRide = {
-        ...activeRide,
-        status: 'started' as const,
-        startTime: Date.now(),
-        startTripLocation: currentLocation,
-      };
+      setMileage(0);
+      odometerRef.current = createOdometer(0, { ...currentLocation, timestamp: Date.now() });
       
-      await updateRideRequest(activeRide.id, updatedRide);
+      const startedRide = await transitionRide(activeRide.id, 'start', {
+        location: currentLocation,
+        expectedStatus: 'accepted',
+        expectedRevision: activeRide.revision || 0,
+      });
 
       toast({
         title: "Trip Started",
@@ -503,15 +699,18 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
       
       // Create a notification for the driver
       createRideUpdateNotificationForDriver(
-        {...updatedRide, id: activeRide.id},
+        startedRide,
         "Trip Started", 
         `You've started the trip with ${activeRide.customerName || 'your customer'}. Drive safely!`,
         "medium"
       );
     } catch (error) {
+      setIsTracking(false);
       toast({
         title: "Error",
-        description: "Failed to start trip. Please try again.",
+        description: error instanceof RideTransitionError
+          ? error.message
+          : "Failed to start trip. Please try again.",
         variant: "destructive",
       });
     }
@@ -554,20 +753,19 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     try {
       // Stop tracking and capture final trip data
       setIsTracking(false);
-      const finalMileage = mileage;
-      const completedRide = {
-        ...activeRide,
-        status: 'completed' as const,
-        endTime: Date.now(),
-        calculatedMileage: finalMileage,
-      };
+      const finalMileage = odometerRef.current ? odometerRef.current.totalMiles : mileage;
       
       // Update Firebase
-      await updateRideRequest(activeRide.id, completedRide);
+      const completedRide = await transitionRide(activeRide.id, 'complete', {
+        mileage: finalMileage,
+        fareRules,
+        expectedStatus: 'started',
+        expectedRevision: activeRide.revision || 0,
+      });
       
       // Create a notification for the driver
       createRideUpdateNotificationForDriver(
-        {...completedRide, id: activeRide.id},
+        completedRide,
         "Trip Completed", 
         `Trip completed successfully! Total distance: ${finalMileage.toFixed(2)} miles.\nThank you for driving with Trip Tracker.`,
         "high"
@@ -577,10 +775,9 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
       setActiveRide(null);
       setMileage(0);
       setStartLocation(null);
+      odometerRef.current = null;
       setCurrentView('available');
-      
-      // Add the completed ride to the history
-      setCompletedRides(prev => [{ ...completedRide, id: activeRide.id }, ...prev]);
+      setRideToRate(completedRide);
 
       toast({
         title: "Trip Completed",
@@ -588,18 +785,21 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
         variant: "default",
       });
       
-      // Show trip summary toast
+      // Show the settled fare
       setTimeout(() => {
         toast({
-          title: "Payment Processed",
-          description: `Payment of ${formatPrice(completedRide.estimatedPrice || 0)} has been processed.`,
+          title: "Fare Settled",
+          description: `Final fare: ${formatPrice(completedRide.settledAmount ?? completedRide.estimatedPrice ?? 0)}. The receipt is in your ride history.`,
           variant: "default",
         });
       }, 1500);
     } catch (error) {
+      setIsTracking(true);
       toast({
         title: "Error",
-        description: "Failed to end trip. Please try again.",
+        description: error instanceof RideTransitionError
+          ? error.message
+          : "Failed to end trip. Please try again.",
         variant: "destructive",
       });
     }
@@ -629,22 +829,23 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     setIsCancelling(true);
     
     try {
-      const result = await cancelAcceptedRide(activeRide.id);
+      await transitionRide(activeRide.id, 'driverCancel', {
+        expectedStatus: 'accepted',
+        expectedRevision: activeRide.revision || 0,
+      });
       
-      if (result.success) {
-        toast({
-          title: "Ride Cancelled",
-          description: "The ride has been returned to the available rides list.",
-        });
-        
-        // Create a notification for the driver
-        createRideUpdateNotificationForDriver(
-          {...activeRide, status: 'cancelled' as const},
-          "Ride Cancelled", 
-          `You've cancelled the ride with ${activeRide.customerName || 'a customer'}. The ride is now available for other drivers.`,
-          "medium"
-        );
-      }
+      toast({
+        title: "Ride Cancelled",
+        description: "The ride has been returned to the available rides list.",
+      });
+      
+      // Create a notification for the driver
+      createRideUpdateNotificationForDriver(
+        {...activeRide, status: 'cancelled' as const},
+        "Ride Cancelled", 
+        `You've cancelled the ride with ${activeRide.customerName || 'a customer'}. The ride is now available for other drivers.`,
+        "medium"
+      );
     } catch (error: any) {
       toast({
         title: "Error",
@@ -656,6 +857,104 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
     }
   };
 
+  // Open the counter-offer form for a ride, pre-filled with the suggested fare
+  const openCounterOffer = (ride: RideRequest, suggested?: number) => {
+    setCounterOfferRideId(ride.id);
+    setCounterOfferAmount((suggested ?? ride.estimatedPrice ?? 0).toFixed(2));
+  };
+
+  const sendCounterOffer = async (ride: RideRequest) => {
+    if (!isOnline) {
+      toast({
+        title: "No Internet Connection",
+        description: "You need an internet connection to send offers.",
+        variant: "destructive",
+      });
+      return;
+    }
+    
+    if (!isOnDuty) {
+      toast({
+        title: "You're Offline",
+        description: "Go online to make offers on rides.",
+        variant: "destructive",
+      });
+      return;
+    }
+    
+    setIsSendingOffer(true);
+    
+    try {
+      const offer = await createRideOffer(ride, parseFloat(counterOfferAmount), currentLocation || undefined);
+      
+      toast({
+        title: "Offer Sent",
+        description: `You offered ${formatPrice(offer.amount)} to ${ride.customerName || 'the customer'}. The offer expires at ${new Date(offer.expiresAt).toLocaleTimeString()}.`,
+      });
+      setCounterOfferRideId(null);
+    } catch (error) {
+      toast({
+        title: "Could Not Send Offer",
+        description: error instanceof Error ? error.message : "Failed to send offer. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSendingOffer(false);
+    }
+  };
+
+  const withdrawCounterOffer = async (rideId: string) => {
+    try {
+      await withdrawRideOffer(rideId);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to withdraw offer.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // Standard fare for a pending ride and how the customer's offer compares to it
+  const getRideFareInfo = (ride: RideRequest) => {
+    if (!ride.pickupLocation || !ride.destinationLocation) return null;
+    
+    const breakdown = calculateFare({
+      distanceMiles: calculateDistance(ride.pickupLocation, ride.destinationLocation),
+      time: ride.requestTime,
+    }, fareRules);
+    
+    // Compare against the suggestion the customer saw, when it was stored
+    const range = getFareRange(ride.suggestedPrice || breakdown.total, fareRules);
+    const offer = ride.estimatedPrice;
+    
+    return {
+      breakdown,
+      range,
+      comparison: offer !== undefined ? compareOfferToFare(offer, range) : null,
+      difference: offer !== undefined ? getOfferDifference(offer, range) : 0,
+    };
+  };
+
+  // Export recorded trips (a single ride, or the whole history) to a file
+  // Pass a function to load the rides first, e.g. the pages of history not fetched yet
+  const handleExportTrips = async (rides: RideRequest[] | (() => Promise<RideRequest[]>), format: TripExportFormat, exportKey: string) => {
+    setExportingRideId(exportKey);
+    
+    try {
+      await exportTrips(typeof rides === 'function' ? await rides() : rides, format);
+    } catch (error) {
+      console.error('Error exporting trips:', error);
+      toast({
+        title: "Export Failed",
+        description: error instanceof Error ? error.message : "Could not export trips. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setExportingRideId(null);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4 md:p-6">
       <div className="max-w-md mx-auto space-y-6 relative">
@@ -667,6 +966,17 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
             <h1 className="text-2xl font-bold text-blue-900">Driver</h1>
           </div>
           <div className="flex items-center gap-2">
+            <div className="flex items-center gap-2 mr-1" title={!canGoOffline && isOnDuty ? "Finish your current ride before going offline" : undefined}>
+              <Switch
+                id="driver-on-duty"
+                checked={isOnDuty}
+                onCheckedChange={toggleOnDuty}
+                disabled={isUpdatingPresence || (isOnDuty && !canGoOffline)}
+              />
+              <Label htmlFor="driver-on-duty" className="text-sm text-blue-900">
+                {isOnDuty ? 'On duty' : 'Off duty'}
+              </Label>
+            </div>
             <NotificationCenter variant="ghost" />
             {isOnline ? (
               <Badge variant="outline" className="bg-green-100 text-green-800 border-green-300 flex items-center gap-1 px-3 py-1">
@@ -758,17 +1068,49 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
                   <p className="text-center text-gray-500">Loading available rides...</p>
                 </CardContent>
               </Card>
+            ) : !activeRide && !isOnDuty ? (
+              <Card>
+                <CardContent className="pt-6 pb-6 flex flex-col items-center gap-3 text-center">
+                  <div className="bg-gray-100 p-3 rounded-full">
+                    <Power className="w-6 h-6 text-gray-500" />
+                  </div>
+                  <div>
+                    <p className="font-medium">You're offline</p>
+                    <p className="text-sm text-gray-500">
+                      {presence?.lastSeen
+                        ? `Last online ${new Date(presence.lastSeen).toLocaleString()}. `
+                        : ''}
+                      Go online to see ride requests.
+                    </p>
+                  </div>
+                  <Button onClick={() => toggleOnDuty(true)} disabled={isUpdatingPresence}>
+                    <Power className="w-4 h-4 mr-1" />
+                    Go Online
+                  </Button>
+                </CardContent>
+              </Card>
             ) : !activeRide ? (
               <Card>
                 <CardHeader>
                   <div className="flex justify-between items-center">
                     <CardTitle>Available Rides</CardTitle>
                     <div className="text-xs text-gray-500">
-                      {sortedRides.length} of {pendingRides.length} rides shown
+                      {sortedRides.length} of {openRides.length} rides shown
                     </div>
                   </div>
                 </CardHeader>
                 <CardContent className="space-y-4">
+                  {dispatchOffers.map(({ ride, offer }) => (
+                    <DispatchOfferCard
+                      key={ride.id}
+                      ride={ride}
+                      offer={offer}
+                      distanceToDriver={pickupDistances[ride.id]?.distanceMiles ?? (currentLocation ? calculateDistance(currentLocation, ride.pickupLocation) : undefined)}
+                      onAccept={() => acceptRide(ride)}
+                      onDecline={() => declineDispatchOffer(ride)}
+                    />
+                  ))}
+                  
                   <div className="flex flex-wrap gap-2 pb-2">
                     <Select 
                       value={sortOption} 
@@ -799,7 +1141,7 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
                         </div>
                       </SelectTrigger>
                       <SelectContent>
-                        <SelectItem value="all">All Distances</SelectItem>
+                        <SelectItem value="all">Within {PENDING_RIDE_SEARCH_RADIUS_MILES} miles</SelectItem>
                         <SelectItem value="1">Within 1 mile</SelectItem>
                         <SelectItem value="3">Within 3 miles</SelectItem>
                         <SelectItem value="5">Within 5 miles</SelectItem>
@@ -813,58 +1155,129 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
                   ) : (
                     <ScrollArea className="h-[400px] pr-2">
                       <div className="space-y-4">
-                        {sortedRides.map((ride) => (
-                          <div key={ride.id} className="border rounded-lg p-4 space-y-3">
-                            <div className="flex justify-between items-start">
-                              <div className="space-y-1">
-                                <h3 className="font-medium">{ride.customerName || 'Customer'}</h3>
-                                <div className="text-sm text-gray-600">
-                                  <p>
-                                    <MapPin className="w-3 h-3 inline mr-1" />
-                                    {ride.pickupLocationDescription || 'Pickup location'}
-                                  </p>
-                                  <p>
-                                    <Route className="w-3 h-3 inline mr-1" />
-                                    {ride.destinationDescription || 'Destination'}
-                                  </p>
-                                  {ride.estimatedPrice !== undefined && (
+                        {sortedRides.map((ride) => {
+                          const fareInfo = getRideFareInfo(ride);
+                          const myOffer = myOffers.find((offer) => offer.rideId === ride.id && offer.status === 'open');
+                          return (
+                            <div key={ride.id} className="border rounded-lg p-4 space-y-3">
+                              <div className="flex justify-between items-start">
+                                <div className="space-y-1">
+                                  <h3 className="font-medium flex items-center gap-2">
+                                    {ride.customerName || 'Customer'}
+                                    <UserRatingBadge userId={ride.customerId} role="customer" />
+                                  </h3>
+                                  <div className="text-sm text-gray-600">
+                                    <p>
+                                      <MapPin className="w-3 h-3 inline mr-1" />
+                                      {ride.pickupLocationDescription || 'Pickup location'}
+                                    </p>
                                     <p>
-                                      <DollarSign className="w-3 h-3 inline mr-1" />
-                                      Offered: {formatPrice(ride.estimatedPrice)}
+                                      <Route className="w-3 h-3 inline mr-1" />
+                                      {ride.destinationDescription || 'Destination'}
                                     </p>
+                                    {ride.estimatedPrice !== undefined && (
+                                      <p>
+                                        <DollarSign className="w-3 h-3 inline mr-1" />
+                                        Offered: {formatPrice(ride.estimatedPrice)}
+                                        {fareInfo?.comparison && (
+                                          <Badge
+                                            variant="outline"
+                                            className={`ml-2 text-xs ${OFFER_COMPARISON_STYLES[fareInfo.comparison]}`}
+                                            title={`Suggested ${formatPrice(fareInfo.range.suggested)} (typical ${formatPrice(fareInfo.range.low)} – ${formatPrice(fareInfo.range.high)})`}
+                                          >
+                                            {describeOfferDifference(fareInfo.difference)}
+                                          </Badge>
+                                        )}
+                                      </p>
+                                    )}
+                                    <p className="text-xs text-gray-500">
+                                      <Clock className="w-3 h-3 inline mr-1" />
+                                      {new Date(ride.requestTime).toLocaleTimeString()}
+                                    </p>
+                                  </div>
+                                  {fareInfo && (
+                                    <FareBreakdown
+                                      title="Standard fare"
+                                      collapsible
+                                      breakdown={fareInfo.breakdown}
+                                    />
                                   )}
-                                  <p className="text-xs text-gray-500">
-                                    <Clock className="w-3 h-3 inline mr-1" />
-                                    {new Date(ride.requestTime).toLocaleTimeString()}
-                                  </p>
                                 </div>
+                                <Badge className="ml-2">
+                                  {ride.distanceToDriver !== undefined 
+                                    ? `${ride.distanceToDriver.toFixed(1)} mi` 
+                                    : 'Distance unknown'}
+                                </Badge>
+                              </div>
+                              
+                              {myOffer && (
+                                <div className="flex items-center justify-between bg-blue-50 border border-blue-100 rounded-md p-2 text-sm">
+                                  <span>
+                                    <HandCoins className="w-3 h-3 inline mr-1" />
+                                    Your offer: <span className="font-medium">{formatPrice(myOffer.amount)}</span>
+                                    <span className="text-xs text-gray-500 ml-1">
+                                      (until {new Date(myOffer.expiresAt).toLocaleTimeString()})
+                                    </span>
+                                  </span>
+                                  <Button variant="ghost" size="sm" className="h-7 px-2 text-xs" onClick={() => withdrawCounterOffer(ride.id)}>
+                                    Withdraw
+                                  </Button>
+                                </div>
+                              )}
+                              
+                              {counterOfferRideId === ride.id && (
+                                <div className="flex items-center gap-2">
+                                  <div className="relative flex-1">
+                                    <DollarSign className="w-4 h-4 absolute left-2 top-1/2 -translate-y-1/2 text-gray-500" />
+                                    <Input
+                                      type="number"
+                                      min="0.01"
+                                      step="0.01"
+                                      value={counterOfferAmount}
+                                      onChange={(e) => setCounterOfferAmount(e.target.value)}
+                                      className="pl-8 h-9"
+                                    />
+                                  </div>
+                                  <Button size="sm" onClick={() => sendCounterOffer(ride)} disabled={isSendingOffer}>
+                                    {isSendingOffer ? 'Sending...' : 'Send'}
+                                  </Button>
+                                  <Button variant="ghost" size="sm" onClick={() => setCounterOfferRideId(null)}>
+                                    <XCircle className="w-4 h-4" />
+                                  </Button>
+                                </div>
+                              )}
+                              
+                              <div className="grid grid-cols-3 gap-2">
+                                <Button 
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => {
+                                    setEstimatedDistance(0);
+                                    setSelectedRideForPreview(ride);
+                                  }}
+                                >
+                                  <Map className="w-4 h-4 mr-1" />
+                                  View Map
+                                </Button>
+                                <Button 
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => openCounterOffer(ride, fareInfo?.range.suggested)}
+                                >
+                                  <HandCoins className="w-4 h-4 mr-1" />
+                                  {myOffer ? 'Update Offer' : 'Counter'}
+                                </Button>
+                                <Button 
+                                  size="sm"
+                                  onClick={() => acceptRide(ride)}
+                                >
+                                  <CheckCircle2 className="w-4 h-4 mr-1" />
+                                  Accept
+                                </Button>
                               </div>
-                              <Badge className="ml-2">
-                                {ride.distanceToDriver !== undefined 
-                                  ? `${ride.distanceToDriver.toFixed(1)} mi` 
-                                  : 'Distance unknown'}
-                              </Badge>
-                            </div>
-                            
-                            <div className="grid grid-cols-2 gap-2">
-                              <Button 
-                                variant="outline"
-                                size="sm"
-                                onClick={() => setSelectedRideForPreview(ride)}
-                              >
-                                <Map className="w-4 h-4 mr-1" />
-                                View Map
-                              </Button>
-                              <Button 
-                                size="sm"
-                                onClick={() => acceptRide(ride)}
-                              >
-                                <CheckCircle2 className="w-4 h-4 mr-1" />
-                                Accept
-                              </Button>
                             </div>
-                          </div>
-                        ))}
+                          );
+                        })}
                       </div>
                     </ScrollArea>
                   )}
@@ -903,14 +1316,14 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
                     <RideRouteMap 
                       pickupLocation={selectedRideForPreview.pickupLocation}
                       destinationLocation={selectedRideForPreview.destinationLocation}
-                      currentLocation={currentLocation}
+                      onDistanceCalculated={setEstimatedDistance}
                     />
                   </div>
                   <p className="text-xs text-gray-500 mt-2">
-                    Estimated distance: {calculateDistance(
+                    Estimated distance: {(estimatedDistance || calculateDistance(
                       selectedRideForPreview.pickupLocation,
                       selectedRideForPreview.destinationLocation
-                    ).toFixed(1)} miles
+                    )).toFixed(1)} miles
                   </p>
                 </CardContent>
               </Card>
@@ -950,7 +1363,10 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
                           </div>
                           Customer
                         </h3>
-                        <span className="font-semibold text-blue-700">{activeRide.customerName || 'Anonymous'}</span>
+                        <span className="font-semibold text-blue-700 flex items-center gap-2">
+                          {activeRide.customerName || 'Anonymous'}
+                          <UserRatingBadge userId={activeRide.customerId} role="customer" />
+                        </span>
                       </div>
                       <div className="flex justify-between py-3 items-center">
                         <h3 className="font-medium text-blue-900 flex items-center gap-2">
@@ -977,7 +1393,7 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
                           </div>
                           Fare
                         </h3>
-                        <span className="font-bold text-green-600">{formatPrice(activeRide.estimatedPrice || 0)}</span>
+                        <span className="font-bold text-green-600">{formatPrice(activeRide.agreedFare ?? activeRide.estimatedPrice ?? 0)}</span>
                       </div>
                       {activeRide.status === 'started' && (
                         <div className="flex justify-between py-3 items-center">
@@ -995,25 +1411,29 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
                       )}
                     </div>
                     
-                    <div className="h-[300px] relative overflow-hidden rounded-lg shadow-inner">
+                    <RideChat ride={activeRide} />
+                    
+                    {/* No fixed height: the turn-by-turn banner and step list sit under the map */}
+                    <div className="relative overflow-hidden rounded-lg shadow-inner">
                       <div className="absolute top-0 left-0 right-0 z-10 bg-gradient-to-b from-white/80 to-transparent h-10 pointer-events-none"></div>
-                      <div className="absolute bottom-0 left-0 right-0 z-10 bg-gradient-to-t from-white/80 to-transparent h-10 pointer-events-none"></div>
                       <div className="absolute top-2 left-2 z-20 bg-white/90 backdrop-blur-sm rounded-lg shadow-md px-3 py-1.5 text-xs font-medium text-blue-800 flex items-center gap-1.5">
                         <Navigation className="w-3 h-3 text-blue-600" />
                         {activeRide.status === 'accepted' ? 'Navigate to pickup' : 'Navigate to destination'}
                       </div>
-                      <DriverNavigationMap
-                        currentLocation={currentLocation}
-                        destination={activeRide.status === 'accepted' 
-                          ? activeRide.pickupLocation 
-                          : activeRide.destinationLocation}
-                        isNavigatingToPickup={activeRide.status === 'accepted'}
-                      />
-                      <div className="absolute bottom-2 right-2 z-20 bg-white/90 backdrop-blur-sm rounded-lg shadow-md px-3 py-1.5 text-xs font-medium text-blue-800">
-                        {activeRide.status === 'accepted' 
-                          ? 'ETA to pickup: 5 mins' 
-                          : 'ETA to destination: 12 mins'}
-                      </div>
+                      {currentLocation && (
+                        <DriverNavigationMap
+                          currentLocation={currentLocation}
+                          pickupLocation={activeRide.pickupLocation}
+                          destinationLocation={activeRide.destinationLocation}
+                          tripStatus={activeRide.status === 'accepted' ? 'accepted' : 'started'}
+                          onRouteCalculated={setNavigationRoute}
+                        />
+                      )}
+                      {navigationRoute && (
+                        <div className="absolute top-2 right-2 z-20 bg-white/90 backdrop-blur-sm rounded-lg shadow-md px-3 py-1.5 text-xs font-medium text-blue-800">
+                          {activeRide.status === 'accepted' ? 'ETA to pickup' : 'ETA to destination'}: {formatTravelTime(navigationRoute.durationMinutes)}
+                        </div>
+                      )}
                     </div>
                   </CardContent>
                 </Card>
@@ -1074,13 +1494,40 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
           </TabsContent>
           
           {/* History Tab */}
-          <TabsContent value="history">
+          <TabsContent value="history" className="space-y-4">
+            <EarningsDashboard rides={recentCompletedRides} sessions={onlineSessions.length > 0 ? onlineSessions : undefined} />
+            
             <Card>
               <CardHeader>
-                <CardTitle>Completed Rides</CardTitle>
+                <div className="flex justify-between items-center">
+                  <CardTitle>Completed Rides</CardTitle>
+                  {completedRides.length > 0 && (
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button variant="outline" size="sm" disabled={exportingRideId !== null}>
+                          <Download className="w-4 h-4 mr-1" />
+                          {exportingRideId === 'all' ? 'Exporting...' : 'Export All'}
+                        </Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="end">
+                        <DropdownMenuLabel>
+                          Export {hasMoreCompletedRides ? 'all' : completedRides.length} trips as
+                        </DropdownMenuLabel>
+                        <DropdownMenuSeparator />
+                        {TRIP_EXPORT_FORMATS.map(({ format, label }) => (
+                          <DropdownMenuItem key={format} onClick={() => handleExportTrips(loadAllCompletedRides, format, 'all')}>
+                            {label}
+                          </DropdownMenuItem>
+                        ))}
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  )}
+                </div>
               </CardHeader>
               <CardContent>
-                {completedRides.length === 0 ? (
+                {isLoadingCompletedRides ? (
+                  <p className="text-gray-500 text-center py-4">Loading rides...</p>
+                ) : completedRides.length === 0 ? (
                   <p className="text-gray-500 text-center py-4">No completed rides yet</p>
                 ) : (
                   <ScrollArea className="h-[400px] pr-2">
@@ -1094,15 +1541,41 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
                                 {new Date(ride.endTime || 0).toLocaleString()}
                               </p>
                             </div>
-                            <Badge>{formatPrice(ride.estimatedPrice || 0)}</Badge>
+                            <Badge>{formatPrice(ride.settledAmount ?? ride.agreedFare ?? ride.estimatedPrice ?? 0)}</Badge>
                           </div>
                           <div className="text-sm">
                             <p><MapPin className="w-3 h-3 inline mr-1" />{ride.pickupLocationDescription}</p>
                             <p><Route className="w-3 h-3 inline mr-1" />{ride.destinationDescription}</p>
                             <p><Route className="w-3 h-3 inline mr-1" />Distance: {(ride.calculatedMileage || 0).toFixed(2)} miles</p>
                           </div>
+                          <div className="flex items-center gap-1">
+                            <RideReceipt ride={ride} />
+                            <RideRatingDialog ride={ride} />
+                            <DropdownMenu>
+                              <DropdownMenuTrigger asChild>
+                                <Button variant="ghost" size="sm" className="h-7 px-2 text-xs" disabled={exportingRideId !== null}>
+                                  <Download className="w-3 h-3 mr-1" />
+                                  {exportingRideId === ride.id ? 'Exporting...' : 'Export'}
+                                </Button>
+                              </DropdownMenuTrigger>
+                              <DropdownMenuContent align="start">
+                                {TRIP_EXPORT_FORMATS.map(({ format, label }) => (
+                                  <DropdownMenuItem key={format} onClick={() => handleExportTrips([ride], format, ride.id)}>
+                                    {label}
+                                  </DropdownMenuItem>
+                                ))}
+                              </DropdownMenuContent>
+                            </DropdownMenu>
+                          </div>
+                          <RideTimeline rideId={ride.id} />
                         </div>
                       ))}
+                      <LoadMoreTrigger
+                        hasMore={hasMoreCompletedRides}
+                        isLoading={isLoadingMoreCompletedRides}
+                        onLoadMore={loadMoreCompletedRides}
+                        error={completedRidesError}
+                      />
                     </div>
                   </ScrollArea>
                 )}
@@ -1110,6 +1583,14 @@ const DriverInterface = ({ onBack }: DriverInterfaceProps) => {
             </Card>
           </TabsContent>
         </Tabs>
+
+        {rideToRate && (
+          <RideRatingDialog
+            ride={rideToRate}
+            open
+            onOpenChange={(open) => !open && setRideToRate(null)}
+          />
+        )}
       </div>
     </div>
   );
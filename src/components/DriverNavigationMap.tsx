@@ -2,11 +2,16 @@ import { useEffect, useRef, useState } from "react";
 import "leaflet/dist/leaflet.css";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Location } from "@/services/firebaseService";
+import { Route } from "@/services/routingService";
+import { useRoute } from "@/hooks/use-route";
+import { isSpeechSupported, useTurnByTurn, useVoiceGuidancePreference } from "@/hooks/use-turn-by-turn";
+import { formatTravelTime } from "@/utils/distanceCalculator";
 import { Map as LucideMap, MapPin, Navigation, ArrowRight } from "lucide-react";
 import L from "leaflet";
 import icon from "leaflet/dist/images/marker-icon.png";
 import iconShadow from "leaflet/dist/images/marker-shadow.png";
 import { Badge } from "./ui/badge";
+import TurnByTurnBanner from "./TurnByTurnBanner";
 
 // Create a custom marker icon
 const DefaultIcon = L.icon({
@@ -42,6 +47,7 @@ interface DriverNavigationMapProps {
   destinationLocation?: Location;
   tripStatus: 'accepted' | 'started' | 'completed';
   onDistanceCalculated?: (distance: number) => void;
+  onRouteCalculated?: (route: Route | null) => void; // null while the route is being worked out
 }
 
 const DriverNavigationMap = ({ 
@@ -49,25 +55,21 @@ const DriverNavigationMap = ({
   pickupLocation,
   destinationLocation,
   tripStatus,
-  onDistanceCalculated
+  onDistanceCalculated,
+  onRouteCalculated
 }: DriverNavigationMapProps) => {
   const mapRef = useRef<HTMLDivElement>(null);
   const mapInstanceRef = useRef<L.Map | null>(null);
   const routeLayerRef = useRef<L.LayerGroup | null>(null);
-  const [distance, setDistance] = useState<number>(0);
-
-  // Calculate distance between two points using the Haversine formula
-  const calculateDistance = (start: Location, end: Location): number => {
-    const R = 3959; // Earth's radius in miles
-    const dLat = (end.latitude - start.latitude) * Math.PI / 180;
-    const dLng = (end.longitude - start.longitude) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(start.latitude * Math.PI / 180) * Math.cos(end.latitude * Math.PI / 180) *
-      Math.sin(dLng/2) * Math.sin(dLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  };
+  
+  // Head for the pickup until the trip starts, then for the destination
+  const targetLocation = tripStatus === 'accepted' ? pickupLocation : tripStatus === 'started' ? destinationLocation : undefined;
+  const { route } = useRoute(currentLocation, targetLocation || null);
+  
+  // Guidance follows the same leg, so it moves on to the destination once the trip starts
+  const arrivalName = tripStatus === 'accepted' ? 'the pickup' : 'the destination';
+  const [voiceEnabled, setVoiceEnabled] = useVoiceGuidancePreference();
+  const guidance = useTurnByTurn(route, currentLocation, arrivalName, voiceEnabled);
 
   // Setup the map when component mounts
   useEffect(() => {
@@ -118,20 +120,8 @@ const DriverNavigationMap = ({
     ).addTo(routeLayer);
     driverMarker.bindPopup('Your Location').openPopup();
     
-    // Determine the target location based on trip status
-    let targetLocation: Location | undefined;
-    let targetName = '';
-    let routeColor = '';
-    
-    if (tripStatus === 'accepted' && pickupLocation) {
-      targetLocation = pickupLocation;
-      targetName = 'Pickup Location';
-      routeColor = '#3b82f6'; // blue-500
-    } else if (tripStatus === 'started' && destinationLocation) {
-      targetLocation = destinationLocation;
-      targetName = 'Destination';
-      routeColor = '#10b981'; // emerald-500
-    }
+    const targetName = tripStatus === 'accepted' ? 'Pickup Location' : 'Destination';
+    const routeColor = tripStatus === 'accepted' ? '#3b82f6' : '#10b981'; // blue-500 / emerald-500
     
     if (targetLocation) {
       // Add target marker
@@ -144,31 +134,23 @@ const DriverNavigationMap = ({
       ).addTo(routeLayer);
       targetMarker.bindPopup(targetName);
       
-      // Create a polyline to show the route
-      const polyline = L.polyline([
-        [currentLocation.latitude, currentLocation.longitude],
-        [targetLocation.latitude, targetLocation.longitude]
-      ], {
-        color: routeColor,
-        weight: 4,
-        opacity: 0.7,
-        lineJoin: 'round',
-        dashArray: tripStatus === 'accepted' ? '5, 10' : undefined // dashed line for pickup route
-      }).addTo(routeLayer);
-      
-      // Calculate distance
-      const calculatedDistance = calculateDistance(currentLocation, targetLocation);
-      setDistance(calculatedDistance);
-      
-      if (onDistanceCalculated) {
-        onDistanceCalculated(calculatedDistance);
+      // Show the route once it arrives; it may have been worked out from a little way back
+      if (route) {
+        L.polyline(route.geometry.map((point) => [point.latitude, point.longitude] as L.LatLngTuple), {
+          color: routeColor,
+          weight: 4,
+          opacity: 0.7,
+          lineJoin: 'round',
+          dashArray: tripStatus === 'accepted' || route.source === 'straightLine' ? '5, 10' : undefined // dashed line for pickup route
+        }).addTo(routeLayer);
       }
       
-      // Fit bounds to show both points
+      // Fit bounds to show both points and the road between them
       const bounds = L.latLngBounds(
         [currentLocation.latitude, currentLocation.longitude],
         [targetLocation.latitude, targetLocation.longitude]
       );
+      route?.geometry.forEach((point) => bounds.extend([point.latitude, point.longitude]));
       
       map.fitBounds(bounds, {
         padding: [50, 50],
@@ -178,7 +160,17 @@ const DriverNavigationMap = ({
       // If no target, just center on driver
       map.setView([currentLocation.latitude, currentLocation.longitude], 15);
     }
-  }, [currentLocation, pickupLocation, destinationLocation, tripStatus, onDistanceCalculated]);
+  }, [currentLocation, targetLocation, tripStatus, route]);
+
+  // Report the route distance and travel time to the parent
+  useEffect(() => {
+    if (onRouteCalculated) {
+      onRouteCalculated(route);
+    }
+    if (route && onDistanceCalculated) {
+      onDistanceCalculated(route.distanceMiles);
+    }
+  }, [route, onDistanceCalculated, onRouteCalculated]);
   
   return (
     <Card>
@@ -189,29 +181,41 @@ const DriverNavigationMap = ({
             {tripStatus === 'accepted' ? 'Navigation to Pickup' : 'Navigation to Destination'}
           </CardTitle>
           <Badge variant={tripStatus === 'accepted' ? 'secondary' : 'default'}>
-            {distance.toFixed(1)} miles
+            {route ? `${route.distanceMiles.toFixed(1)} miles · ${formatTravelTime(route.durationMinutes)}` : 'Routing…'}
           </Badge>
         </div>
       </CardHeader>
       <CardContent className="p-0">
         <div ref={mapRef} className="h-[250px] w-full" />
-        <div className="p-3 bg-gray-50 border-t text-sm">
-          <div className="flex items-center gap-2">
-            {tripStatus === 'accepted' ? (
-              <>
-                <Navigation className="w-4 h-4 text-blue-500" />
-                <span>Navigate to pickup location</span>
-                <ArrowRight className="w-4 h-4 ml-auto text-gray-400" />
-              </>
-            ) : (
-              <>
-                <MapPin className="w-4 h-4 text-emerald-500" />
-                <span>Navigate to customer destination</span>
-                <ArrowRight className="w-4 h-4 ml-auto text-gray-400" />
-              </>
-            )}
+        {route && guidance ? (
+          <TurnByTurnBanner
+            guidance={guidance}
+            steps={route.steps}
+            arrivalName={arrivalName}
+            isEstimated={route.source === 'straightLine'}
+            voiceSupported={isSpeechSupported()}
+            voiceEnabled={voiceEnabled}
+            onVoiceChange={setVoiceEnabled}
+          />
+        ) : (
+          <div className="p-3 bg-gray-50 border-t text-sm">
+            <div className="flex items-center gap-2">
+              {tripStatus === 'accepted' ? (
+                <>
+                  <Navigation className="w-4 h-4 text-blue-500" />
+                  <span>Navigate to pickup location</span>
+                  <ArrowRight className="w-4 h-4 ml-auto text-gray-400" />
+                </>
+              ) : (
+                <>
+                  <MapPin className="w-4 h-4 text-emerald-500" />
+                  <span>Navigate to customer destination</span>
+                  <ArrowRight className="w-4 h-4 ml-auto text-gray-400" />
+                </>
+              )}
+            </div>
           </div>
-        </div>
+        )}
       </CardContent>
     </Card>
   );
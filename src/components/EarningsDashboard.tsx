@@ -0,0 +1,121 @@
+import { useMemo } from "react";
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from "recharts";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { ChartConfig, ChartContainer, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart";
+import { Clock, DollarSign, Route, TrendingUp } from "lucide-react";
+import { RideRequest } from "@/services/firebaseService";
+import { EarningsSummary, getEarningsReport, OnlineSession } from "@/utils/earnings";
+import { formatPrice } from "@/utils/priceCalculator";
+
+interface EarningsDashboardProps {
+  rides: RideRequest[];
+  sessions?: OnlineSession[]; // working time; defaults to time spent on rides
+}
+
+const dailyChartConfig: ChartConfig = {
+  total: { label: "Earnings", color: "hsl(221, 83%, 53%)" },
+};
+
+const hourlyChartConfig: ChartConfig = {
+  total: { label: "Earnings", color: "hsl(142, 71%, 45%)" },
+};
+
+const formatHours = (hours: number): string => {
+  const totalMinutes = Math.round(hours * 60);
+  return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+};
+
+const SummaryTile = ({ title, summary }: { title: string; summary: EarningsSummary }) => (
+  <div className="bg-blue-50 border border-blue-100 rounded-lg p-3">
+    <p className="text-xs text-gray-600">{title}</p>
+    <p className="text-xl font-bold text-blue-800">{formatPrice(summary.total)}</p>
+    <p className="text-xs text-gray-500">
+      {summary.trips} trip{summary.trips !== 1 ? 's' : ''} · {formatHours(summary.hoursOnline)}
+    </p>
+  </div>
+);
+
+// Earnings totals and charts for the driver's history tab
+const EarningsDashboard = ({ rides, sessions }: EarningsDashboardProps) => {
+  const report = useMemo(() => getEarningsReport(rides, { sessions }), [rides, sessions]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <TrendingUp className="w-5 h-5" />
+          Earnings
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-3 gap-2">
+          <SummaryTile title="Today" summary={report.today} />
+          <SummaryTile title="This week" summary={report.week} />
+          <SummaryTile title="This month" summary={report.month} />
+        </div>
+
+        <div className="grid grid-cols-3 gap-2 text-sm">
+          <div>
+            <p className="text-xs text-gray-500 flex items-center gap-1"><DollarSign className="w-3 h-3" />Avg per mile</p>
+            <p className="font-semibold">{formatPrice(report.averageFarePerMile)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500 flex items-center gap-1"><Route className="w-3 h-3" />Miles this month</p>
+            <p className="font-semibold">{report.month.miles.toFixed(1)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500 flex items-center gap-1"><Clock className="w-3 h-3" />Per hour this month</p>
+            <p className="font-semibold">
+              {report.month.hoursOnline > 0 ? formatPrice(report.month.total / report.month.hoursOnline) : '—'}
+            </p>
+          </div>
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium mb-2">Last {report.daily.length} days</h4>
+          <ChartContainer config={dailyChartConfig} className="h-48 w-full aspect-auto">
+            <BarChart data={report.daily}>
+              <CartesianGrid vertical={false} />
+              <XAxis dataKey="label" tickLine={false} axisLine={false} interval="preserveStartEnd" />
+              <YAxis tickLine={false} axisLine={false} width={40} tickFormatter={(value) => `$${value}`} />
+              <ChartTooltip
+                content={<ChartTooltipContent formatter={(value) => formatPrice(Number(value))} />}
+              />
+              <Bar dataKey="total" fill="var(--color-total)" radius={4} />
+            </BarChart>
+          </ChartContainer>
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium mb-2">Earnings by hour of day</h4>
+          <ChartContainer config={hourlyChartConfig} className="h-48 w-full aspect-auto">
+            <BarChart data={report.hourly}>
+              <CartesianGrid vertical={false} />
+              <XAxis dataKey="label" tickLine={false} axisLine={false} interval={2} />
+              <YAxis tickLine={false} axisLine={false} width={40} tickFormatter={(value) => `$${value}`} />
+              <ChartTooltip
+                content={<ChartTooltipContent formatter={(value) => formatPrice(Number(value))} />}
+              />
+              <Bar dataKey="total" fill="var(--color-total)" radius={4} />
+            </BarChart>
+          </ChartContainer>
+          {report.bestHours.length > 0 ? (
+            <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+              <span className="text-gray-600">Best hours:</span>
+              {report.bestHours.map((bucket) => (
+                <Badge key={bucket.hour} variant="outline" className="bg-green-50 border-green-200 text-green-700">
+                  {bucket.label} · {formatPrice(bucket.total)} ({bucket.trips} trip{bucket.trips !== 1 ? 's' : ''})
+                </Badge>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 mt-2">Complete some trips to see your best hours.</p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default EarningsDashboard;
@@ -0,0 +1,55 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { ChevronDown, ChevronUp, Receipt } from "lucide-react";
+import { FareBreakdown as FareBreakdownData } from "@/utils/fareEngine";
+import { formatPrice } from "@/utils/priceCalculator";
+
+interface FareBreakdownProps {
+  breakdown: FareBreakdownData;
+  title?: string;
+  collapsible?: boolean; // show a toggle instead of the full list
+}
+
+// Itemized fare from the fare engine
+const FareBreakdown = ({ breakdown, title = "Fare estimate", collapsible = false }: FareBreakdownProps) => {
+  const [isOpen, setIsOpen] = useState(!collapsible);
+
+  return (
+    <div className="text-sm">
+      {collapsible ? (
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-7 px-2 text-xs"
+          onClick={() => setIsOpen(!isOpen)}
+        >
+          <Receipt className="w-3 h-3 mr-1" />
+          {title}: {formatPrice(breakdown.total)}
+          {isOpen ? <ChevronUp className="w-3 h-3 ml-1" /> : <ChevronDown className="w-3 h-3 ml-1" />}
+        </Button>
+      ) : (
+        <p className="font-semibold flex items-center gap-1 mb-1">
+          <Receipt className="w-4 h-4" />
+          {title}
+        </p>
+      )}
+
+      {isOpen && (
+        <div className="space-y-1 mt-1">
+          {breakdown.items.map((item) => (
+            <div key={item.type} className="flex justify-between text-gray-600">
+              <span>{item.label}</span>
+              <span>{item.amount < 0 ? `-${formatPrice(-item.amount)}` : formatPrice(item.amount)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between font-semibold border-t pt-1">
+            <span>Total</span>
+            <span>{formatPrice(breakdown.total)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FareBreakdown;
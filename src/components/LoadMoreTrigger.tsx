@@ -0,0 +1,53 @@
+import { useEffect, useRef } from "react";
+import { Button } from "@/components/ui/button";
+import { Loader2 } from "lucide-react";
+
+interface LoadMoreTriggerProps {
+  hasMore: boolean;
+  isLoading: boolean;
+  onLoadMore: () => void;
+  error?: string | null;
+}
+
+// Placed at the end of a list: loads the next page when it scrolls into view.
+// The button is a fallback for when the observer can't fire (or loading failed).
+const LoadMoreTrigger = ({ hasMore, isLoading, onLoadMore, error }: LoadMoreTriggerProps) => {
+  const triggerRef = useRef<HTMLDivElement>(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    const node = triggerRef.current;
+    if (!node || !hasMore || isLoading || error || typeof IntersectionObserver === 'undefined') return;
+
+    // Observing again after each page reports the current position, so a short
+    // page that leaves the trigger in view loads the next one straight away
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        onLoadMoreRef.current();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, [hasMore, isLoading, error]);
+
+  if (!hasMore) return null;
+
+  return (
+    <div ref={triggerRef} className="flex flex-col items-center gap-1 py-2">
+      {isLoading ? (
+        <Loader2 className="w-4 h-4 animate-spin text-gray-400" />
+      ) : (
+        <>
+          {error && <p className="text-xs text-red-500">{error}</p>}
+          <Button variant="ghost" size="sm" className="h-7 text-xs" onClick={onLoadMore}>
+            {error ? 'Try again' : 'Load more'}
+          </Button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LoadMoreTrigger;
@@ -0,0 +1,119 @@
+import { useEffect, useRef } from "react";
+import "leaflet/dist/leaflet.css";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Car } from "lucide-react";
+import L from "leaflet";
+import { Location } from "@/services/firebaseService";
+import { useNearbyDrivers } from "@/hooks/use-nearby-drivers";
+import { DEFAULT_NEARBY_RADIUS_MILES } from "@/services/driverLocationService";
+
+interface NearbyDriversMapProps {
+  center: Location;
+  radiusMiles?: number;
+}
+
+// Map of the available drivers around the customer, with a rough wait for the nearest one
+const NearbyDriversMap = ({ center, radiusMiles = DEFAULT_NEARBY_RADIUS_MILES }: NearbyDriversMapProps) => {
+  const mapRef = useRef<HTMLDivElement>(null);
+  const mapInstanceRef = useRef<L.Map | null>(null);
+  const centerMarkerRef = useRef<L.CircleMarker | null>(null);
+  const driversLayerRef = useRef<L.LayerGroup | null>(null);
+  const initialCenterRef = useRef(center);
+  const { drivers, isLoading, nearestEtaMinutes } = useNearbyDrivers(center, radiusMiles);
+
+  // Create the map once
+  useEffect(() => {
+    if (!mapRef.current) return;
+
+    const { latitude, longitude } = initialCenterRef.current;
+    const map = L.map(mapRef.current, {
+      center: [latitude, longitude],
+      zoom: 14
+    });
+    mapInstanceRef.current = map;
+
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+    }).addTo(map);
+
+    centerMarkerRef.current = L.circleMarker([latitude, longitude], {
+      radius: 8,
+      color: '#ffffff',
+      weight: 2,
+      fillColor: '#2563eb',
+      fillOpacity: 1
+    }).bindPopup('You are here').addTo(map);
+    driversLayerRef.current = L.layerGroup().addTo(map);
+
+    return () => {
+      map.remove();
+      mapInstanceRef.current = null;
+      centerMarkerRef.current = null;
+      driversLayerRef.current = null;
+    };
+  }, []);
+
+  // Follow the customer
+  useEffect(() => {
+    centerMarkerRef.current?.setLatLng([center.latitude, center.longitude]);
+  }, [center.latitude, center.longitude]);
+
+  // Redraw the drivers and keep the nearest few in view
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    const layer = driversLayerRef.current;
+    if (!map || !layer) return;
+
+    layer.clearLayers();
+    drivers.forEach((driver) => {
+      L.circleMarker([driver.location.latitude, driver.location.longitude], {
+        radius: 6,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: '#16a34a',
+        fillOpacity: 0.9
+      }).bindPopup(`Driver about ${driver.distance.toFixed(1)} mi away`).addTo(layer);
+    });
+
+    const points = [
+      L.latLng(center.latitude, center.longitude),
+      ...drivers.slice(0, 3).map((driver) => L.latLng(driver.location.latitude, driver.location.longitude))
+    ];
+    map.fitBounds(L.latLngBounds(points), { padding: [30, 30], maxZoom: 15 });
+  }, [drivers, center.latitude, center.longitude]);
+
+  return (
+    <Card className="border-0 shadow-md overflow-hidden">
+      <CardHeader className="pb-2 pt-4">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-base flex items-center gap-2">
+            <Car className="w-4 h-4" />
+            Drivers Nearby
+          </CardTitle>
+          {!isLoading && (
+            nearestEtaMinutes !== null ? (
+              <Badge variant="outline" className="bg-green-50 text-green-700 border-green-200">
+                Nearest driver ~{nearestEtaMinutes} min
+              </Badge>
+            ) : (
+              <Badge variant="outline" className="bg-gray-50 text-gray-600">
+                No drivers nearby
+              </Badge>
+            )
+          )}
+        </div>
+        <p className="text-xs text-gray-500">
+          {isLoading
+            ? 'Looking for drivers...'
+            : `${drivers.length} driver${drivers.length !== 1 ? 's' : ''} within ${radiusMiles} miles. Positions are approximate.`}
+        </p>
+      </CardHeader>
+      <CardContent className="p-0">
+        <div ref={mapRef} className="h-[220px] w-full" />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NearbyDriversMap;
@@ -0,0 +1,170 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Check, CheckCheck, ChevronDown, ChevronUp, MessageCircle, Send } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/contexts/AuthContext";
+import { getRideParticipantRole, RideRequest } from "@/services/firebaseService";
+import {
+  canSendChatMessages,
+  getUnreadCount,
+  isMessageRead,
+  listenToRideChat,
+  markChatRead,
+  MAX_CHAT_MESSAGE_LENGTH,
+  QUICK_REPLIES,
+  RideChat as RideChatData,
+  sendChatMessage,
+} from "@/services/chatService";
+
+interface RideChatProps {
+  ride: RideRequest;
+}
+
+const formatMessageTime = (timestamp: number) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Chat between the customer and driver of a ride, collapsed behind a button with an unread count
+const RideChat = ({ ride }: RideChatProps) => {
+  const { currentUser } = useAuth();
+  const { toast } = useToast();
+  const [chat, setChat] = useState<RideChatData>({ messages: [], lastRead: {} });
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const messagesRef = useRef<HTMLDivElement>(null);
+
+  const role = currentUser ? getRideParticipantRole(ride, currentUser.uid) : null;
+  const canSend = canSendChatMessages(ride.status);
+  const unreadCount = currentUser ? getUnreadCount(chat, currentUser.uid) : 0;
+  const counterpartName = role === 'customer' ? ride.driverName || 'your driver' : ride.customerName || 'your customer';
+
+  // A new driver on the ride starts a new chat
+  useEffect(() => {
+    if (!ride.id || !ride.driverId) return;
+    return listenToRideChat(ride.id, ride.driverId, setChat);
+  }, [ride.id, ride.driverId]);
+
+  // Reading the open chat sends a read receipt
+  useEffect(() => {
+    if (isOpen && unreadCount > 0 && ride.id && ride.driverId) {
+      markChatRead(ride.id, ride.driverId).catch((error) => console.error('Error marking chat as read:', error));
+    }
+  }, [isOpen, unreadCount, ride.id, ride.driverId]);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    if (isOpen && messagesRef.current) {
+      messagesRef.current.scrollTop = messagesRef.current.scrollHeight;
+    }
+  }, [isOpen, chat.messages.length]);
+
+  if (!role) return null;
+
+  const handleSend = async (text: string, quickReply: boolean = false) => {
+    if (!text.trim()) return;
+
+    setIsSending(true);
+    try {
+      await sendChatMessage(ride, text, quickReply);
+      if (!quickReply) {
+        setDraft('');
+      }
+    } catch (error) {
+      toast({
+        title: "Message Not Sent",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg bg-white">
+      <Button
+        variant="ghost"
+        className="w-full justify-between h-10 px-3"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        <span className="flex items-center gap-2 text-sm">
+          <MessageCircle className="w-4 h-4" />
+          Message {counterpartName}
+          {unreadCount > 0 && (
+            <Badge variant="destructive" className="px-1.5 h-5 min-w-5 justify-center">{unreadCount}</Badge>
+          )}
+        </span>
+        {isOpen ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+      </Button>
+
+      {isOpen && (
+        <div className="border-t p-3 space-y-3">
+          <div ref={messagesRef} className="max-h-60 overflow-y-auto space-y-2 pr-1">
+            {chat.messages.length === 0 ? (
+              <p className="text-center text-sm text-gray-500 py-4">No messages yet</p>
+            ) : (
+              chat.messages.map((message) => {
+                const isMine = message.senderId === currentUser?.uid;
+                return (
+                  <div key={message.id} className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}>
+                    <div className={`max-w-[80%] rounded-lg px-3 py-2 text-sm ${isMine ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'}`}>
+                      <p className="whitespace-pre-wrap break-words">{message.text}</p>
+                      <p className={`text-[10px] mt-1 flex items-center gap-1 ${isMine ? 'text-blue-100 justify-end' : 'text-gray-500'}`}>
+                        {formatMessageTime(message.timestamp)}
+                        {isMine && (isMessageRead(chat, message)
+                          ? <CheckCheck className="w-3 h-3" aria-label="Read" />
+                          : <Check className="w-3 h-3" aria-label="Sent" />)}
+                      </p>
+                    </div>
+                  </div>
+                );
+              })
+            )}
+          </div>
+
+          {canSend ? (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {QUICK_REPLIES[role].map((reply) => (
+                  <Button
+                    key={reply}
+                    variant="outline"
+                    size="sm"
+                    className="h-7 text-xs"
+                    disabled={isSending}
+                    onClick={() => handleSend(reply, true)}
+                  >
+                    {reply}
+                  </Button>
+                ))}
+              </div>
+              <form
+                className="flex gap-2"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  handleSend(draft);
+                }}
+              >
+                <Input
+                  placeholder="Type a message"
+                  value={draft}
+                  maxLength={MAX_CHAT_MESSAGE_LENGTH}
+                  onChange={(e) => setDraft(e.target.value)}
+                />
+                <Button type="submit" size="icon" disabled={isSending || !draft.trim()}>
+                  <Send className="w-4 h-4" />
+                </Button>
+              </form>
+            </>
+          ) : (
+            <p className="text-xs text-center text-gray-500">This ride has ended, so the chat is read-only.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RideChat;
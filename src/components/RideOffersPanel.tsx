@@ -0,0 +1,131 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { HandCoins, Timer, User } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { RideOffer, RideRequest, listenToRideOffers } from "@/services/firebaseService";
+import { transitionRide, RideTransitionError } from "@/services/rideLifecycle";
+import { createRideUpdateNotificationForDriver } from "@/services/notificationService";
+import { formatPrice } from "@/utils/priceCalculator";
+
+interface RideOffersPanelProps {
+  ride: RideRequest;
+}
+
+const formatTimeLeft = (ms: number): string => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+};
+
+// Counter-offers from drivers on the customer's pending ride
+const RideOffersPanel = ({ ride }: RideOffersPanelProps) => {
+  const [offers, setOffers] = useState<RideOffer[]>([]);
+  const [acceptingOfferId, setAcceptingOfferId] = useState<string | null>(null);
+  const [now, setNow] = useState(Date.now());
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (!ride.id) return;
+    return listenToRideOffers(ride.id, setOffers);
+  }, [ride.id]);
+
+  const openOffers = offers.filter((offer) => offer.status === 'open');
+
+  // Tick once a second for the expiry countdowns
+  useEffect(() => {
+    if (openOffers.length === 0) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [openOffers.length]);
+
+  const acceptOffer = async (offer: RideOffer) => {
+    setAcceptingOfferId(offer.id);
+
+    try {
+      const acceptedRide = await transitionRide(ride.id, 'acceptOffer', {
+        offer,
+        expectedStatus: 'pending',
+        expectedRevision: ride.revision || 0,
+      });
+
+      toast({
+        title: "Offer Accepted",
+        description: `${offer.driverName} will drive you for ${formatPrice(offer.amount)}.`,
+      });
+
+      createRideUpdateNotificationForDriver(
+        acceptedRide,
+        "Offer Accepted",
+        `${ride.customerName || 'The customer'} accepted your offer of ${formatPrice(offer.amount)}.\nPickup: ${ride.pickupAddress || 'Unknown location'}`,
+        "high"
+      );
+    } catch (error) {
+      toast({
+        title: "Could Not Accept Offer",
+        description: error instanceof RideTransitionError
+          ? error.message
+          : "Failed to accept the offer. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setAcceptingOfferId(null);
+    }
+  };
+
+  if (openOffers.length === 0) {
+    return (
+      <div className="py-3">
+        <p className="text-sm text-gray-500 flex items-center gap-2">
+          <HandCoins className="w-4 h-4" />
+          Drivers can accept your price or send a counter-offer. Offers will appear here.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="py-3 space-y-2">
+      <h3 className="font-medium text-blue-900 flex items-center gap-2">
+        <HandCoins className="w-4 h-4 text-blue-600" />
+        Driver Offers
+        <Badge variant="secondary">{openOffers.length}</Badge>
+      </h3>
+      {openOffers.map((offer) => {
+        const difference = offer.amount - (ride.estimatedPrice || 0);
+        return (
+          <div key={offer.id} className="flex items-center justify-between bg-white p-3 rounded-md border border-blue-100">
+            <div className="space-y-1">
+              <p className="font-medium text-sm flex items-center gap-1">
+                <User className="w-3 h-3" />
+                {offer.driverName}
+              </p>
+              <p className="text-xs text-gray-500 flex items-center gap-1">
+                <Timer className="w-3 h-3" />
+                Expires in {formatTimeLeft(offer.expiresAt - now)}
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <div className="text-right">
+                <p className="font-bold text-green-600">{formatPrice(offer.amount)}</p>
+                {ride.estimatedPrice !== undefined && difference !== 0 && (
+                  <p className="text-xs text-gray-500">
+                    {difference > 0 ? '+' : '-'}{formatPrice(Math.abs(difference))} vs your price
+                  </p>
+                )}
+              </div>
+              <Button
+                size="sm"
+                onClick={() => acceptOffer(offer)}
+                disabled={acceptingOfferId !== null}
+              >
+                {acceptingOfferId === offer.id ? 'Accepting...' : 'Accept'}
+              </Button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RideOffersPanel;
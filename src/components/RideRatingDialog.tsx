@@ -0,0 +1,47 @@
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Star } from "lucide-react";
+import { RideRequest } from "@/services/firebaseService";
+import RideRatingForm from "./RideRatingForm";
+
+interface RideRatingDialogProps {
+  ride: RideRequest;
+  open?: boolean; // pass with onOpenChange to open the dialog without its button
+  onOpenChange?: (open: boolean) => void;
+}
+
+// Dialog for rating a completed ride, opened from its button or by the parent
+const RideRatingDialog = ({ ride, open, onOpenChange }: RideRatingDialogProps) => {
+  const isControlled = open !== undefined;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      {!isControlled && (
+        <DialogTrigger asChild>
+          <Button variant="ghost" size="sm" className="h-7 px-2 text-xs">
+            <Star className="w-3 h-3 mr-1" />
+            Rating
+          </Button>
+        </DialogTrigger>
+      )}
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Rate your trip</DialogTitle>
+          <DialogDescription>
+            {new Date(ride.endTime || ride.requestTime).toLocaleString()} · {ride.destinationAddress || 'Destination'}
+          </DialogDescription>
+        </DialogHeader>
+        <RideRatingForm ride={ride} onSubmitted={() => onOpenChange?.(false)} />
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RideRatingDialog;
@@ -0,0 +1,149 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import { Star } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/contexts/AuthContext";
+import { getRideParticipantRole, RideRequest } from "@/services/firebaseService";
+import {
+  listenToRideRatings,
+  MAX_RATING_COMMENT_LENGTH,
+  RATING_TAGS,
+  RideRating,
+  submitRideRating,
+} from "@/services/ratingService";
+
+interface RideRatingFormProps {
+  ride: RideRequest;
+  onSubmitted?: (rating: RideRating) => void;
+}
+
+const STAR_LABELS = ['', 'Poor', 'Below average', 'Okay', 'Good', 'Excellent'];
+
+const StarRow = ({ value, onChange, size = "w-7 h-7" }: { value: number; onChange?: (stars: number) => void; size?: string }) => (
+  <div className="flex gap-1">
+    {[1, 2, 3, 4, 5].map((stars) => (
+      <button
+        key={stars}
+        type="button"
+        disabled={!onChange}
+        onClick={() => onChange?.(stars)}
+        aria-label={`${stars} star${stars !== 1 ? 's' : ''}`}
+        className="disabled:cursor-default"
+      >
+        <Star className={`${size} ${stars <= value ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}`} />
+      </button>
+    ))}
+  </div>
+);
+
+// Post-trip rating of the other party: stars, optional tags and a comment.
+// Once submitted it shows the rating that was given instead.
+const RideRatingForm = ({ ride, onSubmitted }: RideRatingFormProps) => {
+  const { currentUser } = useAuth();
+  const { toast } = useToast();
+  const [existingRating, setExistingRating] = useState<RideRating | null>(null);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [stars, setStars] = useState(0);
+  const [tags, setTags] = useState<string[]>([]);
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const role = currentUser ? getRideParticipantRole(ride, currentUser.uid) : null;
+  const counterpartName = role === 'customer' ? ride.driverName || 'your driver' : ride.customerName || 'your customer';
+
+  useEffect(() => {
+    setIsLoaded(false);
+    if (!ride.id || !role) return;
+
+    return listenToRideRatings(ride.id, (ratings) => {
+      setExistingRating(ratings[role] || null);
+      setIsLoaded(true);
+    });
+  }, [ride.id, role]);
+
+  if (!role || !isLoaded) return null;
+
+  if (existingRating) {
+    return (
+      <div className="space-y-1">
+        <p className="text-sm text-gray-600">You rated {counterpartName}</p>
+        <StarRow value={existingRating.stars} size="w-4 h-4" />
+        {existingRating.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {existingRating.tags.map((tag) => (
+              <Badge key={tag} variant="secondary" className="text-xs">{tag}</Badge>
+            ))}
+          </div>
+        )}
+        {existingRating.comment && <p className="text-sm italic text-gray-600">"{existingRating.comment}"</p>}
+      </div>
+    );
+  }
+
+  const toggleTag = (tag: string) => {
+    setTags((prev) => (prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]));
+  };
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    try {
+      const rating = await submitRideRating(ride, { stars, tags, comment });
+      toast({
+        title: "Thanks for your feedback",
+        description: `You gave ${counterpartName} ${rating.stars} star${rating.stars !== 1 ? 's' : ''}.`,
+      });
+      onSubmitted?.(rating);
+    } catch (error) {
+      toast({
+        title: "Could Not Submit Rating",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <p className="text-sm font-medium mb-1">How was your ride with {counterpartName}?</p>
+        <div className="flex items-center gap-3">
+          <StarRow value={stars} onChange={setStars} />
+          {stars > 0 && <span className="text-sm text-gray-600">{STAR_LABELS[stars]}</span>}
+        </div>
+      </div>
+
+      {stars > 0 && (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {RATING_TAGS[role].map((tag) => (
+              <Badge
+                key={tag}
+                variant={tags.includes(tag) ? "default" : "outline"}
+                className="cursor-pointer select-none"
+                onClick={() => toggleTag(tag)}
+              >
+                {tag}
+              </Badge>
+            ))}
+          </div>
+          <Textarea
+            placeholder="Add a comment (optional)"
+            value={comment}
+            maxLength={MAX_RATING_COMMENT_LENGTH}
+            onChange={(e) => setComment(e.target.value)}
+            rows={3}
+          />
+          <Button className="w-full" onClick={handleSubmit} disabled={isSubmitting}>
+            {isSubmitting ? 'Submitting...' : 'Submit Rating'}
+          </Button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RideRatingForm;
@@ -0,0 +1,97 @@
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Separator } from "@/components/ui/separator";
+import { Download, Printer, Receipt } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { RideRequest } from "@/services/firebaseService";
+import { formatPrice } from "@/utils/priceCalculator";
+import { downloadReceipt, getReceiptNumber, getRideSettlement, printReceipt } from "@/utils/receipt";
+
+interface RideReceiptProps {
+  ride: RideRequest;
+}
+
+// Button that opens the receipt of a completed ride, with download and print options
+const RideReceipt = ({ ride }: RideReceiptProps) => {
+  const { toast } = useToast();
+  const settlement = getRideSettlement(ride);
+
+  const handlePrint = () => {
+    try {
+      printReceipt(ride);
+    } catch (error) {
+      toast({
+        title: "Could Not Print Receipt",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button variant="ghost" size="sm" className="h-7 px-2 text-xs">
+          <Receipt className="w-3 h-3 mr-1" />
+          Receipt
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Receipt {getReceiptNumber(ride)}</DialogTitle>
+          <DialogDescription>
+            {new Date(ride.endTime || ride.requestTime).toLocaleString()} · {ride.driverName || 'Driver'} for {ride.customerName || 'Customer'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-1 text-sm">
+          <p><span className="text-gray-500">From:</span> {ride.pickupAddress || 'Pickup location'}</p>
+          <p><span className="text-gray-500">To:</span> {ride.destinationAddress || 'Destination'}</p>
+          <p className="text-gray-500">
+            {settlement.distanceMiles.toFixed(2)} miles · {Math.round(settlement.durationMinutes)} min
+            {settlement.waitMinutes > 0 && ` · ${Math.round(settlement.waitMinutes)} min wait`}
+          </p>
+        </div>
+
+        <Separator />
+
+        <div className="space-y-1 text-sm">
+          {settlement.items.map((item) => (
+            <div key={item.type} className="flex justify-between">
+              <span>{item.label}</span>
+              <span>{formatPrice(item.amount)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between font-bold text-base border-t pt-2 mt-2">
+            <span>Total</span>
+            <span>{formatPrice(settlement.total)}</span>
+          </div>
+          {settlement.basis === 'agreed' && (
+            <p className="text-xs text-gray-500">Based on the price agreed when the ride was accepted.</p>
+          )}
+        </div>
+
+        <DialogFooter className="gap-2">
+          <Button variant="outline" onClick={() => downloadReceipt(ride)}>
+            <Download className="w-4 h-4 mr-2" />
+            Download
+          </Button>
+          <Button onClick={handlePrint}>
+            <Printer className="w-4 h-4 mr-2" />
+            Print / PDF
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RideReceipt;
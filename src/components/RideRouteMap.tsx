@@ -2,6 +2,7 @@ import { useEffect, useRef } from "react";
 import "leaflet/dist/leaflet.css";
 import { Card, CardContent } from "@/components/ui/card";
 import { Location } from "@/services/firebaseService";
+import { useRoute } from "@/hooks/use-route";
 import L from "leaflet";
 import icon from "leaflet/dist/images/marker-icon.png";
 import iconShadow from "leaflet/dist/images/marker-shadow.png";
@@ -38,19 +39,8 @@ const RideRouteMap = ({
 }: RideRouteMapProps) => {
   const mapRef = useRef<HTMLDivElement>(null);
   const mapInstanceRef = useRef<L.Map | null>(null);
-
-  // Calculate distance between two points using the Haversine formula
-  const calculateDistance = (start: Location, end: Location): number => {
-    const R = 3959; // Earth's radius in miles
-    const dLat = (end.latitude - start.latitude) * Math.PI / 180;
-    const dLng = (end.longitude - start.longitude) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(start.latitude * Math.PI / 180) * Math.cos(end.latitude * Math.PI / 180) *
-      Math.sin(dLng/2) * Math.sin(dLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  };
+  const routeLayerRef = useRef<L.LayerGroup | null>(null);
+  const { route } = useRoute(pickupLocation, destinationLocation);
 
   useEffect(() => {
     if (!mapRef.current) return;
@@ -97,47 +87,55 @@ const RideRouteMap = ({
     }).addTo(map);
     destinationMarker.bindPopup('Destination');
     
-    // Create a polyline to show the route
-    const polyline = L.polyline([
-      [pickupLocation.latitude, pickupLocation.longitude],
-      [destinationLocation.latitude, destinationLocation.longitude]
-    ], {
+    // Layer for the route, drawn once it arrives
+    routeLayerRef.current = L.layerGroup().addTo(map);
+
+    return () => {
+      if (mapInstanceRef.current) {
+        mapInstanceRef.current.remove();
+        mapInstanceRef.current = null;
+        routeLayerRef.current = null;
+      }
+    };
+  }, [pickupLocation, destinationLocation]);
+
+  // Draw the route and its distance. Depends on the points too, since the map is rebuilt when they change.
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    const routeLayer = routeLayerRef.current;
+    if (!map || !routeLayer || !route) return;
+
+    routeLayer.clearLayers();
+
+    const path = route.geometry.map((point) => L.latLng(point.latitude, point.longitude));
+    L.polyline(path, {
       color: 'blue',
       weight: 4,
       opacity: 0.7,
-      lineJoin: 'round'
-    }).addTo(map);
+      lineJoin: 'round',
+      dashArray: route.source === 'straightLine' ? '5, 10' : undefined // dashed when only estimated
+    }).addTo(routeLayer);
 
-    // Calculate and display distance
-    const distance = calculateDistance(pickupLocation, destinationLocation);
-    
-    // Add distance label on the route
-    const midpoint = L.latLng(
-      (pickupLocation.latitude + destinationLocation.latitude) / 2,
-      (pickupLocation.longitude + destinationLocation.longitude) / 2
-    );
-    
-    L.marker(midpoint, {
+    // Add distance label halfway along the route
+    L.marker(path[Math.floor(path.length / 2)], {
       icon: L.divIcon({
         className: 'distance-label',
-        html: `<div class="bg-white px-2 py-1 rounded shadow text-xs">${distance.toFixed(1)} miles</div>`,
+        html: `<div class="bg-white px-2 py-1 rounded shadow text-xs">${route.distanceMiles.toFixed(1)} miles</div>`,
         iconSize: [80, 20],
         iconAnchor: [40, 10]
       })
-    }).addTo(map);
-    
-    // Call the callback with the calculated distance
+    }).addTo(routeLayer);
+
+    map.fitBounds(L.latLngBounds(path), {
+      padding: [50, 50],
+      maxZoom: 15
+    });
+
+    // Call the callback with the route distance
     if (onDistanceCalculated) {
-      onDistanceCalculated(distance);
+      onDistanceCalculated(route.distanceMiles);
     }
-
-    return () => {
-      if (mapInstanceRef.current) {
-        mapInstanceRef.current.remove();
-        mapInstanceRef.current = null;
-      }
-    };
-  }, [pickupLocation, destinationLocation, onDistanceCalculated]);
+  }, [route, pickupLocation, destinationLocation, onDistanceCalculated]);
 
   return (
     <Card className="overflow-hidden">
@@ -0,0 +1,75 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { CheckCircle2, ChevronDown, HandCoins, ChevronUp, Clock, Flag, ListOrdered, Play, TimerOff, Undo2, XCircle } from "lucide-react";
+import { RideEvent, RideEventType, RIDE_EVENT_LABELS, listenToRideEvents } from "@/services/rideEventLog";
+
+interface RideTimelineProps {
+  rideId: string;
+  defaultOpen?: boolean;
+}
+
+const EVENT_ICONS: Record<RideEventType, { icon: typeof Clock; className: string }> = {
+  requested: { icon: Clock, className: "text-gray-500" },
+  accepted: { icon: CheckCircle2, className: "text-blue-600" },
+  offerAccepted: { icon: HandCoins, className: "text-blue-600" },
+  driverCancelled: { icon: Undo2, className: "text-orange-500" },
+  started: { icon: Play, className: "text-green-600" },
+  completed: { icon: Flag, className: "text-green-700" },
+  cancelled: { icon: XCircle, className: "text-red-600" },
+  expired: { icon: TimerOff, className: "text-gray-500" },
+};
+
+// Collapsible timeline of a ride's lifecycle events, loaded when opened
+const RideTimeline = ({ rideId, defaultOpen = false }: RideTimelineProps) => {
+  const [isOpen, setIsOpen] = useState(defaultOpen);
+  const [events, setEvents] = useState<RideEvent[] | null>(null);
+
+  useEffect(() => {
+    if (!isOpen || !rideId) return;
+    return listenToRideEvents(rideId, setEvents);
+  }, [isOpen, rideId]);
+
+  return (
+    <div>
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-7 px-2 text-xs"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        <ListOrdered className="w-3 h-3 mr-1" />
+        Timeline
+        {isOpen ? <ChevronUp className="w-3 h-3 ml-1" /> : <ChevronDown className="w-3 h-3 ml-1" />}
+      </Button>
+
+      {isOpen && (
+        <div className="mt-2 ml-2">
+          {events === null ? (
+            <p className="text-xs text-gray-500">Loading events...</p>
+          ) : events.length === 0 ? (
+            <p className="text-xs text-gray-500">No events recorded for this ride</p>
+          ) : (
+            <ol className="relative border-l border-gray-200 space-y-3">
+              {events.map((event) => {
+                const { icon: Icon, className } = EVENT_ICONS[event.type] || EVENT_ICONS.requested;
+                return (
+                  <li key={event.id} className="relative ml-4">
+                    <span className="absolute -left-6 top-0.5 flex items-center justify-center w-4 h-4 bg-white rounded-full">
+                      <Icon className={`w-4 h-4 ${className}`} />
+                    </span>
+                    <p className="text-sm font-medium">{RIDE_EVENT_LABELS[event.type] || event.type}</p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(event.timestamp).toLocaleString()} · {event.actorName} ({event.actorRole})
+                    </p>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RideTimeline;
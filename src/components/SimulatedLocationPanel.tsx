@@ -0,0 +1,166 @@
+import { useEffect, useRef, useState, ChangeEvent } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Slider } from "@/components/ui/slider";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { FlaskConical, Pause, Play, Upload, X, Satellite } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { parseTrace } from "@/utils/traceParser";
+import {
+  ReplayState,
+  getReplayState,
+  loadReplayTrace,
+  pauseReplay,
+  playReplay,
+  seekReplay,
+  setReplaySpeed,
+  subscribeToReplay,
+  unloadReplayTrace,
+} from "@/services/traceReplay";
+import { isLocationSimulationAvailable } from "@/services/locationService";
+
+const REPLAY_SPEEDS = [1, 2, 5, 10, 20];
+
+const formatReplayTime = (ms: number): string => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const SimulatedLocationPanel = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [replay, setReplay] = useState<ReplayState>(getReplayState);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const { toast } = useToast();
+
+  useEffect(() => subscribeToReplay(setReplay), []);
+
+  // Developer tool: only in builds that allow simulated locations
+  if (!isLocationSimulationAvailable()) return null;
+
+  const handleFileSelected = async (e: ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const points = parseTrace(text, file.name);
+      loadReplayTrace(points, file.name);
+      toast({
+        title: "Trace Loaded",
+        description: `${points.length} points from ${file.name}. Location is now simulated.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Could Not Load Trace",
+        description: error instanceof Error ? error.message : "The file could not be read.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const isLoaded = replay.status !== 'empty';
+  const progress = replay.durationMs > 0 ? replay.elapsedMs / replay.durationMs : 0;
+
+  if (!isOpen) {
+    return (
+      <Button
+        variant="outline"
+        size="sm"
+        className="fixed bottom-4 left-4 z-50 bg-white/90 shadow-md"
+        onClick={() => setIsOpen(true)}
+      >
+        <FlaskConical className="w-4 h-4 mr-2" />
+        {isLoaded ? `Simulating (${replay.status})` : "Simulate GPS"}
+      </Button>
+    );
+  }
+
+  return (
+    <Card className="fixed bottom-4 left-4 z-50 w-80 shadow-xl">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-sm flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <FlaskConical className="w-4 h-4" />
+            Simulated Location
+          </span>
+          <Button variant="ghost" size="sm" className="h-7 px-2" onClick={() => setIsOpen(false)}>
+            <X className="w-4 h-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".gpx,.geojson,.json,.nmea,.txt"
+          className="hidden"
+          onChange={handleFileSelected}
+        />
+        <Button variant="outline" size="sm" className="w-full" onClick={() => fileInputRef.current?.click()}>
+          <Upload className="w-4 h-4 mr-2" />
+          Load GPX / GeoJSON / NMEA trace
+        </Button>
+
+        {isLoaded ? (
+          <>
+            <div className="flex items-center justify-between">
+              <span className="truncate max-w-[180px]" title={replay.name || ''}>{replay.name}</span>
+              <Badge variant="outline">{replay.pointCount} pts</Badge>
+            </div>
+
+            <Slider
+              value={[progress * 100]}
+              max={100}
+              step={0.1}
+              onValueChange={(value) => seekReplay(value[0] / 100)}
+            />
+            <div className="flex justify-between text-xs text-gray-500">
+              <span>{formatReplayTime(replay.elapsedMs)}</span>
+              <span>{formatReplayTime(replay.durationMs)}</span>
+            </div>
+
+            <div className="flex items-center gap-2">
+              {replay.status === 'playing' ? (
+                <Button size="sm" className="flex-1" onClick={pauseReplay}>
+                  <Pause className="w-4 h-4 mr-1" />
+                  Pause
+                </Button>
+              ) : (
+                <Button size="sm" className="flex-1" onClick={playReplay}>
+                  <Play className="w-4 h-4 mr-1" />
+                  {replay.status === 'finished' ? 'Replay' : 'Play'}
+                </Button>
+              )}
+              <Select value={replay.speed.toString()} onValueChange={(value) => setReplaySpeed(parseFloat(value))}>
+                <SelectTrigger className="w-[80px] h-9">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {REPLAY_SPEEDS.map((speed) => (
+                    <SelectItem key={speed} value={speed.toString()}>{speed}x</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <Button variant="ghost" size="sm" className="w-full text-red-600" onClick={unloadReplayTrace}>
+              <Satellite className="w-4 h-4 mr-2" />
+              Use real GPS
+            </Button>
+          </>
+        ) : (
+          <p className="text-xs text-gray-500">
+            Load a recorded track to drive the app from your desk. Replayed fixes go through the
+            same location service as real GPS.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SimulatedLocationPanel;
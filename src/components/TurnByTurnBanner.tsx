@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  ArrowUp,
+  ArrowUpLeft,
+  ArrowUpRight,
+  ChevronDown,
+  ChevronUp,
+  CornerUpLeft,
+  CornerUpRight,
+  Flag,
+  ListOrdered,
+  Navigation,
+  RotateCw,
+  Undo2,
+  Volume2,
+  VolumeX
+} from "lucide-react";
+import { RouteStep } from "@/services/routingService";
+import { describeRouteStep, formatGuidanceDistance, Guidance } from "@/utils/turnByTurn";
+
+interface TurnByTurnBannerProps {
+  guidance: Guidance;
+  steps: RouteStep[];
+  arrivalName: string;
+  isEstimated?: boolean; // straight-line route: no road directions available
+  voiceSupported: boolean;
+  voiceEnabled: boolean;
+  onVoiceChange: (enabled: boolean) => void;
+}
+
+// Arrow matching a maneuver's direction
+const ManeuverIcon = ({ step, className }: { step: RouteStep; className?: string }) => {
+  const { type, modifier } = step.maneuver;
+
+  if (type === 'arrive') return <Flag className={className} />;
+  if (type === 'depart') return <Navigation className={className} />;
+  if (type === 'roundabout' || type === 'rotary') return <RotateCw className={className} />;
+  if (modifier === 'uturn') return <Undo2 className={className} />;
+  if (modifier === 'left' || modifier === 'sharp left') return <CornerUpLeft className={className} />;
+  if (modifier === 'right' || modifier === 'sharp right') return <CornerUpRight className={className} />;
+  if (modifier === 'slight left') return <ArrowUpLeft className={className} />;
+  if (modifier === 'slight right') return <ArrowUpRight className={className} />;
+  return <ArrowUp className={className} />;
+};
+
+// Next maneuver with a distance countdown, the one after it, and the remaining steps on request
+const TurnByTurnBanner = ({
+  guidance,
+  steps,
+  arrivalName,
+  isEstimated,
+  voiceSupported,
+  voiceEnabled,
+  onVoiceChange
+}: TurnByTurnBannerProps) => {
+  const [showSteps, setShowSteps] = useState(false);
+  const remainingSteps = steps.slice(guidance.stepIndex);
+
+  return (
+    <div className="border-t">
+      <div className="flex items-center gap-3 p-3 bg-blue-600 text-white">
+        <ManeuverIcon step={guidance.step} className="w-8 h-8 shrink-0" />
+        <div className="flex-1 min-w-0">
+          <p className="text-xl font-bold leading-tight">{formatGuidanceDistance(guidance.distanceMiles)}</p>
+          <p className="text-sm truncate">{describeRouteStep(guidance.step, arrivalName)}</p>
+        </div>
+        {voiceSupported && (
+          <Button
+            variant="ghost"
+            size="icon"
+            className="text-white hover:bg-blue-700 hover:text-white shrink-0"
+            onClick={() => onVoiceChange(!voiceEnabled)}
+            title={voiceEnabled ? 'Mute voice guidance' : 'Turn on voice guidance'}
+          >
+            {voiceEnabled ? <Volume2 className="w-5 h-5" /> : <VolumeX className="w-5 h-5" />}
+          </Button>
+        )}
+      </div>
+
+      {guidance.nextStep && (
+        <div className="flex items-center gap-2 px-3 py-1.5 bg-blue-50 text-xs text-blue-900">
+          <span>Then</span>
+          <ManeuverIcon step={guidance.nextStep} className="w-4 h-4" />
+          <span className="truncate">{describeRouteStep(guidance.nextStep, arrivalName)}</span>
+        </div>
+      )}
+
+      {isEstimated && (
+        <p className="px-3 py-1.5 text-xs text-amber-700 bg-amber-50">
+          Road directions are unavailable, so this is the direct line to {arrivalName}.
+        </p>
+      )}
+
+      {remainingSteps.length > 1 && (
+        <div className="px-3 py-2 bg-gray-50 text-sm">
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-7 px-2 text-xs"
+            onClick={() => setShowSteps(!showSteps)}
+          >
+            <ListOrdered className="w-3 h-3 mr-1" />
+            All steps ({remainingSteps.length})
+            {showSteps ? <ChevronUp className="w-3 h-3 ml-1" /> : <ChevronDown className="w-3 h-3 ml-1" />}
+          </Button>
+
+          {showSteps && (
+            <ol className="mt-1 space-y-1">
+              {remainingSteps.map((step, index) => (
+                <li key={guidance.stepIndex + index} className="flex items-center gap-2 text-gray-700">
+                  <ManeuverIcon step={step} className="w-4 h-4 shrink-0 text-gray-500" />
+                  <span className="flex-1">{describeRouteStep(step, arrivalName)}</span>
+                  {step.distanceMiles > 0 && (
+                    <span className="text-xs text-gray-500">{formatGuidanceDistance(step.distanceMiles)}</span>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TurnByTurnBanner;
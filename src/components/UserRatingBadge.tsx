@@ -0,0 +1,38 @@
+import { useEffect, useState } from "react";
+import { Star } from "lucide-react";
+import { listenToUserRating, RatingRole, RatingSummary } from "@/services/ratingService";
+
+interface UserRatingBadgeProps {
+  userId?: string;
+  role: RatingRole; // the role the user is rated in
+  className?: string;
+}
+
+// A user's average star rating, or "New" until they have been rated
+const UserRatingBadge = ({ userId, role, className = "" }: UserRatingBadgeProps) => {
+  const [summary, setSummary] = useState<RatingSummary | null>(null);
+
+  useEffect(() => {
+    setSummary(null);
+    if (!userId) return;
+    return listenToUserRating(userId, role, setSummary);
+  }, [userId, role]);
+
+  if (!summary) return null;
+
+  return (
+    <span className={`inline-flex items-center gap-1 text-xs text-gray-600 ${className}`}>
+      <Star className="w-3 h-3 fill-yellow-400 text-yellow-400" />
+      {summary.count > 0 ? (
+        <>
+          <span className="font-medium">{summary.average.toFixed(1)}</span>
+          <span className="text-gray-400">({summary.count})</span>
+        </>
+      ) : (
+        <span>New</span>
+      )}
+    </span>
+  );
+};
+
+export default UserRatingBadge;
@@ -13,6 +13,7 @@ import { Badge } from '@/components/ui/badge';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import NotificationItem from '@/components/notifications/NotificationItem';
+import LoadMoreTrigger from '@/components/LoadMoreTrigger';
 import { Bell, Check, Trash2 } from 'lucide-react';
 import { Notification } from '@/services/notificationService';
 
@@ -25,7 +26,7 @@ const NotificationCenter = ({
   variant = 'outline', 
   showText = false 
 }: NotificationCenterProps) => {
-  const { notifications, unreadCount, markAllAsRead, isLoading } = useNotifications();
+  const { notifications, unreadCount, markAllAsRead, isLoading, hasMore, isLoadingMore, loadMore } = useNotifications();
   const [open, setOpen] = useState(false);
   
   // Group notifications by read status
@@ -33,7 +34,7 @@ const NotificationCenter = ({
   const readNotifications = notifications.filter(n => n.read);
   
   // Group by type for tab view
-  const rideNotifications = notifications.filter(n => n.type === 'ride_update');
+  const rideNotifications = notifications.filter(n => n.type === 'ride_update' || n.type === 'chat_message');
   const systemNotifications = notifications.filter(n => 
     n.type === 'system' || n.type === 'promo'
   );
@@ -160,6 +161,9 @@ const NotificationCenter = ({
                   )}
                 </>
               )}
+              {!isLoading && (
+                <LoadMoreTrigger hasMore={hasMore} isLoading={isLoadingMore} onLoadMore={loadMore} />
+              )}
             </ScrollArea>
           </TabsContent>
           
@@ -185,6 +189,9 @@ const NotificationCenter = ({
                   ))}
                 </div>
               )}
+              {!isLoading && (
+                <LoadMoreTrigger hasMore={hasMore} isLoading={isLoadingMore} onLoadMore={loadMore} />
+              )}
             </ScrollArea>
           </TabsContent>
           
@@ -210,6 +217,9 @@ const NotificationCenter = ({
                   ))}
                 </div>
               )}
+              {!isLoading && (
+                <LoadMoreTrigger hasMore={hasMore} isLoading={isLoadingMore} onLoadMore={loadMore} />
+              )}
             </ScrollArea>
           </TabsContent>
         </Tabs>
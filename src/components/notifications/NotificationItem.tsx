@@ -12,6 +12,7 @@ import {
   Flag, 
   Info, 
   MapPin, 
+  MessageCircle, 
   Tag, 
   X,
   XCircle 
@@ -65,6 +66,8 @@ const NotificationItem = ({ notification, onOpenChange }: NotificationItemProps)
         return <XCircle className="h-5 w-5 text-red-500" />;
       case 'info':
         return <Info className="h-5 w-5 text-blue-500" />;
+      case 'message-circle':
+        return <MessageCircle className="h-5 w-5 text-blue-500" />;
       default:
         // Default icons based on notification type
         if (notification.type === 'ride_update') {
@@ -3,6 +3,7 @@ import { AlertCircle, Wifi, WifiOff, MapPin } from 'lucide-react';
 import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
 import { Button } from '@/components/ui/button';
 import { toast } from '@/hooks/use-toast';
+import { getCurrentFix } from '@/services/locationService';
 
 interface ConnectivityContextType {
   isOnline: boolean;
@@ -97,22 +98,18 @@ export const ConnectivityProvider: React.FC<ConnectivityProviderProps> = ({ chil
         return permissionGranted;
       } 
       
-      // For browsers without Permissions API, try to get position
-      return new Promise((resolve) => {
-        navigator.geolocation.getCurrentPosition(
-          () => {
-            setHasLocationPermission(true);
-            setShowLocationAlert(false);
-            resolve(true);
-          },
-          () => {
-            setHasLocationPermission(false);
-            setShowLocationAlert(true);
-            resolve(false);
-          },
-          { timeout: 5000, maximumAge: 0 }
-        );
-      });
+      // For browsers without Permissions API, try to get a position from the shared location service
+      return getCurrentFix({ timeoutMs: 5000, maxAgeMs: 60000, mode: 'idle' })
+        .then(() => {
+          setHasLocationPermission(true);
+          setShowLocationAlert(false);
+          return true;
+        })
+        .catch(() => {
+          setHasLocationPermission(false);
+          setShowLocationAlert(true);
+          return false;
+        });
     } catch (error) {
       console.error('Error checking location permission:', error);
       setHasLocationPermission(false);
@@ -128,25 +125,19 @@ export const ConnectivityProvider: React.FC<ConnectivityProviderProps> = ({ chil
         return false;
       }
       
-      return new Promise((resolve) => {
-        navigator.geolocation.getCurrentPosition(
-          () => {
-            setHasLocationPermission(true);
-            setShowLocationAlert(false);
-            resolve(true);
-          },
-          () => {
-            setHasLocationPermission(false);
-            setShowLocationAlert(true);
-            resolve(false);
-          },
-          { 
-            timeout: 10000, 
-            maximumAge: 0,
-            enableHighAccuracy: true // Better for mobile devices
-          }
-        );
-      });
+      // Goes through the shared location service, so an in-progress watch is reused
+      // rather than triggering another permission prompt
+      return getCurrentFix({ timeoutMs: 10000 })
+        .then(() => {
+          setHasLocationPermission(true);
+          setShowLocationAlert(false);
+          return true;
+        })
+        .catch(() => {
+          setHasLocationPermission(false);
+          setShowLocationAlert(true);
+          return false;
+        });
     } catch (error) {
       console.error('Error requesting location permission:', error);
       return false;
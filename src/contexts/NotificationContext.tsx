@@ -1,7 +1,8 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useState, ReactNode } from 'react';
 import { useAuth } from './AuthContext';
-import { Notification, listenToUserNotifications, markNotificationAsRead, markAllNotificationsAsRead, deleteNotification } from '@/services/notificationService';
+import { Notification, listenToLatestUserNotifications, listenToUnreadNotificationCount, fetchUserNotificationsPage, markNotificationAsRead, markAllNotificationsAsRead, deleteNotification } from '@/services/notificationService';
 import { useToast } from '@/components/ui/use-toast';
+import { usePagedList } from '@/hooks/use-paged-list';
 
 interface NotificationContextType {
   notifications: Notification[];
@@ -10,6 +11,9 @@ interface NotificationContextType {
   markAllAsRead: () => Promise<boolean>;
   removeNotification: (notificationId: string) => Promise<boolean>;
   isLoading: boolean;
+  hasMore: boolean;
+  isLoadingMore: boolean;
+  loadMore: () => Promise<void>;
 }
 
 const NotificationContext = createContext<NotificationContextType | undefined>(undefined);
@@ -27,34 +31,50 @@ interface NotificationProviderProps {
 }
 
 export const NotificationProvider: React.FC<NotificationProviderProps> = ({ children }) => {
-  const [notifications, setNotifications] = useState<Notification[]>([]);
-  const [isLoading, setIsLoading] = useState(true);
   const { currentUser } = useAuth();
   const { toast } = useToast();
   
-  // Calculate unread count
-  const unreadCount = notifications.filter(notification => !notification.read).length;
+  // Subscribe to the user's latest notifications; older ones are fetched as the list is scrolled
+  const {
+    items: notifications,
+    isLoading,
+    hasMore,
+    isLoadingMore,
+    loadMore,
+    updateItems,
+  } = usePagedList<Notification>({
+    enabled: !!currentUser,
+    listenToLatest: (callback) => listenToLatestUserNotifications(callback),
+    fetchOlder: (oldest) => fetchUserNotificationsPage(oldest),
+    getTime: (notification) => notification.timestamp,
+  }, [currentUser]);
+  
+  // Counted across all the user's notifications, not just the pages loaded
+  const [unreadCount, setUnreadCount] = useState(0);
   
   useEffect(() => {
-    if (!currentUser) {
-      setNotifications([]);
-      setIsLoading(false);
-      return;
-    }
-    
-    setIsLoading(true);
+    setUnreadCount(0);
+    if (!currentUser) return;
     
-    // Subscribe to user's notifications
-    const unsubscribe = listenToUserNotifications((notificationsList) => {
-      setNotifications(notificationsList);
-      setIsLoading(false);
-    });
-    
-    return () => {
-      unsubscribe();
-    };
+    return listenToUnreadNotificationCount(setUnreadCount);
   }, [currentUser]);
   
+  const markAsRead = useCallback(async (notificationId: string) => {
+    try {
+      await markNotificationAsRead(notificationId);
+      
+      // Update local state
+      updateItems(n => 
+        n.id === notificationId ? { ...n, read: true } : n
+      );
+      
+      return true;
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      return false;
+    }
+  }, [updateItems]);
+  
   // Show toast for new high-priority notifications
   useEffect(() => {
     // Check for new high-priority unread notifications
@@ -74,34 +94,14 @@ export const NotificationProvider: React.FC<NotificationProviderProps> = ({ chil
       // Auto-mark as read after showing toast
       markAsRead(notification.id as string).catch(console.error);
     });
-  }, [notifications, toast]);
-  
-  const markAsRead = async (notificationId: string) => {
-    try {
-      await markNotificationAsRead(notificationId);
-      
-      // Update local state
-      setNotifications(prev => 
-        prev.map(n => 
-          n.id === notificationId ? { ...n, read: true } : n
-        )
-      );
-      
-      return true;
-    } catch (error) {
-      console.error('Error marking notification as read:', error);
-      return false;
-    }
-  };
+  }, [notifications, toast, markAsRead]);
   
   const markAllAsRead = async () => {
     try {
       await markAllNotificationsAsRead();
       
       // Update local state
-      setNotifications(prev => 
-        prev.map(n => ({ ...n, read: true }))
-      );
+      updateItems(n => ({ ...n, read: true }));
       
       return true;
     } catch (error) {
@@ -115,8 +115,8 @@ export const NotificationProvider: React.FC<NotificationProviderProps> = ({ chil
       await deleteNotification(notificationId);
       
       // Update local state
-      setNotifications(prev => 
-        prev.filter(n => n.id !== notificationId)
+      updateItems(n => 
+        n.id === notificationId ? null : n
       );
       
       return true;
@@ -132,7 +132,10 @@ export const NotificationProvider: React.FC<NotificationProviderProps> = ({ chil
     markAsRead,
     markAllAsRead,
     removeNotification,
-    isLoading
+    isLoading,
+    hasMore,
+    isLoadingMore,
+    loadMore
   };
   
   return (
@@ -0,0 +1,14 @@
+import { useEffect, useState } from "react";
+import { DispatchSettings } from "@/utils/dispatchEngine";
+import { getDispatchSettings, listenToDispatchSettings } from "@/services/dispatchService";
+
+/**
+ * Current dispatch settings, kept up to date with the database
+ */
+export const useDispatchSettings = (): DispatchSettings => {
+  const [settings, setSettings] = useState<DispatchSettings>(getDispatchSettings);
+
+  useEffect(() => listenToDispatchSettings(setSettings), []);
+
+  return settings;
+};
@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useAuth } from "@/contexts/AuthContext";
+import { DriverPresence, goOnline, listenToDriverPresence } from "@/services/presenceService";
+
+/**
+ * The current driver's on-duty status, with a toggle to go online or offline.
+ * Leaving the page takes the driver offline.
+ */
+export const useDriverPresence = () => {
+  const { currentUser } = useAuth();
+  const [presence, setPresence] = useState<DriverPresence | null>(null);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [isOnDuty, setIsOnDuty] = useState(false); // this page is keeping the driver online
+  const goOfflineRef = useRef<(() => Promise<void>) | null>(null);
+
+  useEffect(() => {
+    setPresence(null);
+    if (!currentUser) return;
+    return listenToDriverPresence(currentUser.uid, setPresence);
+  }, [currentUser]);
+
+  const goOffline = useCallback(async () => {
+    const stop = goOfflineRef.current;
+    goOfflineRef.current = null;
+    setIsOnDuty(false);
+    if (stop) {
+      await stop();
+    }
+  }, []);
+
+  // Go offline when the driver leaves the page or signs out
+  useEffect(() => () => {
+    goOffline().catch((error) => console.error('Error going offline:', error));
+  }, [currentUser, goOffline]);
+
+  const setOnline = useCallback(async (online: boolean) => {
+    setIsUpdating(true);
+    try {
+      if (online && !goOfflineRef.current) {
+        goOfflineRef.current = goOnline();
+        setIsOnDuty(true);
+      } else if (!online) {
+        await goOffline();
+      }
+    } finally {
+      setIsUpdating(false);
+    }
+  }, [goOffline]);
+
+  return {
+    presence,
+    // Only trust the stored status while this page keeps the driver online
+    isOnline: isOnDuty && !!presence?.online,
+    isUpdating,
+    setOnline,
+  };
+};
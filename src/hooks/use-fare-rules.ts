@@ -0,0 +1,14 @@
+import { useEffect, useState } from "react";
+import { FareRules } from "@/utils/fareEngine";
+import { getFareRules, listenToFareRules } from "@/services/fareRulesService";
+
+/**
+ * Current fare rules, kept up to date with the database
+ */
+export const useFareRules = (): FareRules => {
+  const [rules, setRules] = useState<FareRules>(getFareRules);
+
+  useEffect(() => listenToFareRules(setRules), []);
+
+  return rules;
+};
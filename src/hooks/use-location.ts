@@ -0,0 +1,31 @@
+import { useEffect, useMemo, useState } from "react";
+import { Location } from "@/services/firebaseService";
+import { LocationFix, SamplingMode, getLastKnownFix, subscribeToLocation } from "@/services/locationService";
+
+/**
+ * Subscribe a component to the shared location service
+ * @param mode Sampling mode this component needs (idle, enroute or trip)
+ * @returns The latest fix, a plain location for it, and the last location error
+ */
+export const useLocation = (mode: SamplingMode = 'idle') => {
+  const [fix, setFix] = useState<LocationFix | null>(getLastKnownFix);
+  const [error, setError] = useState<GeolocationPositionError | null>(null);
+
+  useEffect(() => {
+    return subscribeToLocation(
+      (newFix) => {
+        setFix(newFix);
+        setError(null);
+      },
+      { mode, onError: setError }
+    );
+  }, [mode]);
+
+  // Keep the location object stable between renders so it can be used as an effect dependency
+  const location = useMemo<Location | null>(
+    () => (fix ? { latitude: fix.latitude, longitude: fix.longitude } : null),
+    [fix]
+  );
+
+  return { fix, location, error };
+};
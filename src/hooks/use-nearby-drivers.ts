@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+import { Location } from "@/services/firebaseService";
+import { DEFAULT_NEARBY_RADIUS_MILES, listenToNearbyDrivers, NearbyDriver } from "@/services/driverLocationService";
+import { calculateEstimatedTime } from "@/utils/distanceCalculator";
+import { useRoute } from "@/hooks/use-route";
+
+/**
+ * Available drivers around a location, nearest first, with a rough pickup
+ * estimate for the nearest one
+ */
+export const useNearbyDrivers = (center: Location | null, radiusMiles: number = DEFAULT_NEARBY_RADIUS_MILES) => {
+  const [drivers, setDrivers] = useState<NearbyDriver[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // Small movements of the center shouldn't restart the listener
+  const latitude = center ? Math.round(center.latitude * 1000) / 1000 : undefined;
+  const longitude = center ? Math.round(center.longitude * 1000) / 1000 : undefined;
+
+  useEffect(() => {
+    if (latitude === undefined || longitude === undefined) {
+      setDrivers([]);
+      return;
+    }
+
+    setIsLoading(true);
+    return listenToNearbyDrivers({ latitude, longitude }, radiusMiles, (nearby) => {
+      setDrivers(nearby);
+      setIsLoading(false);
+    });
+  }, [latitude, longitude, radiusMiles]);
+
+  const nearest = drivers[0] || null;
+  const { route: nearestRoute } = useRoute(
+    nearest?.location || null,
+    latitude !== undefined && longitude !== undefined ? { latitude, longitude } : null
+  );
+
+  return {
+    drivers,
+    isLoading,
+    // Positions are fuzzed, so this is only ever an estimate, by road once the route arrives
+    nearestEtaMinutes: nearest
+      ? Math.max(1, nearestRoute?.durationMinutes ?? calculateEstimatedTime(nearest.distance))
+      : null,
+  };
+};
@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+import { listenToPendingRidesNearby, Location, RideRequest } from "@/services/firebaseService";
+
+// The search center is rounded, so look a little further to make up for it
+const ROUNDING_MARGIN_MILES = 0.5;
+
+/**
+ * Pending ride requests near a driver, nearest first. The search area follows
+ * the driver, re-subscribing once they've moved about half a mile.
+ * @param center Driver's location, or null to stop listening
+ * @param radiusMiles How far from the driver to look
+ */
+export const useNearbyPendingRides = (center: Location | null, radiusMiles: number): RideRequest[] => {
+  const [rides, setRides] = useState<RideRequest[]>([]);
+  const latitude = center ? Math.round(center.latitude * 100) / 100 : undefined;
+  const longitude = center ? Math.round(center.longitude * 100) / 100 : undefined;
+
+  useEffect(() => {
+    if (latitude === undefined || longitude === undefined) {
+      setRides([]);
+      return;
+    }
+
+    return listenToPendingRidesNearby({ latitude, longitude }, radiusMiles + ROUNDING_MARGIN_MILES, setRides);
+  }, [latitude, longitude, radiusMiles]);
+
+  return rides;
+};
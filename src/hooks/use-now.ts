@@ -0,0 +1,19 @@
+import { useEffect, useState } from "react";
+
+/**
+ * The current time, refreshed on an interval while enabled, for countdowns and
+ * anything else that changes with the clock
+ */
+export const useNow = (intervalMs: number = 1000, enabled: boolean = true): number => {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs, enabled]);
+
+  return now;
+};
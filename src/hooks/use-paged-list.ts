@@ -0,0 +1,160 @@
+import { DependencyList, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Page } from "@/services/pagedQuery";
+
+interface PagedListOptions<T> {
+  listenToLatest: (callback: (page: Page<T>) => void) => () => void; // live newest page
+  fetchOlder: (oldest: T) => Promise<Page<T>>; // the page before the oldest loaded item
+  getTime: (item: T) => number; // what the list is ordered by
+  enabled?: boolean;
+}
+
+interface PagedListState<T> {
+  live: T[];
+  older: T[];
+  hasMore: boolean;
+  isLoading: boolean;
+}
+
+const EMPTY_STATE = { live: [], older: [], hasMore: false, isLoading: true };
+
+/**
+ * A list that keeps its newest page live and fetches older pages on demand
+ * @param options Where the pages come from
+ * @param deps Restart from the newest page when these change
+ */
+export const usePagedList = <T extends { id?: string }>(options: PagedListOptions<T>, deps: DependencyList) => {
+  const { enabled = true } = options;
+  const [state, setState] = useState<PagedListState<T>>(EMPTY_STATE);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  // Bumped on restart so pages fetched for the previous query are dropped
+  const generationRef = useRef(0);
+  const loadingRef = useRef(false);
+
+  useEffect(() => {
+    generationRef.current += 1;
+    loadingRef.current = false;
+    setState(EMPTY_STATE);
+    setIsLoadingMore(false);
+    setError(null);
+    if (!enabled) return;
+
+    return optionsRef.current.listenToLatest((page) => {
+      const { getTime } = optionsRef.current;
+      setState((prev) => {
+        const liveIds = new Set(page.items.map((item) => item.id));
+        const oldestLive = page.items.length > 0 ? getTime(page.items[page.items.length - 1]) : Infinity;
+        // When newer items push older ones off a full page, keep them in the older list
+        // so there's no gap before the pages already fetched; otherwise they were deleted
+        const pushedOut = page.hasMore
+          ? prev.live.filter((item) => !liveIds.has(item.id) && getTime(item) <= oldestLive)
+          : [];
+        const older = [...pushedOut, ...prev.older.filter((item) => !liveIds.has(item.id))];
+
+        return {
+          live: page.items,
+          older,
+          hasMore: prev.older.length > 0 ? prev.hasMore : page.hasMore,
+          isLoading: false,
+        };
+      });
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enabled, ...deps]);
+
+  const items = useMemo(() => {
+    const { getTime } = optionsRef.current;
+    const seen = new Set<string>();
+    return [...state.live, ...state.older]
+      .filter((item) => {
+        if (seen.has(item.id)) return false;
+        seen.add(item.id);
+        return true;
+      })
+      .sort((a, b) => getTime(b) - getTime(a));
+  }, [state.live, state.older]);
+
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+
+  const appendOlder = useCallback((generation: number, page: Page<T>) => {
+    if (generation !== generationRef.current) return;
+    setState((prev) => {
+      const loadedIds = new Set([...prev.live, ...prev.older].map((item) => item.id));
+      return {
+        ...prev,
+        older: [...prev.older, ...page.items.filter((item) => !loadedIds.has(item.id))],
+        hasMore: page.hasMore,
+      };
+    });
+  }, []);
+
+  const loadMore = useCallback(async () => {
+    const oldest = itemsRef.current[itemsRef.current.length - 1];
+    if (loadingRef.current || !stateRef.current.hasMore || !oldest) return;
+
+    const generation = generationRef.current;
+    loadingRef.current = true;
+    setIsLoadingMore(true);
+    setError(null);
+    try {
+      appendOlder(generation, await optionsRef.current.fetchOlder(oldest));
+    } catch (err) {
+      console.error('Error loading more items:', err);
+      if (generation === generationRef.current) {
+        setError(err instanceof Error ? err.message : 'Could not load more items');
+      }
+    } finally {
+      if (generation === generationRef.current) {
+        loadingRef.current = false;
+        setIsLoadingMore(false);
+      }
+    }
+  }, [appendOlder]);
+
+  // Fetch every remaining page, e.g. before exporting the whole list
+  const loadAll = useCallback(async (): Promise<T[]> => {
+    const generation = generationRef.current;
+    let all = itemsRef.current;
+    let hasMore = stateRef.current.hasMore;
+
+    loadingRef.current = true;
+    setIsLoadingMore(true);
+    try {
+      while (hasMore && all.length > 0 && generation === generationRef.current) {
+        const page = await optionsRef.current.fetchOlder(all[all.length - 1]);
+        appendOlder(generation, page);
+        all = [...all, ...page.items];
+        hasMore = page.hasMore && page.items.length > 0;
+      }
+    } finally {
+      if (generation === generationRef.current) {
+        loadingRef.current = false;
+        setIsLoadingMore(false);
+      }
+    }
+    return all;
+  }, [appendOlder]);
+
+  // Apply a local change to loaded items, e.g. after marking them read
+  const updateItems = useCallback((update: (item: T) => T | null) => {
+    const apply = (list: T[]) => list.map(update).filter(Boolean);
+    setState((prev) => ({ ...prev, live: apply(prev.live), older: apply(prev.older) }));
+  }, []);
+
+  return {
+    items,
+    hasMore: state.hasMore,
+    isLoading: enabled && state.isLoading,
+    isLoadingMore,
+    error,
+    loadMore,
+    loadAll,
+    updateItems,
+  };
+};
@@ -0,0 +1,39 @@
+import { useEffect, useRef, useState } from "react";
+import { RideRequest } from "@/services/firebaseService";
+import { expireRideRequest, getRequestExpirySettings, listenToRequestExpirySettings } from "@/services/requestExpiryService";
+import { RequestExpirySettings } from "@/utils/requestExpiry";
+
+/**
+ * Current request expiry settings, kept up to date with the database
+ */
+export const useRequestExpirySettings = (): RequestExpirySettings => {
+  const [settings, setSettings] = useState<RequestExpirySettings>(getRequestExpirySettings);
+
+  useEffect(() => listenToRequestExpirySettings(setSettings), []);
+
+  return settings;
+};
+
+/**
+ * Expire the customer's pending request when its time runs out. A request that
+ * ran out while the app was closed is expired as soon as it's loaded.
+ */
+export const useRequestExpiry = (ride: RideRequest | null) => {
+  const pendingRide = ride?.status === 'pending' && ride.expiresAt ? ride : null;
+  const rideId = pendingRide?.id;
+  const expiresAt = pendingRide?.expiresAt;
+  // The ride object changes with every update; only its id and expiry restart the timer
+  const latestRideRef = useRef(pendingRide);
+  latestRideRef.current = pendingRide;
+
+  useEffect(() => {
+    if (!rideId || !expiresAt) return;
+
+    const timer = setTimeout(() => {
+      const latestRide = latestRideRef.current;
+      if (latestRide?.id !== rideId) return;
+      expireRideRequest(latestRide).catch((error) => console.error('Error expiring ride request:', error));
+    }, Math.max(expiresAt - Date.now(), 0) + 250);
+    return () => clearTimeout(timer);
+  }, [rideId, expiresAt]);
+};
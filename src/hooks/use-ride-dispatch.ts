@@ -0,0 +1,35 @@
+import { useEffect } from "react";
+import { RideRequest } from "@/services/firebaseService";
+import { advanceRideDispatch } from "@/services/dispatchService";
+import { getActiveDispatchOffer } from "@/utils/dispatchEngine";
+
+/**
+ * Keep a dispatched ride moving while the customer waits: offer it to the next
+ * driver whenever the current offer is declined or runs out.
+ */
+export const useRideDispatch = (ride: RideRequest | null) => {
+  const rideId = ride?.id;
+  const isDispatching = ride?.status === 'pending' && ride.dispatch?.status === 'offering';
+  const offer = isDispatching ? getActiveDispatchOffer(ride.dispatch) : null;
+  // Changes whenever the offer ends early or a new one is made
+  const expiresAt = offer?.expiresAt;
+
+  useEffect(() => {
+    if (!rideId || !isDispatching) return;
+
+    const advance = () => {
+      advanceRideDispatch(rideId).catch((error) => console.error('Error dispatching ride:', error));
+    };
+
+    if (!expiresAt) {
+      advance();
+      return;
+    }
+
+    // Move on once the driver's window closes
+    const timer = setTimeout(advance, Math.max(expiresAt - Date.now(), 0) + 250);
+    return () => clearTimeout(timer);
+  }, [rideId, isDispatching, expiresAt]);
+
+  return offer;
+};
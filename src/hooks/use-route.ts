@@ -0,0 +1,124 @@
+import { useEffect, useRef, useState } from "react";
+import { Location } from "@/services/firebaseService";
+import { getRoute, getRouteDistances, Route, RouteSummary } from "@/services/routingService";
+import { calculateDistance } from "@/utils/distanceCalculator";
+
+// How far the start can move before routes are worked out again
+const DEFAULT_REROUTE_DISTANCE_MILES = 0.1;
+
+// The start point, only following `from` once it has moved far enough to matter
+const useRouteStart = (from: Location | null, rerouteDistanceMiles: number) => {
+  const [start, setStart] = useState<Location | null>(from);
+  const latitude = from?.latitude;
+  const longitude = from?.longitude;
+
+  useEffect(() => {
+    setStart((current) => {
+      if (latitude === undefined || longitude === undefined) return null;
+
+      const next = { latitude, longitude };
+      if (!current || calculateDistance(current, next) >= rerouteDistanceMiles) return next;
+      return current;
+    });
+  }, [latitude, longitude, rerouteDistanceMiles]);
+
+  return start;
+};
+
+/**
+ * Route between two points, by road where possible
+ * @param from Start, or null for no route. Small movements don't reroute.
+ * @param to End, or null for no route
+ */
+export const useRoute = (
+  from: Location | null,
+  to: Location | null,
+  rerouteDistanceMiles: number = DEFAULT_REROUTE_DISTANCE_MILES
+) => {
+  const start = useRouteStart(from, rerouteDistanceMiles);
+  // Remember where each route goes, so a route to an old end is never returned
+  const [result, setResult] = useState<{ route: Route; to: string } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const toLatitude = to?.latitude;
+  const toLongitude = to?.longitude;
+  const toKey = `${toLatitude},${toLongitude}`;
+
+  useEffect(() => {
+    if (!start || toLatitude === undefined || toLongitude === undefined) {
+      setResult(null);
+      setIsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+
+    getRoute(start, { latitude: toLatitude, longitude: toLongitude })
+      .then((route) => {
+        if (!cancelled) setResult({ route, to: `${toLatitude},${toLongitude}` });
+      })
+      .catch((error) => {
+        console.error('Error getting route:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [start, toLatitude, toLongitude]);
+
+  return {
+    route: result?.to === toKey ? result.route : null,
+    isLoading,
+  };
+};
+
+/**
+ * Distance and travel time from one point to each of several others, by road
+ * where possible
+ * @param from Start, or null to skip. Small movements don't recalculate.
+ * @param targets Points to measure to, keyed by id
+ * @returns Summaries by target id, filled in once they arrive
+ */
+export const useRouteDistances = (
+  from: Location | null,
+  targets: { id: string; location: Location }[],
+  rerouteDistanceMiles: number = DEFAULT_REROUTE_DISTANCE_MILES
+): Record<string, RouteSummary> => {
+  const start = useRouteStart(from, rerouteDistanceMiles);
+  const [summaries, setSummaries] = useState<Record<string, RouteSummary>>({});
+
+  // Callers pass a new array every render, so only recalculate when the points change
+  const targetsRef = useRef(targets);
+  targetsRef.current = targets;
+  const targetsKey = targets
+    .map(({ id, location }) => `${id}@${location.latitude},${location.longitude}`)
+    .join('|');
+
+  useEffect(() => {
+    const current = targetsRef.current;
+    if (!start || current.length === 0) {
+      setSummaries({});
+      return;
+    }
+
+    let cancelled = false;
+
+    getRouteDistances(start, current.map((target) => target.location))
+      .then((results) => {
+        if (cancelled) return;
+        setSummaries(Object.fromEntries(current.map((target, index) => [target.id, results[index]])));
+      })
+      .catch((error) => {
+        console.error('Error getting route distances:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [start, targetsKey]);
+
+  return summaries;
+};
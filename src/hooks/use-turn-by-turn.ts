@@ -0,0 +1,92 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Location } from "@/services/firebaseService";
+import { Route } from "@/services/routingService";
+import { FINAL_PROMPT_DISTANCE_MILES, getGuidance, getGuidancePrompt } from "@/utils/turnByTurn";
+
+const VOICE_GUIDANCE_STORAGE_KEY = 'voiceGuidance';
+
+export const isSpeechSupported = (): boolean =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+
+const loadVoicePreference = (): boolean => {
+  try {
+    return localStorage.getItem(VOICE_GUIDANCE_STORAGE_KEY) === 'enabled';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether the driver wants spoken prompts, remembered for later visits
+ */
+export const useVoiceGuidancePreference = () => {
+  const [isEnabled, setIsEnabled] = useState(() => isSpeechSupported() && loadVoicePreference());
+
+  const setEnabled = (enabled: boolean) => {
+    setIsEnabled(enabled);
+    try {
+      localStorage.setItem(VOICE_GUIDANCE_STORAGE_KEY, enabled ? 'enabled' : 'disabled');
+    } catch (error) {
+      // Private browsing can block storage; the choice just won't be remembered
+    }
+  };
+
+  return [isEnabled, setEnabled] as const;
+};
+
+/**
+ * Next maneuver along a route as the driver moves, optionally spoken aloud
+ * @param route Route being followed, or null while there isn't one
+ * @param position Driver's current location
+ * @param arrivalName What the route leads to, e.g. "the pickup"
+ * @param voiceEnabled Speak each maneuver when it comes up and again when it's close
+ */
+export const useTurnByTurn = (
+  route: Route | null,
+  position: Location | null,
+  arrivalName: string,
+  voiceEnabled: boolean
+) => {
+  // Progress belongs to a route; a new route starts again from its first maneuver
+  const [progress, setProgress] = useState<{ route: Route | null; stepIndex: number }>({ route: null, stepIndex: 1 });
+  const fromIndex = progress.route === route ? progress.stepIndex : 1;
+
+  const guidance = useMemo(
+    () => (route && position ? getGuidance(route.steps, position, fromIndex) : null),
+    [route, position, fromIndex]
+  );
+
+  useEffect(() => {
+    if (!route || !guidance) return;
+    setProgress((current) =>
+      current.route === route && current.stepIndex === guidance.stepIndex
+        ? current
+        : { route, stepIndex: guidance.stepIndex }
+    );
+  }, [route, guidance]);
+
+  // Prompts already given, by maneuver point and stage, so rerouting doesn't repeat them
+  const spokenRef = useRef<Set<string>>(new Set());
+
+  useEffect(() => {
+    if (!voiceEnabled || !guidance || !isSpeechSupported()) return;
+
+    const { latitude, longitude } = guidance.step.location;
+    const stage = guidance.distanceMiles <= FINAL_PROMPT_DISTANCE_MILES ? 'final' : 'upcoming';
+    const key = `${latitude.toFixed(4)},${longitude.toFixed(4)}:${stage}`;
+    if (spokenRef.current.has(key)) return;
+    spokenRef.current.add(key);
+
+    // Drop anything still queued; only the latest instruction matters
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(new SpeechSynthesisUtterance(getGuidancePrompt(guidance, arrivalName)));
+  }, [voiceEnabled, guidance, arrivalName]);
+
+  // Stop talking when voice is turned off or guidance goes away
+  useEffect(() => {
+    if (!voiceEnabled || !isSpeechSupported()) return;
+    return () => window.speechSynthesis.cancel();
+  }, [voiceEnabled]);
+
+  return guidance;
+};
@@ -0,0 +1,149 @@
+import { database, auth } from '@/lib/firebase';
+import { ref, push, set, onValue, serverTimestamp } from 'firebase/database';
+import { getRideParticipantRole, type RideParticipantRole, type RideRequest } from './firebaseService';
+import { createChatMessageNotification } from './notificationService';
+
+/**
+ * One message in a ride's chat between the customer and the driver
+ */
+export interface ChatMessage {
+  id?: string;
+  senderId: string;
+  senderName: string;
+  senderRole: RideParticipantRole;
+  text: string;
+  timestamp: number;
+  quickReply?: boolean; // sent from one of the canned replies
+}
+
+/**
+ * Everything stored for a ride's chat. Times are the server's, so the two
+ * phones' clocks don't need to agree for read receipts to work.
+ */
+export interface RideChat {
+  messages: ChatMessage[]; // oldest first
+  lastRead: Record<string, number>; // when each participant last read the chat, by user id
+}
+
+export const MAX_CHAT_MESSAGE_LENGTH = 500;
+
+// Canned replies offered to each side of the ride
+export const QUICK_REPLIES: Record<RideParticipantRole, string[]> = {
+  customer: ["I'm at the pickup spot", 'Running 2 min late', 'Please call me when you arrive', 'Thank you!'],
+  driver: ["I'm outside", 'Running 2 min late', 'On my way', "I can't find you, where are you?"],
+};
+
+// Each driver assigned to a ride gets a chat of their own with the customer, so a
+// driver who takes over a ride can't read what was said to the one before
+const getChatPath = (rideId: string, driverId: string) => `rideChats/${rideId}_${driverId}`;
+
+/**
+ * Messages can only be sent while a driver is assigned and the trip hasn't ended.
+ * Before that there is no one to talk to; afterwards the chat is read-only.
+ */
+export const canSendChatMessages = (status?: RideRequest['status']): boolean => {
+  return status === 'accepted' || status === 'started';
+};
+
+/**
+ * Whether a ride has a chat to show (read-only once the ride is over)
+ */
+export const hasRideChat = (ride?: RideRequest | null): boolean => {
+  return !!ride?.driverId && ride.status !== 'pending';
+};
+
+/**
+ * Send a message to the other party of a ride, and notify them
+ * @returns The stored message
+ */
+export const sendChatMessage = async (ride: RideRequest, text: string, quickReply: boolean = false): Promise<ChatMessage> => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to send messages');
+  }
+
+  const senderRole = getRideParticipantRole(ride, currentUser.uid);
+  if (!senderRole) {
+    throw new Error('You can only message the other person on your own ride');
+  }
+  if (!canSendChatMessages(ride.status)) {
+    throw new Error('Chat is closed for this ride');
+  }
+
+  const trimmed = text.trim().slice(0, MAX_CHAT_MESSAGE_LENGTH);
+  if (!trimmed) {
+    throw new Error('Message cannot be empty');
+  }
+
+  const message: Omit<ChatMessage, 'id'> = {
+    senderId: currentUser.uid,
+    senderName: currentUser.displayName || (senderRole === 'customer' ? 'Customer' : 'Driver'),
+    senderRole,
+    text: trimmed,
+    timestamp: Date.now(),
+  };
+  if (quickReply) {
+    message.quickReply = true;
+  }
+
+  const messageRef = push(ref(database, `${getChatPath(ride.id, ride.driverId)}/messages`));
+  await set(messageRef, { ...message, timestamp: serverTimestamp() });
+  // Sending counts as having read everything before it
+  await markChatRead(ride.id, ride.driverId);
+
+  const recipientId = senderRole === 'customer' ? ride.driverId : ride.customerId;
+  try {
+    await createChatMessageNotification(ride, recipientId, message.senderName, trimmed);
+  } catch (error) {
+    // The message itself was sent; a missing notification shouldn't fail it
+    console.error('Error notifying chat recipient:', error);
+  }
+
+  // The stored timestamp is the server's; this one is the local estimate of it
+  return { id: messageRef.key, ...message };
+};
+
+/**
+ * Record that the current user has read a ride's chat with a driver up to now
+ */
+export const markChatRead = async (rideId: string, driverId: string) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) return;
+
+  await set(ref(database, `${getChatPath(rideId, driverId)}/lastRead/${currentUser.uid}`), serverTimestamp());
+};
+
+/**
+ * Listen to the messages and read receipts of a ride's chat with a driver
+ * @returns Function to unsubscribe
+ */
+export const listenToRideChat = (rideId: string, driverId: string, callback: (chat: RideChat) => void) => {
+  return onValue(ref(database, getChatPath(rideId, driverId)), (snapshot) => {
+    const data = snapshot.val() || {};
+    const messages: ChatMessage[] = Object.keys(data.messages || {})
+      .map((key) => ({ id: key, ...data.messages[key] }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    callback({ messages, lastRead: data.lastRead || {} });
+  }, (error) => {
+    console.error('Error loading ride chat:', error);
+    callback({ messages: [], lastRead: {} });
+  });
+};
+
+/**
+ * Number of messages from the other party that a user hasn't read yet
+ */
+export const getUnreadCount = (chat: RideChat, userId: string): number => {
+  const lastRead = chat.lastRead[userId] || 0;
+  return chat.messages.filter((message) => message.senderId !== userId && message.timestamp > lastRead).length;
+};
+
+/**
+ * Whether the recipient has read a message, for read receipts
+ */
+export const isMessageRead = (chat: RideChat, message: ChatMessage): boolean => {
+  return Object.keys(chat.lastRead).some(
+    (userId) => userId !== message.senderId && chat.lastRead[userId] >= message.timestamp
+  );
+};
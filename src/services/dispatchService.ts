@@ -0,0 +1,123 @@
+import { database, auth } from '@/lib/firebase';
+import { ref, get, onValue, runTransaction } from 'firebase/database';
+import {
+  advanceDispatch,
+  declineDispatch,
+  DEFAULT_DISPATCH_SETTINGS,
+  DispatchSettings,
+  DispatchStore,
+  normalizeDispatchSettings,
+  RideDispatch,
+} from '@/utils/dispatchEngine';
+import { getNearbyDrivers } from './driverLocationService';
+import { getUserRating } from './ratingService';
+import type { RideRequest } from './firebaseService';
+
+const DISPATCH_SETTINGS_PATH = 'config/dispatch';
+
+// Latest settings seen from the database, shared by every caller
+let cachedSettings: DispatchSettings = DEFAULT_DISPATCH_SETTINGS;
+
+/**
+ * Get the dispatch settings loaded so far (dispatch is off until the database responds)
+ */
+export const getDispatchSettings = (): DispatchSettings => cachedSettings;
+
+/**
+ * Listen to the dispatch settings in the database. Falls back to the defaults
+ * (dispatch off) when none are configured or they can't be read.
+ * @returns Function to unsubscribe
+ */
+export const listenToDispatchSettings = (callback: (settings: DispatchSettings) => void) => {
+  callback(cachedSettings);
+
+  return onValue(
+    ref(database, DISPATCH_SETTINGS_PATH),
+    (snapshot) => {
+      cachedSettings = normalizeDispatchSettings(snapshot.val());
+      callback(cachedSettings);
+    },
+    (error) => {
+      console.error('Error loading dispatch settings, using defaults:', error);
+      cachedSettings = DEFAULT_DISPATCH_SETTINGS;
+      callback(cachedSettings);
+    }
+  );
+};
+
+/**
+ * Dispatch store backed by Firebase. Candidates are the drivers sharing their
+ * position for the nearby-drivers map, so distances are only accurate to the
+ * fuzzing of those positions.
+ */
+export const createFirebaseDispatchStore = (settings: DispatchSettings = cachedSettings): DispatchStore => ({
+  getRide: async (rideId) => {
+    const snapshot = await get(ref(database, `rideRequests/${rideId}`));
+    return snapshot.exists() ? { ...snapshot.val(), id: rideId } : null;
+  },
+
+  getCandidates: async (ride) => {
+    const drivers = (await getNearbyDrivers(ride.pickupLocation, settings.maxDistanceMiles))
+      .filter((driver) => driver.driverId !== ride.customerId);
+
+    return Promise.all(drivers.map(async (driver) => {
+      let rating: number | undefined;
+      try {
+        const summary = await getUserRating(driver.driverId, 'driver');
+        rating = summary.count > 0 ? summary.average : undefined;
+      } catch (error) {
+        console.error('Error loading driver rating for dispatch:', error);
+      }
+      return { driverId: driver.driverId, location: driver.location, rating, availableSince: driver.availableSince };
+    }));
+  },
+
+  updateDispatch: async (rideId, update) => {
+    let saved: RideDispatch | null = null;
+
+    const result = await runTransaction(ref(database, `rideRequests/${rideId}`), (ride) => {
+      saved = null;
+
+      // Nothing cached locally yet: let the server supply the current value and retry
+      if (ride === null) {
+        return ride;
+      }
+
+      const dispatch = update({ ...ride, id: rideId });
+      if (!dispatch) {
+        return;
+      }
+
+      saved = dispatch;
+      // Dispatch changes who may take the ride, so it counts as a change to the ride
+      return { ...ride, dispatch, revision: (ride.revision || 0) + 1 };
+    });
+
+    return result.committed ? saved : null;
+  },
+});
+
+/**
+ * Offer a dispatched ride to the next driver if its current offer is over.
+ * Run by the customer's app while the ride waits for a driver.
+ * @returns The ride's dispatch state afterwards
+ */
+export const advanceRideDispatch = async (rideId: string): Promise<RideDispatch | null> => {
+  const settings = getDispatchSettings();
+  return advanceDispatch(createFirebaseDispatchStore(settings), rideId, settings);
+};
+
+/**
+ * Turn down a ride offered to the current driver
+ */
+export const declineDispatchedRide = async (ride: RideRequest) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to decline rides');
+  }
+
+  const declined = await declineDispatch(createFirebaseDispatchStore(), ride.id, currentUser.uid);
+  if (!declined) {
+    throw new Error('This ride is no longer offered to you');
+  }
+};
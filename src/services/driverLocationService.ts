@@ -0,0 +1,191 @@
+import { database, auth } from '@/lib/firebase';
+import {
+  ref,
+  get,
+  set,
+  remove,
+  onValue,
+  onDisconnect,
+  serverTimestamp,
+  query,
+  orderByChild,
+  startAt,
+  endAt,
+  type DataSnapshot,
+} from 'firebase/database';
+import { calculateDistance } from '@/utils/distanceCalculator';
+import { encodeGeohash, getGeohashesCoveringRadius } from '@/utils/geohash';
+import { createFuzzOffset, fuzzLocation, snapToGrid } from '@/utils/locationFuzzing';
+import type { Location } from './firebaseService';
+
+/**
+ * Coarse position of an available driver, as shown to customers. Drivers publish
+ * one while they're online without a ride; it's removed when they go offline,
+ * take a ride or lose their connection.
+ */
+export interface DriverLocation {
+  latitude: number;
+  longitude: number;
+  updatedAt: number;
+  availableSince?: number; // when the driver last became free to take a ride
+  geohash: string; // of the published (fuzzed) position, so customers only query the cells around them
+}
+
+export interface NearbyDriver {
+  driverId: string;
+  location: Location;
+  distance: number; // in miles from the search center
+  availableSince?: number;
+}
+
+export interface DriverLocationPublisherOptions {
+  cellMiles?: number; // size of the grid positions are snapped to
+  minIntervalMs?: number; // minimum time between updates
+  maxIntervalMs?: number; // update at least this often, even when the position hasn't changed
+}
+
+export interface DriverLocationPublisher {
+  publish: (location: Location) => void;
+  stop: () => Promise<void>;
+}
+
+const DEFAULT_PUBLISHER_OPTIONS: Required<DriverLocationPublisherOptions> = {
+  cellMiles: 0.25,
+  minIntervalMs: 15000,
+  maxIntervalMs: 60000,
+};
+
+// Positions older than this are left off the map, in case a removal never happened
+export const DRIVER_LOCATION_MAX_AGE_MS = 3 * 60 * 1000;
+
+export const DEFAULT_NEARBY_RADIUS_MILES = 5;
+
+// Precision of the stored geohash; queries match on shorter prefixes of it
+const DRIVER_GEOHASH_PRECISION = 9;
+
+const getDriverLocationPath = (driverId: string) => `driverLocations/${driverId}`;
+
+// Queries for the geohash cells covering a search area
+const getNearbyDriverQueries = (center: Location, radiusMiles: number) => {
+  const locationsRef = ref(database, 'driverLocations');
+  return getGeohashesCoveringRadius(center, radiusMiles).map((cell) => ({
+    cell,
+    cellQuery: query(locationsRef, orderByChild('geohash'), startAt(cell), endAt(`${cell}\uf8ff`)),
+  }));
+};
+
+/**
+ * Create a publisher that shares the current driver's position with customers.
+ * Positions are fuzzed to a grid cell, and only written when the driver moves to
+ * another cell or the last update is getting old.
+ */
+export const createDriverLocationPublisher = (options: DriverLocationPublisherOptions = {}): DriverLocationPublisher => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to share your location');
+  }
+
+  const settings = { ...DEFAULT_PUBLISHER_OPTIONS, ...options };
+  const locationRef = ref(database, getDriverLocationPath(currentUser.uid));
+  const offset = createFuzzOffset(settings.cellMiles);
+  const availableSince = Date.now();
+  let lastPublishedAt = 0;
+  let lastCell: Location | null = null;
+  let disconnectRegistered = false;
+  let stopped = false;
+
+  const publish = (location: Location) => {
+    if (stopped) return;
+
+    const now = Date.now();
+    const elapsed = now - lastPublishedAt;
+    if (elapsed < settings.minIntervalMs) return;
+
+    const cell = snapToGrid(location, settings.cellMiles);
+    const changedCell = !lastCell || cell.latitude !== lastCell.latitude || cell.longitude !== lastCell.longitude;
+    if (!changedCell && elapsed < settings.maxIntervalMs) return;
+
+    lastPublishedAt = now;
+    lastCell = cell;
+
+    const write = async () => {
+      if (!disconnectRegistered) {
+        await onDisconnect(locationRef).remove();
+        disconnectRegistered = true;
+      }
+      const published = fuzzLocation(location, settings.cellMiles, offset);
+      await set(locationRef, {
+        ...published,
+        geohash: encodeGeohash(published, DRIVER_GEOHASH_PRECISION),
+        updatedAt: serverTimestamp(),
+        availableSince,
+      });
+    };
+    write().catch((error) => console.error('Error sharing driver location:', error));
+  };
+
+  const stop = async () => {
+    if (stopped) return;
+    stopped = true;
+    await remove(locationRef);
+    if (disconnectRegistered) {
+      await onDisconnect(locationRef).cancel();
+    }
+  };
+
+  return { publish, stop };
+};
+
+// Fresh driver positions within a radius, nearest first
+const toNearbyDrivers = (snapshots: DataSnapshot[], center: Location, radiusMiles: number): NearbyDriver[] => {
+  const cutoff = Date.now() - DRIVER_LOCATION_MAX_AGE_MS;
+  const drivers: NearbyDriver[] = [];
+
+  snapshots.forEach((snapshot) => snapshot.forEach((childSnapshot) => {
+    const data = childSnapshot.val() as DriverLocation;
+    if (!data || typeof data.updatedAt !== 'number' || data.updatedAt < cutoff) return;
+
+    const location = { latitude: data.latitude, longitude: data.longitude };
+    const distance = calculateDistance(center, location);
+    if (distance <= radiusMiles) {
+      drivers.push({ driverId: childSnapshot.key, location, distance, availableSince: data.availableSince });
+    }
+  }));
+
+  return drivers.sort((a, b) => a.distance - b.distance);
+};
+
+/**
+ * Get the available drivers within a radius, nearest first. Only the geohash
+ * cells covering the area are queried, so customers don't download drivers
+ * from other cities.
+ */
+export const getNearbyDrivers = async (center: Location, radiusMiles: number): Promise<NearbyDriver[]> => {
+  const snapshots = await Promise.all(getNearbyDriverQueries(center, radiusMiles).map(({ cellQuery }) => get(cellQuery)));
+  return toNearbyDrivers(snapshots, center, radiusMiles);
+};
+
+/**
+ * Listen to the available drivers within a radius, nearest first
+ * @returns Function to unsubscribe
+ */
+export const listenToNearbyDrivers = (
+  center: Location,
+  radiusMiles: number,
+  callback: (drivers: NearbyDriver[]) => void
+) => {
+  const snapshotsByCell: Record<string, DataSnapshot> = {};
+
+  const unsubscribes = getNearbyDriverQueries(center, radiusMiles).map(({ cell, cellQuery }) => {
+    return onValue(cellQuery, (snapshot) => {
+      snapshotsByCell[cell] = snapshot;
+      callback(toNearbyDrivers(Object.values(snapshotsByCell), center, radiusMiles));
+    }, (error) => {
+      console.error('Error loading nearby drivers:', error);
+      delete snapshotsByCell[cell];
+      callback(toNearbyDrivers(Object.values(snapshotsByCell), center, radiusMiles));
+    });
+  });
+
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+};
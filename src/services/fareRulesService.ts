@@ -0,0 +1,35 @@
+import { database } from '@/lib/firebase';
+import { ref, onValue } from 'firebase/database';
+import { DEFAULT_FARE_RULES, FareRules, normalizeFareRules } from '@/utils/fareEngine';
+
+const FARE_RULES_PATH = 'config/fareRules';
+
+// Latest rules seen from the database, shared by every caller
+let cachedRules: FareRules = DEFAULT_FARE_RULES;
+
+/**
+ * Get the fare rules loaded so far (the bundled defaults until the database responds)
+ */
+export const getFareRules = (): FareRules => cachedRules;
+
+/**
+ * Listen to the fare rules in the database. Falls back to the bundled defaults
+ * when none are configured or they can't be read.
+ * @returns Function to unsubscribe
+ */
+export const listenToFareRules = (callback: (rules: FareRules) => void) => {
+  callback(cachedRules);
+
+  return onValue(
+    ref(database, FARE_RULES_PATH),
+    (snapshot) => {
+      cachedRules = normalizeFareRules(snapshot.val());
+      callback(cachedRules);
+    },
+    (error) => {
+      console.error('Error loading fare rules, using defaults:', error);
+      cachedRules = DEFAULT_FARE_RULES;
+      callback(cachedRules);
+    }
+  );
+};
@@ -1,5 +1,16 @@
 import { database, auth } from '@/lib/firebase';
-import { ref, push, set, onValue, off, serverTimestamp, query, orderByChild, equalTo, remove, update, get } from 'firebase/database';
+import { ref, push, set, onValue, off, serverTimestamp, query, orderByChild, equalTo, startAt, endAt, remove, update, get, runTransaction, type Query } from 'firebase/database';
+import type { OdometerFix, OdometerState } from '@/utils/odometer';
+import type { FareSettlement } from '@/utils/fareEngine';
+import type { RideDispatch } from '@/utils/dispatchEngine';
+import { isRideRequestExpired, type RideExpiryReason } from '@/utils/requestExpiry';
+import { calculateDistance } from '@/utils/distanceCalculator';
+import { encodeGeohash, getGeohashesCoveringRadius } from '@/utils/geohash';
+import { buildRideEvent, getRideEventsPath } from './rideEventLog';
+import { DEFAULT_PAGE_SIZE, backfillOwnerRecords, fetchPage, getSortKey, listenToLatestPage, type Page } from './pagedQuery';
+import { isDriverOnline } from './presenceService';
+import { getRoute, type RouteSummary } from './routingService';
+import { isSimulatingLocation } from './locationService';
 
 export interface Location {
   latitude: number;
@@ -15,21 +26,36 @@ export interface RideRequest {
   pickupAddress?: string;
   destinationLocation?: Location;
   destinationAddress?: string;
-  status: 'pending' | 'accepted' | 'started' | 'completed' | 'cancelled';
+  status: 'pending' | 'accepted' | 'started' | 'completed' | 'cancelled' | 'expired';
   driverId?: string;
   driverName?: string;
   startTime?: number;
   endTime?: number;
   startTripLocation?: Location;
   currentDriverLocation?: Location;
-  calculatedMileage: number;
-  estimatedPrice?: number;
+  calculatedMileage: number; // odometer total in miles, accumulated from successive GPS fixes
+  odometerLastFix?: OdometerFix; // last fix counted by the odometer, so tracking can resume
+  estimatedPrice?: number; // price offered by the customer
+  suggestedPrice?: number; // fare from the fare rules when the ride was requested
+  settlement?: FareSettlement; // final fare worked out when the trip was completed
+  settledAmount?: number; // total of the settlement
+  agreedFare?: number; // price agreed when the ride was accepted: the customer's offer or a driver's counter-offer
   cancelTime?: number;
   acceptTime?: number;
   driverCancelTime?: number;
+  driverArrivedTime?: number; // when the driver first reached the pickup, for wait time
   estimatedTimeToPickup?: number; // in minutes
   estimatedDistanceToPickup?: number; // in miles
   lastDriverLocationUpdateTime?: number; // timestamp of last location update
+  revision?: number; // bumped on every status or detail change; location telemetry doesn't count
+  customerHistoryKey?: string; // customer id + request time, for paging through the customer's rides
+  driverHistoryKey?: string; // driver id + end time, set on completion for paging through the driver's trips
+  pendingGeohash?: string; // geohash of the pickup, set only while pending so drivers can find nearby requests
+  dispatch?: RideDispatch; // present when the ride is offered to drivers one at a time
+  expiresAt?: number; // a pending request with no driver by this time expires
+  expiredTime?: number;
+  expiryReason?: RideExpiryReason;
+  locationSimulated?: boolean; // the driver's location was simulated at some point, so the fare isn't settled from it
 }
 
 export const createRideRequest = async (rideData: Omit<RideRequest, 'id' | 'requestTime' | 'calculatedMileage' | 'status' | 'customerId' | 'customerName'>) => {
@@ -48,56 +74,58 @@ export const createRideRequest = async (rideData: Omit<RideRequest, 'id' | 'requ
     customerName: currentUser.displayName || 'Anonymous User',
     requestTime: Date.now(),
     status: 'pending',
-    calculatedMileage: 0
+    calculatedMileage: 0,
+    revision: 1
   };
+  rideRequest.customerHistoryKey = getCustomerHistoryKey(rideRequest);
+  rideRequest.pendingGeohash = getPendingGeohash(rideRequest);
+  // Leave out optional details the caller didn't have, since the database rejects undefined values
+  Object.keys(rideRequest).forEach((key) => {
+    if (rideRequest[key] === undefined) delete rideRequest[key];
+  });
   
-  await set(newRideRef, rideRequest);
+  // Write the ride and the first entry of its event log together
+  const eventKey = push(ref(database, getRideEventsPath(newRideRef.key))).key;
+  await update(ref(database), {
+    [`rideRequests/${newRideRef.key}`]: rideRequest,
+    [`${getRideEventsPath(newRideRef.key)}/${eventKey}`]: buildRideEvent({
+      type: 'requested',
+      status: 'pending',
+      actorId: currentUser.uid,
+      actorName: rideRequest.customerName,
+      actorRole: 'customer',
+      timestamp: rideRequest.requestTime,
+      location: rideRequest.pickupLocation,
+    }),
+  });
   return newRideRef.key;
 };
 
-export const updateRideRequest = async (rideId: string, updates: Partial<RideRequest>) => {
-  const rideRef = ref(database, `rideRequests/${rideId}`);
-  await set(rideRef, updates);
+// Apply changes to a ride object: undefined fields are left alone and null fields are removed.
+// The id and revision can't be changed this way.
+export const mergeRideFields = <T extends object>(ride: T, changes: object): T => {
+  const merged = { ...ride };
+  Object.keys(changes).forEach((key) => {
+    if (key === 'id' || key === 'revision' || changes[key] === undefined) return;
+    if (changes[key] === null) {
+      delete merged[key];
+    } else {
+      merged[key] = changes[key];
+    }
+  });
+  return merged;
 };
 
-// Cancel a ride request (for customers)
-export const cancelRideRequest = async (rideId: string) => {
-  // Check if user is authenticated
-  const currentUser = auth.currentUser;
-  if (!currentUser) {
-    throw new Error('You must be signed in to cancel a ride request');
-  }
-  
-  // Get the ride details first to verify ownership
-  const rideRef = ref(database, `rideRequests/${rideId}`);
-  const snapshot = await new Promise<any>((resolve, reject) => {
-    onValue(rideRef, resolve, { onlyOnce: true });
-  });
-  
-  const rideData = snapshot.val();
-  
-  // Verify the user owns this ride request
-  if (!rideData) {
-    throw new Error('Ride request not found');
-  }
-  
-  if (rideData.customerId !== currentUser.uid) {
-    throw new Error('You can only cancel your own ride requests');
-  }
-  
-  // Only allow cancellation if the ride is still pending
-  if (rideData.status !== 'pending') {
-    throw new Error(`Cannot cancel a ride that is already ${rideData.status}`);
-  }
-  
-  // Update the ride status to cancelled
-  await update(rideRef, {
-    status: 'cancelled',
-    cancelTime: Date.now()
-  });
-  
-  return { success: true };
+// Side of a ride a user is on
+export type RideParticipantRole = 'customer' | 'driver';
+
+// Work out which side of a ride a user is on, or null if they aren't part of it
+export const getRideParticipantRole = (ride: RideRequest, userId: string): RideParticipantRole | null => {
+  if (ride.customerId === userId) return 'customer';
+  if (ride.driverId === userId) return 'driver';
+  return null;
 };
+
 export const listenToRideRequest = (rideId: string, callback: (ride: RideRequest | null) => void) => {
   const rideRef = ref(database, `rideRequests/${rideId}`);
   const unsubscribe = onValue(rideRef, (snapshot) => {
@@ -112,44 +140,57 @@ export const listenToRideRequest = (rideId: string, callback: (ride: RideRequest
   return () => off(rideRef, 'value', unsubscribe);
 };
 
-export const listenToPendingRides = (callback: (rides: RideRequest[]) => void) => {
-  const ridesRef = ref(database, 'rideRequests');
-  const pendingQuery = query(ridesRef, orderByChild('status'), equalTo('pending'));
-  
-  const unsubscribe = onValue(pendingQuery, (snapshot) => {
-    const rides: RideRequest[] = [];
-    snapshot.forEach((childSnapshot) => {
-      const data = childSnapshot.val();
-      rides.push({ ...data, id: childSnapshot.key });
-    });
-    callback(rides);
-  });
-  
-  return () => off(pendingQuery, 'value', unsubscribe);
+// Precision of the stored geohash; queries match on shorter prefixes of it
+const PENDING_GEOHASH_PRECISION = 9;
+
+// How far drivers look for ride requests when they haven't picked a distance
+export const PENDING_RIDE_SEARCH_RADIUS_MILES = 25;
+
+// Geohash index value for a ride while it waits for a driver
+export const getPendingGeohash = (ride: Pick<RideRequest, 'pickupLocation'>): string | null => {
+  if (!ride.pickupLocation) return null;
+  return encodeGeohash(ride.pickupLocation, PENDING_GEOHASH_PRECISION);
 };
 
-// Listen to rides for the current user
-export const listenToUserRides = (callback: (rides: RideRequest[]) => void) => {
-  const currentUser = auth.currentUser;
-  if (!currentUser) {
-    console.error('Must be signed in to listen to user rides');
-    callback([]);
-    return () => {};
-  }
-  
+/**
+ * Listen to the pending rides with a pickup within a radius, nearest first.
+ * Only the geohash cells covering the area are queried, so drivers don't
+ * download requests from other cities.
+ * @returns Function to unsubscribe
+ */
+export const listenToPendingRidesNearby = (
+  center: Location,
+  radiusMiles: number,
+  callback: (rides: RideRequest[]) => void
+) => {
   const ridesRef = ref(database, 'rideRequests');
-  const userRidesQuery = query(ridesRef, orderByChild('customerId'), equalTo(currentUser.uid));
+  const ridesByCell: Record<string, RideRequest[]> = {};
   
-  const unsubscribe = onValue(userRidesQuery, (snapshot) => {
-    const rides: RideRequest[] = [];
-    snapshot.forEach((childSnapshot) => {
-      const data = childSnapshot.val();
-      rides.push({ ...data, id: childSnapshot.key });
-    });
+  const emit = () => {
+    const rides = Object.keys(ridesByCell)
+      .reduce<RideRequest[]>((all, cell) => all.concat(ridesByCell[cell]), [])
+      .filter((ride) => ride.status === 'pending' && !isRideRequestExpired(ride) && ride.pickupLocation
+        && calculateDistance(center, ride.pickupLocation) <= radiusMiles)
+      .sort((a, b) => calculateDistance(center, a.pickupLocation) - calculateDistance(center, b.pickupLocation));
     callback(rides);
+  };
+  
+  const unsubscribes = getGeohashesCoveringRadius(center, radiusMiles).map((cell) => {
+    const cellQuery = query(ridesRef, orderByChild('pendingGeohash'), startAt(cell), endAt(`${cell}\uf8ff`));
+    
+    return onValue(cellQuery, (snapshot) => {
+      const rides: RideRequest[] = [];
+      snapshot.forEach((childSnapshot) => {
+        rides.push({ ...childSnapshot.val(), id: childSnapshot.key });
+      });
+      ridesByCell[cell] = rides;
+      emit();
+    }, (error) => {
+      console.error('Error loading nearby ride requests:', error);
+    });
   });
   
-  return () => off(userRidesQuery, 'value', unsubscribe);
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
 };
 
 // Check if customer has any active/pending ride requests
@@ -285,40 +326,166 @@ export const listenToDriverActiveRide = (callback: (ride: RideRequest | null) =>
   return () => off(driverRidesQuery, 'value', unsubscribe);
 };
 
-// Listen to driver's completed rides history
-export const listenToDriverCompletedRides = (callback: (rides: RideRequest[]) => void) => {
+export interface RidePageOptions {
+  pageSize?: number; // defaults to DEFAULT_PAGE_SIZE
+  from?: number; // oldest time to include
+  to?: number; // newest time to include
+}
+
+// Sort keys for paging: a customer's rides by request time, a driver's completed trips by end time
+export const getCustomerHistoryKey = (ride: Pick<RideRequest, 'customerId' | 'requestTime'>) => getSortKey(ride.customerId, ride.requestTime);
+export const getDriverHistoryKey = (ride: Pick<RideRequest, 'driverId' | 'endTime'>) => getSortKey(ride.driverId, ride.endTime);
+
+// Rides saved before the history keys existed only show up in paged history once they have them.
+// Errors are logged rather than thrown, so the history still lists the rides that do.
+const backfillCustomerHistoryKeys = (customerId: string) =>
+  backfillOwnerRecords<RideRequest>('rideRequests', 'customerId', customerId, (ride) =>
+    ride.customerHistoryKey ? null : { customerHistoryKey: getCustomerHistoryKey(ride) }
+  ).catch((error) => console.error('Error adding history keys to rides:', error));
+
+const backfillDriverHistoryKeys = (driverId: string) =>
+  backfillOwnerRecords<RideRequest>('rideRequests', 'driverId', driverId, (ride) =>
+    ride.status !== 'completed' || ride.driverHistoryKey ? null : { driverHistoryKey: getDriverHistoryKey(ride) }
+  ).catch((error) => console.error('Error adding history keys to rides:', error));
+
+// Listen to the current user's most recent rides, newest first
+export const listenToLatestUserRides = (options: RidePageOptions, callback: (page: Page<RideRequest>) => void) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    console.error('Must be signed in to listen to user rides');
+    callback({ items: [], hasMore: false });
+    return () => {};
+  }
+
+  // The listener picks up older rides as their keys are added
+  backfillCustomerHistoryKeys(currentUser.uid);
+
+  return listenToLatestPage<RideRequest>({
+    path: 'rideRequests',
+    sortKeyField: 'customerHistoryKey',
+    ownerId: currentUser.uid,
+    pageSize: options.pageSize ?? DEFAULT_PAGE_SIZE,
+    from: options.from,
+    to: options.to,
+  }, callback);
+};
+
+// Fetch the current user's rides requested before the given ride, newest first
+export const fetchUserRidesPage = async (before: RideRequest, options: RidePageOptions = {}): Promise<Page<RideRequest>> => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to view your rides');
+  }
+
+  // Older pages may reach rides that didn't have keys yet
+  await backfillCustomerHistoryKeys(currentUser.uid);
+
+  return fetchPage<RideRequest>({
+    path: 'rideRequests',
+    sortKeyField: 'customerHistoryKey',
+    ownerId: currentUser.uid,
+    pageSize: options.pageSize ?? DEFAULT_PAGE_SIZE,
+    from: options.from,
+    before: { sortKey: getCustomerHistoryKey(before), id: before.id },
+  });
+};
+
+// Listen to the current driver's most recently completed trips, latest first
+export const listenToLatestDriverCompletedRides = (options: RidePageOptions, callback: (page: Page<RideRequest>) => void) => {
   const currentUser = auth.currentUser;
   if (!currentUser) {
     console.error('Must be signed in to view ride history');
-    callback([]);
+    callback({ items: [], hasMore: false });
     return () => {};
   }
-  
-  const ridesRef = ref(database, 'rideRequests');
-  const driverRidesQuery = query(ridesRef, orderByChild('driverId'), equalTo(currentUser.uid));
-  
-  const unsubscribe = onValue(driverRidesQuery, (snapshot) => {
-    const completedRides: RideRequest[] = [];
-    
-    snapshot.forEach((childSnapshot) => {
-      const data = childSnapshot.val();
-      // Only include completed rides
-      if (data.status === 'completed') {
-        completedRides.push({ ...data, id: childSnapshot.key });
-      }
-    });
-    
-    // Sort by completion time (latest first)
-    completedRides.sort((a, b) => (b.endTime || 0) - (a.endTime || 0));
-    
-    callback(completedRides);
+
+  // The listener picks up older rides as their keys are added
+  backfillDriverHistoryKeys(currentUser.uid);
+
+  return listenToLatestPage<RideRequest>({
+    path: 'rideRequests',
+    sortKeyField: 'driverHistoryKey',
+    ownerId: currentUser.uid,
+    pageSize: options.pageSize ?? DEFAULT_PAGE_SIZE,
+    from: options.from,
+    to: options.to,
+  }, callback);
+};
+
+// Fetch the current driver's trips completed before the given one, latest first
+export const fetchDriverCompletedRidesPage = async (before: RideRequest, options: RidePageOptions = {}): Promise<Page<RideRequest>> => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to view ride history');
+  }
+
+  // Older pages may reach rides that didn't have keys yet
+  await backfillDriverHistoryKeys(currentUser.uid);
+
+  return fetchPage<RideRequest>({
+    path: 'rideRequests',
+    sortKeyField: 'driverHistoryKey',
+    ownerId: currentUser.uid,
+    pageSize: options.pageSize ?? DEFAULT_PAGE_SIZE,
+    from: options.from,
+    before: { sortKey: getDriverHistoryKey(before), id: before.id },
   });
-  
-  return () => off(driverRidesQuery, 'value', unsubscribe);
 };
 
-// Update driver location and calculate ETA to pickup
-export const updateDriverLocation = async (rideId: string, driverLocation: Location) => {
+// Listen to every trip the current driver completed since the given time, latest first
+export const listenToDriverCompletedRidesSince = (since: number, callback: (rides: RideRequest[]) => void) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    console.error('Must be signed in to view ride history');
+    callback([]);
+    return () => {};
+  }
+
+  // Trips saved without a key are listed once it's added
+  backfillDriverHistoryKeys(currentUser.uid);
+
+  return listenToLatestPage<RideRequest>({
+    path: 'rideRequests',
+    sortKeyField: 'driverHistoryKey',
+    ownerId: currentUser.uid,
+    from: since,
+  }, (page) => callback(page.items));
+};
+
+// Distance from the pickup at which the driver counts as arrived, in miles
+export const PICKUP_ARRIVAL_RADIUS_MILES = 0.2;
+
+// The driving estimate to the pickup is worked out again once the driver is this far from where
+// the last one started; in between, it's adjusted for the ground they've covered
+const PICKUP_REROUTE_DISTANCE_MILES = 0.25;
+
+// Last driving estimate to the pickup, by ride
+const pickupEstimates = new Map<string, { from: Location; to: Location; summary: RouteSummary }>();
+
+const getPickupEstimate = async (rideId: string, driverLocation: Location, pickupLocation: Location): Promise<RouteSummary> => {
+  const last = pickupEstimates.get(rideId);
+  if (
+    last &&
+    last.to.latitude === pickupLocation.latitude &&
+    last.to.longitude === pickupLocation.longitude &&
+    calculateDistance(last.from, driverLocation) < PICKUP_REROUTE_DISTANCE_MILES
+  ) {
+    const progress = Math.max(0, calculateDistance(last.from, pickupLocation) - calculateDistance(driverLocation, pickupLocation));
+    const distanceMiles = Math.max(0, last.summary.distanceMiles - progress);
+    const remaining = last.summary.distanceMiles > 0 ? distanceMiles / last.summary.distanceMiles : 0;
+    return { ...last.summary, distanceMiles, durationMinutes: Math.round(last.summary.durationMinutes * remaining) };
+  }
+
+  // Straight line at an average urban speed if the road network is unavailable
+  const { distanceMiles, durationMinutes, source } = await getRoute(driverLocation, pickupLocation);
+  const summary: RouteSummary = { distanceMiles, durationMinutes, source };
+  pickupEstimates.set(rideId, { from: driverLocation, to: pickupLocation, summary });
+  return summary;
+};
+
+// Update driver location and calculate ETA to pickup.
+// While a trip is in progress, pass the odometer to record the distance driven so far.
+export const updateDriverLocation = async (rideId: string, driverLocation: Location, odometer?: OdometerState) => {
   const currentUser = auth.currentUser;
   if (!currentUser) {
     throw new Error('You must be signed in to update your location');
@@ -341,38 +508,65 @@ export const updateDriverLocation = async (rideId: string, driverLocation: Locat
     }
     
     // Only calculate ETA if the ride is accepted but not started yet
-    if (ride.status === 'accepted' && ride.pickupLocation) {
-      // Import distance calculation utilities
-      const { calculateDistance, calculateEstimatedTime } = await import('@/utils/distanceCalculator');
-      
-      // Calculate distance to pickup
-      const distanceToPickup = calculateDistance(driverLocation, ride.pickupLocation);
-      
-      // Calculate estimated time to pickup (using average urban speed of 25mph)
-      const timeToPickup = calculateEstimatedTime(distanceToPickup);
+    const estimate = ride.status === 'accepted' && ride.pickupLocation
+      ? await getPickupEstimate(rideId, driverLocation, ride.pickupLocation)
+      : null;
+    if (!estimate) {
+      pickupEstimates.delete(rideId);
+    }
+    
+    // Working out the estimate takes a while, so write in a transaction that checks the
+    // ride is still as it was: a ride the driver has since left, finished or that was
+    // deleted must not get their location (or a partial record) written back onto it
+    const result = await runTransaction(rideRef, (current) => {
+      // Nothing cached locally yet: let the server supply the current value and retry
+      if (current === null) {
+        return current;
+      }
+      if (current.driverId !== currentUser.uid || current.status !== ride.status) {
+        return;
+      }
       
-      // Update the ride with driver location and ETA information
-      await update(rideRef, {
+      const updates: Partial<RideRequest> = {
         currentDriverLocation: driverLocation,
-        estimatedDistanceToPickup: distanceToPickup,
-        estimatedTimeToPickup: timeToPickup,
         lastDriverLocationUpdateTime: Date.now()
-      });
+      };
+      if (isSimulatingLocation()) {
+        updates.locationSimulated = true;
+      }
       
+      if (estimate) {
+        updates.estimatedDistanceToPickup = estimate.distanceMiles;
+        updates.estimatedTimeToPickup = estimate.durationMinutes;
+        
+        // Remember when the driver reached the pickup; waiting from then on is charged at settlement.
+        // Measured as the crow flies, since the road route may end across the street.
+        if (!current.driverArrivedTime && calculateDistance(driverLocation, current.pickupLocation) <= PICKUP_ARRIVAL_RADIUS_MILES) {
+          updates.driverArrivedTime = Date.now();
+        }
+      }
+      
+      if (current.status === 'started' && odometer) {
+        updates.calculatedMileage = odometer.totalMiles;
+        if (odometer.lastFix) {
+          updates.odometerLastFix = odometer.lastFix;
+        }
+      }
+      
+      return { ...current, ...updates };
+    });
+    
+    if (!result.committed || !result.snapshot.exists()) {
+      pickupEstimates.delete(rideId);
       return {
-        success: true,
-        distanceToPickup,
-        timeToPickup
+        success: false,
+        error: 'The ride changed before your location was saved'
       };
-    } else {
-      // Just update location if ride is already started
-      await update(rideRef, {
-        currentDriverLocation: driverLocation,
-        lastDriverLocationUpdateTime: Date.now()
-      });
-      
-      return { success: true };
     }
+    
+    return estimate
+      ? { success: true, distanceToPickup: estimate.distanceMiles, timeToPickup: estimate.durationMinutes }
+      : { success: true };
   } catch (error: any) {
     console.error('Error updating driver location:', error);
     return {
@@ -382,39 +576,361 @@ export const updateDriverLocation = async (rideId: string, driverLocation: Locat
   }
 };
 
-// Cancel an accepted ride (for drivers)
-export const cancelAcceptedRide = async (rideId: string) => {
+// A timestamped GPS fix on the route taken during a ride
+export interface Breadcrumb {
+  latitude: number;
+  longitude: number;
+  timestamp: number;
+  accuracy?: number; // in meters
+  speed?: number; // in meters per second
+  heading?: number; // in degrees clockwise from true north
+}
+
+export interface BreadcrumbRecorderOptions {
+  minIntervalMs?: number; // minimum time between recorded fixes
+  minDistanceMiles?: number; // fixes closer than this to the last one are skipped, unless maxIntervalMs has passed
+  maxIntervalMs?: number; // record a fix at least this often, even when stationary
+  batchSize?: number; // flush once this many fixes are buffered
+  flushIntervalMs?: number; // flush buffered fixes at least this often
+}
+
+export interface BreadcrumbRecorder {
+  record: (crumb: Breadcrumb) => void;
+  flush: () => Promise<void>;
+  stop: () => Promise<void>;
+}
+
+const DEFAULT_BREADCRUMB_OPTIONS: Required<BreadcrumbRecorderOptions> = {
+  minIntervalMs: 3000,
+  minDistanceMiles: 0.006, // about 10 meters
+  maxIntervalMs: 60000,
+  batchSize: 10,
+  flushIntervalMs: 30000,
+};
+
+// Keep at most this many unsent fixes in memory while writes are failing
+const MAX_BUFFERED_BREADCRUMBS = 500;
+
+// Breadcrumbs are only recorded while a driver is assigned to the ride
+export const shouldRecordBreadcrumbs = (status?: RideRequest['status']): boolean => {
+  return status === 'accepted' || status === 'started';
+};
+
+// Strip missing readings, since the database rejects undefined values
+const toBreadcrumbRecord = (crumb: Breadcrumb): Breadcrumb => {
+  const record: Breadcrumb = {
+    latitude: crumb.latitude,
+    longitude: crumb.longitude,
+    timestamp: crumb.timestamp,
+  };
+  
+  if (typeof crumb.accuracy === 'number' && !isNaN(crumb.accuracy)) record.accuracy = crumb.accuracy;
+  if (typeof crumb.speed === 'number' && !isNaN(crumb.speed)) record.speed = crumb.speed;
+  if (typeof crumb.heading === 'number' && !isNaN(crumb.heading)) record.heading = crumb.heading;
+  
+  return record;
+};
+
+// Append a batch of breadcrumbs to a ride in a single write
+export const appendBreadcrumbs = async (rideId: string, crumbs: Breadcrumb[]) => {
+  if (crumbs.length === 0) return;
+  
   const currentUser = auth.currentUser;
   if (!currentUser) {
-    throw new Error('You must be signed in to cancel a ride');
+    throw new Error('You must be signed in to record breadcrumbs');
   }
   
-  // Get the ride details first to verify ownership
-  const rideRef = ref(database, `rideRequests/${rideId}`);
-  const snapshot = await get(rideRef);
-  const rideData = snapshot.val();
+  const breadcrumbsRef = ref(database, `rideBreadcrumbs/${rideId}`);
+  const updates: Record<string, Breadcrumb> = {};
+  
+  crumbs.forEach((crumb) => {
+    const key = push(breadcrumbsRef).key;
+    updates[key] = toBreadcrumbRecord(crumb);
+  });
+  
+  await update(breadcrumbsRef, updates);
+};
+
+// Create a recorder that throttles incoming fixes and writes them to the ride in batches
+export const createBreadcrumbRecorder = (rideId: string, options: BreadcrumbRecorderOptions = {}): BreadcrumbRecorder => {
+  const settings = { ...DEFAULT_BREADCRUMB_OPTIONS, ...options };
+  let buffer: Breadcrumb[] = [];
+  let lastRecorded: Breadcrumb | null = null;
+  let pendingFlush: Promise<void> | null = null;
+  let stopped = false;
+  
+  const flush = async () => {
+    // Wait for any in-flight write so batches stay in order
+    if (pendingFlush) {
+      await pendingFlush;
+    }
+    if (buffer.length === 0) return;
+    
+    const batch = buffer;
+    buffer = [];
+    
+    pendingFlush = appendBreadcrumbs(rideId, batch)
+      .catch((error) => {
+        console.error('Error writing breadcrumbs:', error);
+        // Put the batch back so it is retried with the next flush
+        buffer = [...batch, ...buffer].slice(-MAX_BUFFERED_BREADCRUMBS);
+      })
+      .finally(() => {
+        pendingFlush = null;
+      });
+    
+    await pendingFlush;
+  };
+  
+  const flushTimer = setInterval(() => {
+    flush();
+  }, settings.flushIntervalMs);
+  
+  const record = (crumb: Breadcrumb) => {
+    if (stopped) return;
+    
+    if (lastRecorded) {
+      const elapsed = crumb.timestamp - lastRecorded.timestamp;
+      if (elapsed < settings.minIntervalMs) return;
+      
+      const moved = calculateDistance(lastRecorded, crumb);
+      if (moved < settings.minDistanceMiles && elapsed < settings.maxIntervalMs) return;
+    }
+    
+    lastRecorded = crumb;
+    buffer.push(crumb);
+    
+    if (buffer.length >= settings.batchSize) {
+      flush();
+    }
+  };
+  
+  const stop = async () => {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(flushTimer);
+    await flush();
+  };
+  
+  return { record, flush, stop };
+};
+
+// Read the full breadcrumb trail of a ride, oldest first
+export const getRideBreadcrumbs = async (rideId: string): Promise<Breadcrumb[]> => {
+  const breadcrumbsQuery = query(ref(database, `rideBreadcrumbs/${rideId}`), orderByChild('timestamp'));
+  const snapshot = await get(breadcrumbsQuery);
+  const crumbs: Breadcrumb[] = [];
+  
+  snapshot.forEach((childSnapshot) => {
+    crumbs.push(childSnapshot.val());
+  });
+  
+  return crumbs;
+};
+
+// Listen to the breadcrumb trail of a ride as it grows, oldest first
+export const listenToRideBreadcrumbs = (rideId: string, callback: (crumbs: Breadcrumb[]) => void) => {
+  const breadcrumbsQuery = query(ref(database, `rideBreadcrumbs/${rideId}`), orderByChild('timestamp'));
+  
+  const unsubscribe = onValue(breadcrumbsQuery, (snapshot) => {
+    const crumbs: Breadcrumb[] = [];
+    snapshot.forEach((childSnapshot) => {
+      crumbs.push(childSnapshot.val());
+    });
+    callback(crumbs);
+  });
+  
+  return unsubscribe;
+};
+
+// A driver's counter-offer on a pending ride. Each driver has at most one offer
+// per ride; sending another replaces it.
+export interface RideOffer {
+  id?: string;
+  rideId: string;
+  customerId: string;
+  driverId: string;
+  driverName: string;
+  amount: number;
+  status: 'open' | 'accepted' | 'declined' | 'withdrawn' | 'expired';
+  createdAt: number;
+  expiresAt: number;
+  driverLocation?: Location;
+}
+
+// How long a counter-offer stays open before it expires
+export const RIDE_OFFER_TTL_MS = 2 * 60 * 1000;
+
+const getRideOfferId = (rideId: string, driverId: string) => `${rideId}_${driverId}`;
+
+// Status of an offer right now: open offers past their expiry count as expired
+export const getRideOfferStatus = (offer: RideOffer, now: number = Date.now()): RideOffer['status'] => {
+  return offer.status === 'open' && offer.expiresAt <= now ? 'expired' : offer.status;
+};
+
+// Send (or replace) a counter-offer on a pending ride (for drivers)
+export const createRideOffer = async (ride: RideRequest, amount: number, driverLocation?: Location) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to make an offer');
+  }
   
-  // Verify the driver owns this ride
-  if (!rideData) {
-    throw new Error('Ride not found');
+  if (!ride.id || ride.status !== 'pending') {
+    throw new Error('Offers can only be made on pending rides');
   }
   
-  if (rideData.driverId !== currentUser.uid) {
-    throw new Error('You can only cancel rides you have accepted');
+  if (ride.customerId === currentUser.uid) {
+    throw new Error("You can't make an offer on your own ride request");
   }
   
-  // Only allow cancellation if the ride is still in accepted state (not started)
-  if (rideData.status !== 'accepted') {
-    throw new Error(`Cannot cancel a ride that is already ${rideData.status}`);
+  if (!(amount > 0)) {
+    throw new Error('Please enter a valid offer amount');
   }
   
-  // Return the ride to pending status and remove driver information
-  await update(rideRef, {
-    status: 'pending',
-    driverId: null,
-    driverName: null,
-    driverCancelTime: Date.now()
-  });
+  if (!(await isDriverOnline(currentUser.uid))) {
+    throw new Error('Go online to make offers on rides');
+  }
+  
+  const now = Date.now();
+  const offer: Omit<RideOffer, 'id'> = {
+    rideId: ride.id,
+    customerId: ride.customerId,
+    driverId: currentUser.uid,
+    driverName: currentUser.displayName || 'Anonymous Driver',
+    amount: Math.round(amount * 100) / 100,
+    status: 'open',
+    createdAt: now,
+    expiresAt: now + RIDE_OFFER_TTL_MS,
+  };
+  
+  if (driverLocation) {
+    offer.driverLocation = driverLocation;
+  }
+  
+  const offerId = getRideOfferId(ride.id, currentUser.uid);
+  await set(ref(database, `rideOffers/${offerId}`), offer);
   
+  return { id: offerId, ...offer };
+};
+
+// Withdraw the current driver's open offer on a ride
+export const withdrawRideOffer = async (rideId: string) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to withdraw an offer');
+  }
+  
+  const offerRef = ref(database, `rideOffers/${getRideOfferId(rideId, currentUser.uid)}`);
+  const snapshot = await get(offerRef);
+  if (!snapshot.exists() || snapshot.val().status !== 'open') {
+    return { success: false };
+  }
+  
+  await update(offerRef, { status: 'withdrawn' });
   return { success: true };
 };
+
+// Read an offer as currently saved, or null if there isn't one
+export const getRideOffer = async (offerId: string): Promise<RideOffer | null> => {
+  const snapshot = await get(ref(database, `rideOffers/${offerId}`));
+  return snapshot.exists() ? { ...snapshot.val(), id: snapshot.key } : null;
+};
+
+// Withdraw a driver's open offers on other rides once they've taken one. Offers on the
+// ride they took are left for closeRideOffers.
+export const withdrawDriverOffers = async (driverId: string, takenRideId: string) => {
+  const offersQuery = query(ref(database, 'rideOffers'), orderByChild('driverId'), equalTo(driverId));
+  const snapshot = await get(offersQuery);
+  const updates: Record<string, string> = {};
+  
+  snapshot.forEach((childSnapshot) => {
+    const offer: RideOffer = childSnapshot.val();
+    if (offer.rideId !== takenRideId && offer.status === 'open') {
+      updates[`rideOffers/${childSnapshot.key}/status`] = 'withdrawn';
+    }
+  });
+  
+  if (Object.keys(updates).length > 0) {
+    await update(ref(database), updates);
+  }
+};
+
+// Close all offers on a ride once one has been accepted: the chosen offer is marked
+// accepted and every other open offer declined
+export const closeRideOffers = async (rideId: string, acceptedOfferId?: string) => {
+  const offersQuery = query(ref(database, 'rideOffers'), orderByChild('rideId'), equalTo(rideId));
+  const snapshot = await get(offersQuery);
+  const updates: Record<string, string> = {};
+  
+  snapshot.forEach((childSnapshot) => {
+    const offer: RideOffer = childSnapshot.val();
+    if (childSnapshot.key === acceptedOfferId) {
+      updates[`rideOffers/${childSnapshot.key}/status`] = 'accepted';
+    } else if (offer.status === 'open') {
+      updates[`rideOffers/${childSnapshot.key}/status`] = getRideOfferStatus(offer) === 'expired' ? 'expired' : 'declined';
+    }
+  });
+  
+  if (Object.keys(updates).length > 0) {
+    await update(ref(database), updates);
+  }
+};
+
+// Listen to offers matching a query, re-checking expiry whenever the next open offer runs out
+const listenToOffers = (offersQuery: Query, callback: (offers: RideOffer[]) => void) => {
+  let offers: RideOffer[] = [];
+  let expiryTimer: ReturnType<typeof setTimeout> | null = null;
+  
+  const emit = () => {
+    if (expiryTimer) {
+      clearTimeout(expiryTimer);
+      expiryTimer = null;
+    }
+    
+    const now = Date.now();
+    const current = offers.map((offer) => ({ ...offer, status: getRideOfferStatus(offer, now) }));
+    callback(current);
+    
+    const nextExpiry = current
+      .filter((offer) => offer.status === 'open')
+      .reduce((soonest, offer) => Math.min(soonest, offer.expiresAt), Infinity);
+    if (nextExpiry !== Infinity) {
+      expiryTimer = setTimeout(emit, Math.max(0, nextExpiry - now) + 50);
+    }
+  };
+  
+  const unsubscribe = onValue(offersQuery, (snapshot) => {
+    offers = [];
+    snapshot.forEach((childSnapshot) => {
+      offers.push({ ...childSnapshot.val(), id: childSnapshot.key });
+    });
+    offers.sort((a, b) => a.amount - b.amount);
+    emit();
+  });
+  
+  return () => {
+    unsubscribe();
+    if (expiryTimer) {
+      clearTimeout(expiryTimer);
+    }
+  };
+};
+
+// Listen to the offers drivers have made on a ride, cheapest first (for customers)
+export const listenToRideOffers = (rideId: string, callback: (offers: RideOffer[]) => void) => {
+  const offersQuery = query(ref(database, 'rideOffers'), orderByChild('rideId'), equalTo(rideId));
+  return listenToOffers(offersQuery, callback);
+};
+
+// Listen to the offers the current driver has made (for drivers)
+export const listenToDriverOffers = (callback: (offers: RideOffer[]) => void) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    console.error('Must be signed in to listen to offers');
+    callback([]);
+    return () => {};
+  }
+  
+  const offersQuery = query(ref(database, 'rideOffers'), orderByChild('driverId'), equalTo(currentUser.uid));
+  return listenToOffers(offersQuery, callback);
+};
@@ -0,0 +1,296 @@
+import type { Location } from './firebaseService';
+
+/**
+ * A GPS fix as delivered to location subscribers
+ */
+export interface LocationFix extends Location {
+  accuracy: number; // in meters
+  speed: number | null; // in meters per second
+  heading: number | null; // in degrees clockwise from true north
+  timestamp: number;
+}
+
+/**
+ * How often a subscriber needs fixes:
+ * - idle: nothing in progress, an occasional fix is enough
+ * - enroute: driver heading to a pickup
+ * - trip: trip in progress, mileage is being recorded
+ */
+export type SamplingMode = 'idle' | 'enroute' | 'trip';
+
+interface SamplingProfile {
+  enableHighAccuracy: boolean;
+  maximumAge: number; // oldest cached position the browser may hand back
+  minIntervalMs: number; // never deliver fixes more often than this
+  maxIntervalMs: number; // deliver fixes at least this often, even when stationary
+  targetSpacingMeters: number; // aim for roughly this much travel between fixes
+}
+
+export const SAMPLING_PROFILES: Record<SamplingMode, SamplingProfile> = {
+  idle: { enableHighAccuracy: false, maximumAge: 60000, minIntervalMs: 30000, maxIntervalMs: 120000, targetSpacingMeters: 500 },
+  enroute: { enableHighAccuracy: true, maximumAge: 5000, minIntervalMs: 3000, maxIntervalMs: 15000, targetSpacingMeters: 50 },
+  trip: { enableHighAccuracy: true, maximumAge: 1000, minIntervalMs: 1000, maxIntervalMs: 10000, targetSpacingMeters: 25 },
+};
+
+const MODE_PRIORITY: SamplingMode[] = ['idle', 'enroute', 'trip'];
+
+// Below this speed (in meters per second) the device is considered stationary
+const STATIONARY_SPEED = 0.5;
+
+interface LocationSubscriber {
+  listener: (fix: LocationFix) => void;
+  onError?: (error: GeolocationPositionError) => void;
+  mode: SamplingMode;
+  lastDeliveredAt: number;
+}
+
+const subscribers = new Set<LocationSubscriber>();
+let watchId: number | null = null;
+let watchProfile: SamplingProfile | null = null;
+let lastFix: LocationFix | null = null;
+let lastError: GeolocationPositionError | null = null;
+let isSimulated = false;
+
+/**
+ * The most demanding sampling mode requested by any subscriber
+ */
+const getEffectiveMode = (): SamplingMode => {
+  let mode: SamplingMode = 'idle';
+  subscribers.forEach((subscriber) => {
+    if (MODE_PRIORITY.indexOf(subscriber.mode) > MODE_PRIORITY.indexOf(mode)) {
+      mode = subscriber.mode;
+    }
+  });
+  return mode;
+};
+
+/**
+ * Work out how long to wait before delivering the next fix, based on the
+ * current sampling mode and how fast the device is moving
+ */
+export const getSamplingInterval = (mode: SamplingMode, speed: number | null): number => {
+  const profile = SAMPLING_PROFILES[mode];
+
+  if (speed === null || isNaN(speed)) {
+    return profile.minIntervalMs;
+  }
+
+  if (speed < STATIONARY_SPEED) {
+    return profile.maxIntervalMs;
+  }
+
+  const interval = (profile.targetSpacingMeters / speed) * 1000;
+  return Math.min(profile.maxIntervalMs, Math.max(profile.minIntervalMs, interval));
+};
+
+const toLocationFix = (position: GeolocationPosition): LocationFix => ({
+  latitude: position.coords.latitude,
+  longitude: position.coords.longitude,
+  accuracy: position.coords.accuracy,
+  speed: position.coords.speed,
+  heading: position.coords.heading,
+  timestamp: position.timestamp,
+});
+
+// Every fix, real or simulated, is delivered to subscribers through here
+const handleFix = (fix: LocationFix) => {
+  lastFix = fix;
+  lastError = null;
+
+  // Throttle deliveries according to each subscriber's sampling mode and the current speed
+  const now = Date.now();
+  subscribers.forEach((subscriber) => {
+    const interval = getSamplingInterval(subscriber.mode, fix.speed);
+    if (subscriber.lastDeliveredAt && now - subscriber.lastDeliveredAt < interval) return;
+    subscriber.lastDeliveredAt = now;
+    subscriber.listener(fix);
+  });
+};
+
+const handleError = (error: GeolocationPositionError) => {
+  lastError = error;
+  subscribers.forEach((subscriber) => subscriber.onError?.(error));
+};
+
+const stopWatching = () => {
+  if (watchId !== null) {
+    navigator.geolocation.clearWatch(watchId);
+  }
+  watchId = null;
+  watchProfile = null;
+};
+
+/**
+ * Start, restart or stop the underlying position watch so that it matches
+ * what the current subscribers need
+ */
+const syncWatch = () => {
+  // While a simulated source is active the real GPS stays off
+  if (subscribers.size === 0 || isSimulated) {
+    stopWatching();
+    return;
+  }
+
+  if (!('geolocation' in navigator)) return;
+
+  const profile = SAMPLING_PROFILES[getEffectiveMode()];
+
+  // A new watch is only needed when the watch options change;
+  // intervals are handled by throttling deliveries per subscriber
+  if (
+    watchId !== null &&
+    watchProfile?.enableHighAccuracy === profile.enableHighAccuracy &&
+    watchProfile?.maximumAge === profile.maximumAge
+  ) return;
+
+  stopWatching();
+  watchProfile = profile;
+  watchId = navigator.geolocation.watchPosition((position) => handleFix(toLocationFix(position)), handleError, {
+    enableHighAccuracy: profile.enableHighAccuracy,
+    maximumAge: profile.maximumAge,
+    timeout: 30000,
+  });
+};
+
+/**
+ * Subscribe to location fixes from the shared position watch
+ * @param listener Called with each fix delivered at the subscriber's sampling rate
+ * @param options Sampling mode and error callback
+ * @returns Function to unsubscribe
+ */
+export const subscribeToLocation = (
+  listener: (fix: LocationFix) => void,
+  options: { mode?: SamplingMode; onError?: (error: GeolocationPositionError) => void } = {}
+): (() => void) => {
+  const subscriber: LocationSubscriber = {
+    listener,
+    onError: options.onError,
+    mode: options.mode || 'idle',
+    lastDeliveredAt: 0,
+  };
+
+  subscribers.add(subscriber);
+  syncWatch();
+
+  // Hand over the last known fix so new subscribers don't start empty.
+  // It doesn't count as a delivery: the fix may be stale, and the next real
+  // fix shouldn't be held back by throttling because of it.
+  if (lastFix) {
+    listener(lastFix);
+  } else if (lastError) {
+    options.onError?.(lastError);
+  }
+
+  return () => {
+    subscribers.delete(subscriber);
+    syncWatch();
+  };
+};
+
+/**
+ * Get the most recent fix seen by the location service, if any
+ */
+export const getLastKnownFix = (): LocationFix | null => lastFix;
+
+/**
+ * Get a single fix, reusing the last known fix when it is fresh enough.
+ * Shares the position watch with other subscribers instead of making a
+ * separate geolocation request.
+ * @param options maxAgeMs: oldest acceptable cached fix; timeoutMs: how long to wait for a new one
+ * @returns Promise resolving with a fix, rejecting if location is unavailable
+ */
+export const getCurrentFix = (options: { maxAgeMs?: number; timeoutMs?: number; mode?: SamplingMode } = {}): Promise<LocationFix> => {
+  const { maxAgeMs = 30000, timeoutMs = 10000, mode = 'trip' } = options;
+
+  if (lastFix && Date.now() - lastFix.timestamp <= maxAgeMs) {
+    return Promise.resolve(lastFix);
+  }
+
+  if (!('geolocation' in navigator) && !isSimulated) {
+    return Promise.reject(new Error('Geolocation is not supported on this device'));
+  }
+
+  // After an error (e.g. permission denied) restart the watch, so this
+  // request gets a fresh attempt instead of the previous failure
+  if (lastError) {
+    lastError = null;
+    stopWatching();
+  }
+
+  return new Promise((resolve, reject) => {
+    let unsubscribe: (() => void) | null = null;
+    let settled = false;
+
+    const settle = () => {
+      settled = true;
+      clearTimeout(timer);
+      // Unsubscribe asynchronously, since the listener may fire during subscribe
+      setTimeout(() => unsubscribe?.(), 0);
+    };
+
+    const timer = setTimeout(() => {
+      if (settled) return;
+      settle();
+      reject(new Error('Timed out waiting for a location fix'));
+    }, timeoutMs);
+
+    unsubscribe = subscribeToLocation(
+      (fix) => {
+        if (settled || Date.now() - fix.timestamp > maxAgeMs) return;
+        settle();
+        resolve(fix);
+      },
+      {
+        mode,
+        onError: (error) => {
+          if (settled) return;
+          settle();
+          reject(error);
+        },
+      }
+    );
+  });
+};
+
+/**
+ * Whether this build lets the location be simulated: development builds, or builds
+ * made with VITE_LOCATION_SIMULATION=enabled. Fixed when the app is built, so it
+ * can't be switched on from the browser.
+ */
+export const isLocationSimulationAvailable = (): boolean =>
+  import.meta.env.DEV || import.meta.env.VITE_LOCATION_SIMULATION === 'enabled';
+
+/**
+ * Switch the location service to a simulated source (e.g. a replayed GPS trace).
+ * The real position watch is stopped until stopSimulatedLocation is called.
+ */
+export const startSimulatedLocation = () => {
+  if (!isLocationSimulationAvailable()) {
+    throw new Error('Simulated locations are not available in this build');
+  }
+  isSimulated = true;
+  lastError = null;
+  syncWatch();
+};
+
+/**
+ * Switch the location service back to the device's real GPS
+ */
+export const stopSimulatedLocation = () => {
+  isSimulated = false;
+  syncWatch();
+};
+
+/**
+ * Whether fixes currently come from a simulated source
+ */
+export const isSimulatingLocation = (): boolean => isSimulated;
+
+/**
+ * Feed a simulated fix through the same delivery path as real GPS fixes.
+ * Ignored unless a simulated source has been started.
+ */
+export const pushSimulatedFix = (fix: LocationFix) => {
+  if (!isSimulated) return;
+  handleFix(fix);
+};
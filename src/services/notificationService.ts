@@ -1,6 +1,7 @@
 import { database, auth } from '@/lib/firebase';
-import { ref, push, set, onValue, off, serverTimestamp, query, orderByChild, equalTo, remove, get } from 'firebase/database';
+import { ref, push, set, onValue, off, serverTimestamp, query, orderByChild, equalTo, remove, get, update } from 'firebase/database';
 import { RideRequest } from './firebaseService';
+import { DEFAULT_PAGE_SIZE, backfillOwnerRecords, fetchPage, getSortKey, listenToLatestPage, type Page } from './pagedQuery';
 
 export interface Notification {
   id?: string;
@@ -9,14 +10,30 @@ export interface Notification {
   message: string;
   timestamp: number;
   read: boolean;
-  type: 'ride_update' | 'driver_update' | 'payment' | 'system' | 'promo';
+  type: 'ride_update' | 'driver_update' | 'chat_message' | 'payment' | 'system' | 'promo';
   rideId?: string;
   actionUrl?: string;
   icon?: string;
   priority: 'low' | 'medium' | 'high';
   expiresAt?: number;
+  userTimeKey?: string; // user id + timestamp, for paging through a user's notifications
+  unreadBy?: string; // user id while unread, so unread notifications can be counted without loading them all
 }
 
+// Notifications saved before userTimeKey and unreadBy existed need them to be listed and counted.
+// Errors are logged rather than thrown, so the notifications that have them still show.
+const backfillNotificationKeys = (userId: string) =>
+  backfillOwnerRecords<Notification>('notifications', 'userId', userId, (notification) => {
+    const fields: Record<string, string> = {};
+    if (!notification.userTimeKey) {
+      fields.userTimeKey = getSortKey(notification.userId, notification.timestamp);
+    }
+    if (!notification.read && !notification.unreadBy) {
+      fields.unreadBy = notification.userId;
+    }
+    return Object.keys(fields).length > 0 ? fields : null;
+  }).catch((error) => console.error('Error adding keys to notifications:', error));
+
 /**
  * Creates a new notification for a user
  */
@@ -28,7 +45,9 @@ export const createNotification = async (notificationData: Omit<Notification, 'i
     ...notificationData,
     timestamp: Date.now(),
     read: false,
+    unreadBy: notificationData.userId,
   };
+  notification.userTimeKey = getSortKey(notification.userId, notification.timestamp);
   
   await set(newNotificationRef, notification);
   return { id: newNotificationRef.key, ...notification };
@@ -78,6 +97,28 @@ export const createRideUpdateNotificationForDriver = async (
   });
 };
 
+/**
+ * Creates a notification for a new chat message on a ride
+ */
+export const createChatMessageNotification = async (
+  ride: RideRequest,
+  recipientId: string,
+  senderName: string,
+  text: string
+) => {
+  if (!recipientId || !ride.id) return null;
+  
+  return createNotification({
+    userId: recipientId,
+    title: `Message from ${senderName}`,
+    message: text,
+    type: 'chat_message',
+    rideId: ride.id,
+    priority: 'medium',
+    icon: 'message-circle'
+  });
+};
+
 /**
  * Listen to a user's notifications
  */
@@ -120,12 +161,87 @@ export const listenToUserNotifications = (callback: (notifications: Notification
   return () => off(notificationsRef, 'value', handleNotifications);
 };
 
+/**
+ * Listen to a user's most recent notifications, newest first
+ */
+export const listenToLatestUserNotifications = (
+  callback: (page: Page<Notification>) => void,
+  pageSize: number = DEFAULT_PAGE_SIZE
+) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    console.error('User must be signed in to listen to notifications');
+    callback({ items: [], hasMore: false });
+    return () => {};
+  }
+  
+  // The listener picks up older notifications as their keys are added
+  backfillNotificationKeys(currentUser.uid);
+  
+  return listenToLatestPage<Notification>({
+    path: 'notifications',
+    sortKeyField: 'userTimeKey',
+    ownerId: currentUser.uid,
+    pageSize,
+  }, callback);
+};
+
+/**
+ * Fetch a user's notifications older than the given one, newest first
+ */
+export const fetchUserNotificationsPage = async (
+  before: Notification,
+  pageSize: number = DEFAULT_PAGE_SIZE
+): Promise<Page<Notification>> => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('User must be signed in to view notifications');
+  }
+  
+  // Older pages may reach notifications that didn't have keys yet
+  await backfillNotificationKeys(currentUser.uid);
+  
+  return fetchPage<Notification>({
+    path: 'notifications',
+    sortKeyField: 'userTimeKey',
+    ownerId: currentUser.uid,
+    pageSize,
+    before: { sortKey: getSortKey(before.userId, before.timestamp), id: before.id },
+  });
+};
+
+/**
+ * Listen to how many of a user's notifications are unread, across all of them
+ * rather than just the pages loaded
+ * @returns Function to unsubscribe
+ */
+export const listenToUnreadNotificationCount = (callback: (count: number) => void) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    console.error('User must be signed in to listen to notifications');
+    callback(0);
+    return () => {};
+  }
+  
+  // Older unread notifications are counted as their keys are added
+  backfillNotificationKeys(currentUser.uid);
+  
+  const unreadQuery = query(ref(database, 'notifications'), orderByChild('unreadBy'), equalTo(currentUser.uid));
+  return onValue(unreadQuery, (snapshot) => {
+    callback(snapshot.size);
+  }, (error) => {
+    console.error('Error listening to unread notifications:', error);
+    callback(0);
+  });
+};
+
 /**
  * Mark a notification as read
  */
 export const markNotificationAsRead = async (notificationId: string) => {
   const notificationRef = ref(database, `notifications/${notificationId}`);
-  await set(notificationRef, { read: true }, { merge: true });
+  // update() only touches the read flags; the rest of the record (including its sort key) stays
+  await update(notificationRef, { read: true, unreadBy: null });
   return true;
 };
 
@@ -139,9 +255,12 @@ export const markAllNotificationsAsRead = async () => {
     return false;
   }
   
+  // Make sure older unread notifications are found too
+  await backfillNotificationKeys(currentUser.uid);
+  
   const notificationsRef = query(
     ref(database, 'notifications'), 
-    orderByChild('userId'), 
+    orderByChild('unreadBy'), 
     equalTo(currentUser.uid)
   );
   
@@ -153,11 +272,12 @@ export const markAllNotificationsAsRead = async () => {
     
     Object.keys(notificationsData).forEach(key => {
       updates[`notifications/${key}/read`] = true;
+      updates[`notifications/${key}/unreadBy`] = null;
     });
     
     if (Object.keys(updates).length > 0) {
       const rootRef = ref(database);
-      await set(rootRef, updates, { merge: true });
+      await update(rootRef, updates);
     }
   }
   
@@ -183,6 +303,7 @@ const getIconForRideStatus = (status: RideRequest['status']): string => {
     case 'started': return 'car';
     case 'completed': return 'flag';
     case 'cancelled': return 'x-circle';
+    case 'expired': return 'clock';
     default: return 'bell';
   }
 };
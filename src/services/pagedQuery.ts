@@ -0,0 +1,146 @@
+import { database } from '@/lib/firebase';
+import {
+  ref,
+  get,
+  onValue,
+  query,
+  orderByChild,
+  equalTo,
+  update,
+  startAt,
+  endAt,
+  endBefore,
+  limitToLast,
+  type DataSnapshot,
+  type QueryConstraint,
+} from 'firebase/database';
+
+/**
+ * Realtime Database queries can only order by one child, so records that are
+ * listed per user carry a sort key combining the owner and a timestamp. Ordering
+ * by that key returns one owner's records in time order, which lets us page
+ * through them instead of downloading every record the owner has.
+ */
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+// Backfills already run (or running) this session, by list, owner field and owner
+const backfills = new Map<string, Promise<void>>();
+
+// Wide enough for millisecond timestamps for the foreseeable future
+const TIME_DIGITS = 15;
+const MAX_TIME = 10 ** TIME_DIGITS - 1;
+
+export interface Page<T> {
+  items: T[]; // newest first
+  hasMore: boolean; // whether older records exist
+}
+
+export interface PageQuery {
+  path: string; // list to query, e.g. 'rideRequests'
+  sortKeyField: string; // child holding the owner/time sort key
+  ownerId: string;
+  pageSize?: number; // leave out to get every record in the range
+  from?: number; // oldest time to include
+  to?: number; // newest time to include
+  before?: { sortKey: string; id: string }; // only records older than this one
+}
+
+/**
+ * Build the sort key for a record owned by `ownerId` at `time`
+ */
+export const getSortKey = (ownerId: string, time: number): string => {
+  const clamped = Math.min(MAX_TIME, Math.max(0, Math.floor(time || 0)));
+  return `${ownerId}_${String(clamped).padStart(TIME_DIGITS, '0')}`;
+};
+
+const buildConstraints = ({ sortKeyField, ownerId, pageSize, from, to, before }: PageQuery, limit?: number): QueryConstraint[] => {
+  const constraints = [
+    orderByChild(sortKeyField),
+    startAt(getSortKey(ownerId, from ?? 0)),
+    // The cursor always lies inside the range, so it can replace the upper bound
+    before ? endBefore(before.sortKey, before.id) : endAt(getSortKey(ownerId, to ?? MAX_TIME)),
+  ];
+  if (pageSize !== undefined) {
+    constraints.push(limitToLast(limit ?? pageSize));
+  }
+  return constraints;
+};
+
+const toNewestFirst = <T>(snapshot: DataSnapshot): T[] => {
+  const items: T[] = [];
+  snapshot.forEach((childSnapshot) => {
+    items.push({ ...childSnapshot.val(), id: childSnapshot.key });
+  });
+  return items.reverse();
+};
+
+/**
+ * Fetch one page of an owner's records, newest first
+ */
+export const fetchPage = async <T>(pageQuery: PageQuery): Promise<Page<T>> => {
+  const { pageSize } = pageQuery;
+  // Ask for one extra record to find out whether there are more
+  const listQuery = query(ref(database, pageQuery.path), ...buildConstraints(pageQuery, pageSize !== undefined ? pageSize + 1 : undefined));
+  const items = toNewestFirst<T>(await get(listQuery));
+
+  if (pageSize !== undefined && items.length > pageSize) {
+    return { items: items.slice(0, pageSize), hasMore: true };
+  }
+  return { items, hasMore: false };
+};
+
+/**
+ * Listen to the newest page of an owner's records
+ * @returns Function to unsubscribe
+ */
+export const listenToLatestPage = <T>(pageQuery: Omit<PageQuery, 'before'>, callback: (page: Page<T>) => void) => {
+  const listQuery = query(ref(database, pageQuery.path), ...buildConstraints(pageQuery));
+
+  return onValue(listQuery, (snapshot) => {
+    const items = toNewestFirst<T>(snapshot);
+    // A full page may or may not have older records behind it; the next fetch will tell
+    callback({ items, hasMore: pageQuery.pageSize !== undefined && items.length >= pageQuery.pageSize });
+  }, (error) => {
+    console.error(`Error listening to ${pageQuery.path}:`, error);
+    callback({ items: [], hasMore: false });
+  });
+};
+
+/**
+ * Records saved before a list had sort keys are missing them, so paged queries
+ * skip them. Add the missing fields to one owner's records, once per session.
+ * @param ownerField Child holding the owner's id, which older records can be queried by
+ * @param getMissingFields Fields a record needs, or null if it has them already
+ */
+export const backfillOwnerRecords = <T>(
+  path: string,
+  ownerField: string,
+  ownerId: string,
+  getMissingFields: (record: T) => Record<string, unknown> | null
+): Promise<void> => {
+  const key = `${path}/${ownerField}/${ownerId}`;
+  const existing = backfills.get(key);
+  if (existing) return existing;
+
+  const backfill = (async () => {
+    const snapshot = await get(query(ref(database, path), orderByChild(ownerField), equalTo(ownerId)));
+    const updates: Record<string, unknown> = {};
+
+    snapshot.forEach((childSnapshot) => {
+      const fields = getMissingFields(childSnapshot.val());
+      Object.entries(fields || {}).forEach(([field, value]) => {
+        updates[`${path}/${childSnapshot.key}/${field}`] = value;
+      });
+    });
+
+    if (Object.keys(updates).length > 0) {
+      await update(ref(database), updates);
+    }
+  })();
+
+  backfills.set(key, backfill);
+  // Try again next time rather than leaving the records unlisted
+  backfill.catch(() => backfills.delete(key));
+  return backfill;
+};
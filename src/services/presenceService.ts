@@ -0,0 +1,214 @@
+import { database, auth } from '@/lib/firebase';
+import {
+  ref,
+  get,
+  push,
+  set,
+  update,
+  onValue,
+  onDisconnect,
+  runTransaction,
+  serverTimestamp,
+  query,
+  orderByChild,
+  startAt,
+} from 'firebase/database';
+import type { OnlineSession } from '@/utils/earnings';
+
+/**
+ * Whether a driver is on duty. Drivers go online and offline explicitly; if
+ * their app loses its connection (closed, crashed, no network) the database
+ * marks them offline through onDisconnect.
+ */
+export interface DriverPresence {
+  online: boolean;
+  lastSeen: number; // last time the driver's app was known to be connected
+  onlineSince?: number; // start of the current online session
+  sessionId?: string;
+  activeRideId?: string; // ride the driver is assigned to, claimed so they can only take one at a time
+  activeRideClaimedAt?: number;
+}
+
+/**
+ * Outcome of claiming a driver for a ride
+ * - claimed: the driver is now assigned to the ride
+ * - busy: the driver is already assigned to another ride (activeRideId)
+ * - offline: the driver isn't online
+ */
+export type DriverClaimResult =
+  | { status: 'claimed' }
+  | { status: 'offline' }
+  | { status: 'busy'; activeRideId: string; claimedAt: number };
+
+const getPresencePath = (driverId: string) => `driverPresence/${driverId}`;
+const getSessionsPath = (driverId: string) => `driverSessions/${driverId}`;
+
+const OFFLINE_PRESENCE: DriverPresence = { online: false, lastSeen: 0 };
+
+const requireDriverId = (): string => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to change your availability');
+  }
+  return currentUser.uid;
+};
+
+/**
+ * Go online and stay online until the returned function is called. Each time the
+ * connection comes back a new online session is started, and the database is told
+ * to mark the driver offline (and end the session) if the connection drops.
+ * @returns Function that takes the driver offline
+ */
+export const goOnline = (): (() => Promise<void>) => {
+  const driverId = requireDriverId();
+  const presenceRef = ref(database, getPresencePath(driverId));
+  let sessionRef: ReturnType<typeof push> | null = null;
+
+  const unsubscribe = onValue(ref(database, '.info/connected'), async (snapshot) => {
+    if (snapshot.val() !== true) return;
+
+    try {
+      sessionRef = push(ref(database, getSessionsPath(driverId)));
+
+      // Register the cleanup before going online, so a drop in between can't leave us stuck online
+      await onDisconnect(presenceRef).update({ online: false, lastSeen: serverTimestamp() });
+      await onDisconnect(ref(database, `${getSessionsPath(driverId)}/${sessionRef.key}/end`)).set(serverTimestamp());
+
+      await set(sessionRef, { start: serverTimestamp() });
+      await update(presenceRef, {
+        online: true,
+        lastSeen: serverTimestamp(),
+        onlineSince: serverTimestamp(),
+        sessionId: sessionRef.key,
+      });
+    } catch (error) {
+      console.error('Error going online:', error);
+    }
+  });
+
+  return async () => {
+    unsubscribe();
+    await onDisconnect(presenceRef).cancel();
+
+    const updates: Record<string, unknown> = {
+      [`${getPresencePath(driverId)}/online`]: false,
+      [`${getPresencePath(driverId)}/lastSeen`]: serverTimestamp(),
+      [`${getPresencePath(driverId)}/onlineSince`]: null,
+      [`${getPresencePath(driverId)}/sessionId`]: null,
+    };
+    if (sessionRef) {
+      // Cancels the pending end of every session started by this connection
+      await onDisconnect(ref(database, getSessionsPath(driverId))).cancel();
+      updates[`${getSessionsPath(driverId)}/${sessionRef.key}/end`] = serverTimestamp();
+    }
+    await update(ref(database), updates);
+  };
+};
+
+/**
+ * Listen to a driver's presence
+ * @returns Function to unsubscribe
+ */
+export const listenToDriverPresence = (driverId: string, callback: (presence: DriverPresence) => void) => {
+  return onValue(ref(database, getPresencePath(driverId)), (snapshot) => {
+    callback({ ...OFFLINE_PRESENCE, ...snapshot.val() });
+  }, (error) => {
+    console.error('Error loading driver presence:', error);
+    callback(OFFLINE_PRESENCE);
+  });
+};
+
+/**
+ * Check whether a driver is online right now
+ */
+export const isDriverOnline = async (driverId: string): Promise<boolean> => {
+  const snapshot = await get(ref(database, `${getPresencePath(driverId)}/online`));
+  return snapshot.val() === true;
+};
+
+/**
+ * Reserve a driver for a ride. The checks and the claim happen in one transaction
+ * on the driver's presence, so two rides accepted at once can't both get the driver,
+ * and a driver going offline at the same moment can't be given a ride.
+ * @param replaceRideId A ride the driver was claimed for that is known to be over;
+ * its claim is taken over instead of counting as busy
+ */
+export const claimDriverForRide = async (
+  driverId: string,
+  rideId: string,
+  replaceRideId?: string
+): Promise<DriverClaimResult> => {
+  let result: DriverClaimResult = { status: 'claimed' };
+
+  await runTransaction(ref(database, getPresencePath(driverId)), (presence) => {
+    result = { status: 'claimed' };
+
+    // Either the driver has never been online, or nothing is cached locally yet and
+    // the server will supply the current value and retry
+    if (presence === null) {
+      result = { status: 'offline' };
+      return presence;
+    }
+
+    if (!presence.online) {
+      result = { status: 'offline' };
+      return;
+    }
+
+    const activeRideId = presence.activeRideId;
+    if (activeRideId && activeRideId !== rideId && activeRideId !== replaceRideId) {
+      result = { status: 'busy', activeRideId, claimedAt: presence.activeRideClaimedAt || 0 };
+      return;
+    }
+
+    return { ...presence, activeRideId: rideId, activeRideClaimedAt: Date.now() };
+  });
+
+  return result;
+};
+
+/**
+ * Free a driver from a ride they were claimed for. Does nothing if they've
+ * since been claimed for a different ride.
+ */
+export const releaseDriverFromRide = async (driverId: string, rideId: string) => {
+  await runTransaction(ref(database, getPresencePath(driverId)), (presence) => {
+    if (presence === null) {
+      return presence;
+    }
+    if (presence.activeRideId !== rideId) {
+      return;
+    }
+
+    const { activeRideId, activeRideClaimedAt, ...rest } = presence;
+    return rest;
+  });
+};
+
+/**
+ * Listen to the current driver's online sessions that started since the given time,
+ * for working out hours online. The session in progress runs until now.
+ * @returns Function to unsubscribe
+ */
+export const listenToDriverSessions = (since: number, callback: (sessions: OnlineSession[]) => void) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    callback([]);
+    return () => {};
+  }
+
+  const sessionsQuery = query(ref(database, getSessionsPath(currentUser.uid)), orderByChild('start'), startAt(since));
+  return onValue(sessionsQuery, (snapshot) => {
+    const sessions: OnlineSession[] = [];
+    snapshot.forEach((childSnapshot) => {
+      const { start, end } = childSnapshot.val();
+      if (typeof start === 'number') {
+        sessions.push({ start, end: typeof end === 'number' ? end : Date.now() });
+      }
+    });
+    callback(sessions);
+  }, (error) => {
+    console.error('Error loading online sessions:', error);
+    callback([]);
+  });
+};
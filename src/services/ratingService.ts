@@ -0,0 +1,150 @@
+import { database, auth } from '@/lib/firebase';
+import { ref, get, onValue, update, increment, runTransaction } from 'firebase/database';
+import { getRideParticipantRole, type RideParticipantRole, type RideRequest } from './firebaseService';
+
+/**
+ * Side of the ride the person giving a rating was on. The customer rates the
+ * driver and the driver rates the customer, once each per ride.
+ */
+export type RatingRole = RideParticipantRole;
+
+export interface RideRating {
+  rideId: string;
+  role: RatingRole; // role of the rater
+  raterId: string;
+  raterName: string;
+  rateeId: string;
+  stars: number; // 1-5
+  tags: string[];
+  comment?: string;
+  timestamp: number;
+}
+
+/**
+ * Average of the ratings a user has received in one role, kept on their profile
+ */
+export interface RatingSummary {
+  average: number;
+  count: number;
+}
+
+export interface RatingInput {
+  stars: number;
+  tags?: string[];
+  comment?: string;
+}
+
+export const MAX_RATING_COMMENT_LENGTH = 500;
+
+// Tags the rater can pick from, by the role of the rater
+export const RATING_TAGS: Record<RatingRole, string[]> = {
+  customer: ['Safe driving', 'Friendly', 'Clean car', 'Knew the route', 'On time', 'Late pickup', 'Unsafe driving', 'Rude'],
+  driver: ['Polite', 'Ready on time', 'Respectful', 'Clear directions', 'Kept me waiting', 'Wrong pickup spot', 'Rude'],
+};
+
+// Role the rated person had on the ride
+const getRateeRole = (role: RatingRole): RatingRole => (role === 'customer' ? 'driver' : 'customer');
+
+const getRideRatingPath = (rideId: string, role: RatingRole) => `rideRatings/${rideId}/${role}`;
+const getUserRatingPath = (userId: string, role: RatingRole) => `userProfiles/${userId}/ratings/${role}`;
+
+const toSummary = (data: { total?: number; count?: number } | null): RatingSummary => {
+  const count = data?.count || 0;
+  return { average: count > 0 ? (data.total || 0) / count : 0, count };
+};
+
+/**
+ * Rate the other party of a completed ride. Each side can rate a ride once;
+ * the rating is added to the ratee's average on their profile.
+ * @returns The stored rating
+ */
+export const submitRideRating = async (ride: RideRequest, input: RatingInput): Promise<RideRating> => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to rate a ride');
+  }
+  if (ride.status !== 'completed') {
+    throw new Error('You can only rate a ride once it has been completed');
+  }
+
+  const role = getRideParticipantRole(ride, currentUser.uid);
+  if (!role) {
+    throw new Error('You can only rate rides you took part in');
+  }
+
+  const stars = Math.round(input.stars);
+  if (!(stars >= 1 && stars <= 5)) {
+    throw new Error('Please choose between 1 and 5 stars');
+  }
+
+  const rateeId = role === 'customer' ? ride.driverId : ride.customerId;
+  const comment = (input.comment || '').trim().slice(0, MAX_RATING_COMMENT_LENGTH);
+  const rating: RideRating = {
+    rideId: ride.id,
+    role,
+    raterId: currentUser.uid,
+    raterName: currentUser.displayName || (role === 'customer' ? 'Customer' : 'Driver'),
+    rateeId,
+    stars,
+    tags: (input.tags || []).filter((tag) => RATING_TAGS[role].includes(tag)),
+    timestamp: Date.now(),
+  };
+  if (comment) {
+    rating.comment = comment;
+  }
+
+  // Claim the ride's rating slot first so the same rating is never counted twice
+  const result = await runTransaction(ref(database, getRideRatingPath(ride.id, role)), (existing) => {
+    if (existing !== null) return;
+    return rating;
+  });
+  if (!result.committed) {
+    throw new Error('You have already rated this ride');
+  }
+
+  // Total and count change together in one update, so the average is never off by half a rating
+  const summaryPath = getUserRatingPath(rateeId, getRateeRole(role));
+  await update(ref(database), {
+    [`${summaryPath}/total`]: increment(stars),
+    [`${summaryPath}/count`]: increment(1),
+  });
+
+  return rating;
+};
+
+/**
+ * Listen to the ratings given on a ride, by the role of the rater
+ * @returns Function to unsubscribe
+ */
+export const listenToRideRatings = (
+  rideId: string,
+  callback: (ratings: Partial<Record<RatingRole, RideRating>>) => void
+) => {
+  return onValue(ref(database, `rideRatings/${rideId}`), (snapshot) => {
+    callback(snapshot.val() || {});
+  }, (error) => {
+    console.error('Error loading ride ratings:', error);
+    callback({});
+  });
+};
+
+/**
+ * Get a user's average rating in a role
+ */
+export const getUserRating = async (userId: string, role: RatingRole): Promise<RatingSummary> => {
+  const snapshot = await get(ref(database, getUserRatingPath(userId, role)));
+  return toSummary(snapshot.val());
+};
+
+/**
+ * Listen to a user's average rating in a role
+ * @returns Function to unsubscribe
+ */
+export const listenToUserRating = (userId: string, role: RatingRole, callback: (summary: RatingSummary) => void) => {
+  return onValue(ref(database, getUserRatingPath(userId, role)), (snapshot) => {
+    callback(toSummary(snapshot.val()));
+  }, (error) => {
+    console.error('Error loading user rating:', error);
+    callback(toSummary(null));
+  });
+};
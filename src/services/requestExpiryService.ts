@@ -0,0 +1,83 @@
+import { database } from '@/lib/firebase';
+import { ref, onValue } from 'firebase/database';
+import {
+  DEFAULT_REQUEST_EXPIRY_SETTINGS,
+  normalizeRequestExpirySettings,
+  RequestExpirySettings,
+  RIDE_EXPIRY_MESSAGES,
+  RideExpiryReason,
+} from '@/utils/requestExpiry';
+import { transitionRide } from './rideLifecycle';
+import { getNearbyDrivers, DEFAULT_NEARBY_RADIUS_MILES } from './driverLocationService';
+import { createRideUpdateNotificationForCustomer } from './notificationService';
+import type { RideRequest } from './firebaseService';
+
+const REQUEST_EXPIRY_SETTINGS_PATH = 'config/requestExpiry';
+
+// Latest settings seen from the database, shared by every caller
+let cachedSettings: RequestExpirySettings = DEFAULT_REQUEST_EXPIRY_SETTINGS;
+
+/**
+ * Get the request expiry settings loaded so far (the defaults until the database responds)
+ */
+export const getRequestExpirySettings = (): RequestExpirySettings => cachedSettings;
+
+/**
+ * Listen to the request expiry settings in the database. Falls back to the
+ * defaults when none are configured or they can't be read.
+ * @returns Function to unsubscribe
+ */
+export const listenToRequestExpirySettings = (callback: (settings: RequestExpirySettings) => void) => {
+  callback(cachedSettings);
+
+  return onValue(
+    ref(database, REQUEST_EXPIRY_SETTINGS_PATH),
+    (snapshot) => {
+      cachedSettings = normalizeRequestExpirySettings(snapshot.val());
+      callback(cachedSettings);
+    },
+    (error) => {
+      console.error('Error loading request expiry settings, using defaults:', error);
+      cachedSettings = DEFAULT_REQUEST_EXPIRY_SETTINGS;
+      callback(cachedSettings);
+    }
+  );
+};
+
+// Tell a "nobody around" expiry apart from drivers passing on the request
+const getExpiryReason = async (ride: RideRequest): Promise<RideExpiryReason> => {
+  try {
+    const drivers = await getNearbyDrivers(ride.pickupLocation, DEFAULT_NEARBY_RADIUS_MILES);
+    return drivers.length === 0 ? 'noDriversNearby' : 'notAccepted';
+  } catch (error) {
+    console.error('Error checking for nearby drivers:', error);
+    return 'notAccepted';
+  }
+};
+
+/**
+ * Expire the customer's pending request once its time is up, and notify them
+ * @returns The expired ride
+ */
+export const expireRideRequest = async (ride: RideRequest): Promise<RideRequest> => {
+  const expiryReason = await getExpiryReason(ride);
+  const expiredRide = await transitionRide(ride.id, 'expire', {
+    expectedStatus: 'pending',
+    expectedRevision: ride.revision || 0,
+    expiryReason,
+  });
+
+  try {
+    await createRideUpdateNotificationForCustomer(
+      expiredRide,
+      "Ride Request Expired",
+      `${RIDE_EXPIRY_MESSAGES[expiryReason]} You can request the ride again, maybe at a higher price.`,
+      "high"
+    );
+  } catch (error) {
+    // The ride has expired either way; the customer sees it on screen
+    console.error('Error notifying customer of expiry:', error);
+  }
+
+  return expiredRide;
+};
@@ -0,0 +1,89 @@
+import { database } from '@/lib/firebase';
+import { ref, push, set, onValue, get, query, orderByChild } from 'firebase/database';
+import type { Location, RideRequest } from './firebaseService';
+
+export type RideEventType = 'requested' | 'accepted' | 'offerAccepted' | 'driverCancelled' | 'started' | 'completed' | 'cancelled' | 'expired';
+
+export type RideEventActorRole = 'customer' | 'driver' | 'system';
+
+/**
+ * One entry in a ride's event log. Entries are only ever appended, so the log
+ * keeps the full history even when the ride itself is reset (for example when
+ * a driver cancels and the ride goes back to pending). Status changes are
+ * logged after they commit, so an entry can be missing if that write failed.
+ */
+export interface RideEvent {
+  id?: string;
+  type: RideEventType;
+  status: RideRequest['status']; // ride status after the event
+  actorId: string;
+  actorName: string;
+  actorRole: RideEventActorRole;
+  timestamp: number;
+  location?: Location; // where the actor was, when known
+}
+
+export const RIDE_EVENT_LABELS: Record<RideEventType, string> = {
+  requested: 'Ride requested',
+  accepted: 'Driver accepted',
+  offerAccepted: "Driver's offer accepted",
+  driverCancelled: 'Driver cancelled',
+  started: 'Trip started',
+  completed: 'Trip completed',
+  cancelled: 'Ride cancelled',
+  expired: 'Request expired',
+};
+
+/**
+ * Path of a ride's event log, for callers that write it together with the ride
+ */
+export const getRideEventsPath = (rideId: string) => `rideEvents/${rideId}`;
+
+/**
+ * Build an event record, leaving out the location when there isn't one
+ */
+export const buildRideEvent = (event: Omit<RideEvent, 'id'>): Omit<RideEvent, 'id'> => {
+  const record = { ...event };
+  if (!record.location) {
+    delete record.location;
+  }
+  return record;
+};
+
+/**
+ * Append an event to a ride's log
+ * @returns The stored event with its id
+ */
+export const appendRideEvent = async (rideId: string, event: Omit<RideEvent, 'id'>): Promise<RideEvent> => {
+  const newEventRef = push(ref(database, getRideEventsPath(rideId)));
+  const record = buildRideEvent(event);
+  await set(newEventRef, record);
+  return { id: newEventRef.key, ...record };
+};
+
+const toEventList = (data: Record<string, Omit<RideEvent, 'id'>> | null): RideEvent[] => {
+  if (!data) return [];
+
+  return Object.keys(data)
+    .map((key) => ({ id: key, ...data[key] }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Get a ride's events, oldest first
+ */
+export const getRideEvents = async (rideId: string): Promise<RideEvent[]> => {
+  const snapshot = await get(query(ref(database, getRideEventsPath(rideId)), orderByChild('timestamp')));
+  return toEventList(snapshot.val());
+};
+
+/**
+ * Listen to a ride's events, oldest first
+ * @returns Function to unsubscribe
+ */
+export const listenToRideEvents = (rideId: string, callback: (events: RideEvent[]) => void) => {
+  const eventsQuery = query(ref(database, getRideEventsPath(rideId)), orderByChild('timestamp'));
+  return onValue(eventsQuery, (snapshot) => {
+    callback(toEventList(snapshot.val()));
+  });
+};
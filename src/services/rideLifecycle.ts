@@ -0,0 +1,554 @@
+import { database, auth } from '@/lib/firebase';
+import { ref, get, runTransaction } from 'firebase/database';
+import {
+  closeRideOffers,
+  getDriverHistoryKey,
+  getPendingGeohash,
+  getRideOffer,
+  getRideOfferStatus,
+  mergeRideFields,
+  withdrawDriverOffers,
+  type Location,
+  type RideOffer,
+  type RideRequest,
+} from './firebaseService';
+import { settleFare, type FareRules } from '@/utils/fareEngine';
+import { appendRideEvent, RideEventActorRole, RideEventType } from './rideEventLog';
+import { isRideOpenToDriver, restartDispatch } from '@/utils/dispatchEngine';
+import { isRideRequestExpired, type RideExpiryReason } from '@/utils/requestExpiry';
+import { claimDriverForRide, releaseDriverFromRide } from './presenceService';
+import { isSimulatingLocation } from './locationService';
+
+export type RideStatus = RideRequest['status'];
+
+// Everything that can happen to a ride after it has been requested
+export type RideAction = 'accept' | 'acceptOffer' | 'driverCancel' | 'start' | 'complete' | 'cancel' | 'expire';
+
+// Who may perform an action: the customer who requested the ride, the driver
+// assigned to it, or any signed-in driver (only for picking up an unassigned ride)
+export type RideActor = 'customer' | 'assignedDriver' | 'anyDriver';
+
+// Extra data an action needs from the caller
+export interface TransitionOptions {
+  location?: Location; // driver's position when the action happens
+  mileage?: number; // final odometer reading, for completing a trip
+  offer?: RideOffer; // driver's counter-offer the customer picked, for acceptOffer
+  fareRules?: FareRules; // rules for settling the fare when completing a trip
+  expectedStatus?: RideStatus; // status the caller last saw, to detect stale actions
+  expectedRevision?: number; // revision of the ride the caller acted on; any change since rejects the action
+  expiryReason?: RideExpiryReason; // why no driver was found, for expire
+}
+
+interface TransitionContext extends TransitionOptions {
+  userId: string;
+  userName: string | null;
+  now: number;
+  locationSimulated: boolean; // the assigned driver's location is simulated right now
+}
+
+interface RideTransition {
+  from: RideStatus[];
+  to: RideStatus;
+  actor: RideActor;
+  event: RideEventType; // logged in the ride's event log
+  loggedAs?: RideEventActorRole; // who the event log credits, when it isn't the acting user
+  fields: (ride: RideRequest, context: TransitionContext) => Partial<Record<keyof RideRequest, unknown>>;
+}
+
+// A claim on a driver for a ride nobody has been assigned to yet belongs to an accept
+// still in progress until this long has passed; after that it was left behind
+const DRIVER_CLAIM_TIMEOUT_MS = 30 * 1000;
+
+const minutesBetween = (from: number, to: number) => Math.max(0, Math.round((to - from) / 6000) / 10);
+
+// The allowed transitions, who may perform them, the event each one logs and the fields it sets.
+// Fields set to null are removed from the ride. Every transition bumps the ride's revision.
+export const RIDE_TRANSITIONS: Record<RideAction, RideTransition> = {
+  accept: {
+    from: ['pending'],
+    to: 'accepted',
+    actor: 'anyDriver',
+    event: 'accepted',
+    fields: (ride, { userId, userName, now, location }) => ({
+      driverId: userId,
+      driverName: userName || 'Anonymous Driver',
+      acceptTime: now,
+      agreedFare: ride.estimatedPrice ?? null,
+      currentDriverLocation: location || null,
+    }),
+  },
+  acceptOffer: {
+    from: ['pending'],
+    to: 'accepted',
+    actor: 'customer',
+    event: 'offerAccepted',
+    fields: (ride, { now, offer }) => ({
+      driverId: offer.driverId,
+      driverName: offer.driverName,
+      acceptTime: now,
+      agreedFare: offer.amount,
+      currentDriverLocation: offer.driverLocation || null,
+    }),
+  },
+  driverCancel: {
+    from: ['accepted'],
+    to: 'pending',
+    actor: 'assignedDriver',
+    event: 'driverCancelled',
+    fields: (ride, { now }) => ({
+      driverId: null,
+      driverName: null,
+      driverCancelTime: now,
+      currentDriverLocation: null,
+      estimatedDistanceToPickup: null,
+      estimatedTimeToPickup: null,
+    }),
+  },
+  start: {
+    from: ['accepted'],
+    to: 'started',
+    actor: 'assignedDriver',
+    event: 'started',
+    fields: (ride, { now, location }) => ({
+      startTime: now,
+      startTripLocation: location || ride.currentDriverLocation || null,
+      calculatedMileage: 0,
+      odometerLastFix: null,
+    }),
+  },
+  complete: {
+    from: ['started'],
+    to: 'completed',
+    actor: 'assignedDriver',
+    event: 'completed',
+    fields: (ride, { now, mileage, fareRules, locationSimulated }) => {
+      const distanceMiles = mileage ?? ride.calculatedMileage ?? 0;
+      const completed = {
+        endTime: now,
+        driverHistoryKey: getDriverHistoryKey({ driverId: ride.driverId, endTime: now }),
+        calculatedMileage: distanceMiles,
+      };
+
+      // Simulated mileage and pickup arrival can't be billed: the ride keeps the price
+      // agreed up front, with no settlement
+      if (ride.locationSimulated || locationSimulated) {
+        return completed;
+      }
+
+      const settlement = settleFare({
+        agreedFare: ride.agreedFare ?? ride.estimatedPrice,
+        distanceMiles,
+        durationMinutes: ride.startTime ? minutesBetween(ride.startTime, now) : 0,
+        waitMinutes: ride.driverArrivedTime && ride.startTime ? minutesBetween(ride.driverArrivedTime, ride.startTime) : 0,
+        time: ride.startTime,
+      }, fareRules, now);
+
+      return {
+        ...completed,
+        settlement,
+        settledAmount: settlement.total,
+      };
+    },
+  },
+  cancel: {
+    from: ['pending'],
+    to: 'cancelled',
+    actor: 'customer',
+    event: 'cancelled',
+    fields: (ride, { now }) => ({
+      cancelTime: now,
+    }),
+  },
+  expire: {
+    from: ['pending'],
+    to: 'expired',
+    actor: 'customer',
+    event: 'expired',
+    // The customer's app runs the timer, but nobody chose to expire the request
+    loggedAs: 'system',
+    fields: (ride, { now, expiryReason }) => ({
+      expiredTime: now,
+      expiryReason: expiryReason || 'notAccepted',
+    }),
+  },
+};
+
+const ACTION_DESCRIPTIONS: Record<RideAction, string> = {
+  accept: 'accept',
+  acceptOffer: 'accept an offer on',
+  driverCancel: 'cancel',
+  start: 'start',
+  complete: 'complete',
+  cancel: 'cancel',
+  expire: 'expire',
+};
+
+const describeAction = (action: RideAction) => ACTION_DESCRIPTIONS[action];
+
+const NOT_AUTHORIZED_MESSAGES: Record<RideActor, (verb: string) => string> = {
+  customer: (verb) => `Only the customer who requested this ride can ${verb} it`,
+  assignedDriver: (verb) => `Only the driver assigned to this ride can ${verb} it`,
+  anyDriver: (verb) => `You can't ${verb} your own ride request`,
+};
+
+// Base class for every error raised when a ride can't change status
+export class RideTransitionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RideTransitionError';
+  }
+}
+
+// The ride doesn't exist (or was deleted)
+export class RideNotFoundError extends RideTransitionError {
+  constructor(public rideId: string) {
+    super('Ride not found');
+    this.name = 'RideNotFoundError';
+  }
+}
+
+// The action is never allowed from the ride's current status
+export class IllegalTransitionError extends RideTransitionError {
+  constructor(public action: RideAction, public status: RideStatus) {
+    super(`Cannot ${describeAction(action)} a ride that is ${status}`);
+    this.name = 'IllegalTransitionError';
+  }
+}
+
+// The counter-offer being accepted has expired, been withdrawn or belongs to another ride
+export class OfferUnavailableError extends RideTransitionError {
+  constructor() {
+    super('This offer is no longer available');
+    this.name = 'OfferUnavailableError';
+  }
+}
+
+// The current user isn't allowed to perform the action on this ride
+export class RideNotAuthorizedError extends RideTransitionError {
+  constructor(public action: RideAction) {
+    super(NOT_AUTHORIZED_MESSAGES[RIDE_TRANSITIONS[action].actor](describeAction(action)));
+    this.name = 'RideNotAuthorizedError';
+  }
+}
+
+// The ride changed since the caller last saw it, so the action no longer applies
+export class StaleRideError extends RideTransitionError {
+  constructor(public expectedStatus: RideStatus, public status: RideStatus) {
+    super(`This ride is now ${status}. Please refresh and try again.`);
+    this.name = 'StaleRideError';
+  }
+}
+
+// The ride's details changed since the caller loaded it (same status, newer revision)
+export class RideChangedError extends StaleRideError {
+  constructor(status: RideStatus, public expectedRevision: number, public currentRevision: number) {
+    super(status, status);
+    this.message = 'This ride was changed by someone else. Please refresh and try again.';
+    this.name = 'RideChangedError';
+  }
+}
+
+// Another driver accepted the ride first
+export class RideAlreadyTakenError extends StaleRideError {
+  constructor(status: RideStatus) {
+    super('pending', status);
+    this.message = 'Another driver has already accepted this ride';
+    this.name = 'RideAlreadyTakenError';
+  }
+}
+
+// Only drivers who are online can take on rides
+export class DriverOfflineError extends RideTransitionError {
+  constructor(public driverId: string, isCurrentUser: boolean) {
+    super(isCurrentUser ? 'Go online to accept rides' : 'This driver is no longer online');
+    this.name = 'DriverOfflineError';
+  }
+}
+
+// The driver is already on another ride
+export class DriverBusyError extends RideTransitionError {
+  constructor(public driverId: string, public activeRideId: string, isCurrentUser: boolean) {
+    super(isCurrentUser ? 'Finish your current ride before accepting another' : 'This driver has just taken another ride');
+    this.name = 'DriverBusyError';
+  }
+}
+
+// The ride is being offered exclusively to another driver by dispatch
+export class RideReservedError extends RideTransitionError {
+  constructor() {
+    super('This ride is being offered to another driver');
+    this.name = 'RideReservedError';
+  }
+}
+
+// A request that has run out of time can't be taken any more
+export class RideExpiredError extends RideTransitionError {
+  constructor() {
+    super('This ride request has expired');
+    this.name = 'RideExpiredError';
+  }
+}
+
+// A request can only be expired once its time is up
+export class RideNotExpiredError extends RideTransitionError {
+  constructor() {
+    super('This ride request has not expired yet');
+    this.name = 'RideNotExpiredError';
+  }
+}
+
+const isAllowedActor = (actor: RideActor, ride: RideRequest, userId: string) => {
+  switch (actor) {
+    case 'customer':
+      return ride.customerId === userId;
+    case 'assignedDriver':
+      return ride.driverId === userId;
+    case 'anyDriver':
+      return !ride.driverId && ride.customerId !== userId;
+  }
+};
+
+/**
+ * Check an action against a ride without changing anything
+ * @returns The error the action would fail with, or null if it is allowed
+ */
+export const getTransitionError = (
+  ride: RideRequest,
+  action: RideAction,
+  userId: string,
+  expectedStatus?: RideStatus
+): RideTransitionError | null => {
+  const transition = RIDE_TRANSITIONS[action];
+
+  if (!transition.from.includes(ride.status)) {
+    if (action === 'accept' && ride.driverId && ride.driverId !== userId) {
+      return new RideAlreadyTakenError(ride.status);
+    }
+    if (expectedStatus && expectedStatus !== ride.status) {
+      return new StaleRideError(expectedStatus, ride.status);
+    }
+    return new IllegalTransitionError(action, ride.status);
+  }
+
+  if (!isAllowedActor(transition.actor, ride, userId)) {
+    if (action === 'accept' && ride.driverId) {
+      return new RideAlreadyTakenError(ride.status);
+    }
+    return new RideNotAuthorizedError(action);
+  }
+
+  if ((action === 'accept' || action === 'acceptOffer') && isRideRequestExpired(ride)) {
+    return new RideExpiredError();
+  }
+
+  if (action === 'expire' && !isRideRequestExpired(ride)) {
+    return new RideNotExpiredError();
+  }
+
+  if (action === 'accept' && !isRideOpenToDriver(ride, userId)) {
+    return new RideReservedError();
+  }
+
+  return null;
+};
+
+// Whether the ride a driver is claimed for still needs them
+const isDriverNeededForRide = (ride: RideRequest | null, driverId: string, claimedAt: number) => {
+  if (!ride) return false;
+  if (ride.driverId) {
+    return ride.driverId === driverId && (ride.status === 'accepted' || ride.status === 'started');
+  }
+  return ride.status === 'pending' && Date.now() - claimedAt < DRIVER_CLAIM_TIMEOUT_MS;
+};
+
+// Reserve the driver for the ride, taking over a claim left on a ride they're no longer on
+const claimDriver = async (driverId: string, rideId: string, isCurrentUser: boolean) => {
+  let claim = await claimDriverForRide(driverId, rideId);
+  if (claim.status === 'busy') {
+    const snapshot = await get(ref(database, `rideRequests/${claim.activeRideId}`));
+    if (!isDriverNeededForRide(snapshot.val(), driverId, claim.claimedAt)) {
+      claim = await claimDriverForRide(driverId, rideId, claim.activeRideId);
+    }
+  }
+
+  if (claim.status === 'offline') {
+    throw new DriverOfflineError(driverId, isCurrentUser);
+  }
+  if (claim.status === 'busy') {
+    throw new DriverBusyError(driverId, claim.activeRideId, isCurrentUser);
+  }
+};
+
+/**
+ * Whether a user may perform an action on a ride in its current state
+ */
+export const canTransition = (ride: RideRequest, action: RideAction, userId: string): boolean => {
+  return getTransitionError(ride, action, userId) === null;
+};
+
+/**
+ * Move a ride to its next status. The check and the write happen in one
+ * transaction, so two users acting on the same ride can't both succeed.
+ *
+ * A driver taking a ride is first claimed for it on their presence, in a
+ * transaction of its own, so they can't be given two rides at once or a ride
+ * as they go offline. The claim
+ * is released if the ride doesn't change, and when the driver leaves the ride.
+ *
+ * The event log entry is written after the transaction commits. A transaction
+ * can only cover the ride itself, so the log is best-effort: if that write
+ * fails the ride still changes status and the entry is missing from its log.
+ * The ride's own timestamps (acceptTime, startTime, ...) remain the record.
+ * @param rideId Ride to update
+ * @param action What is happening to the ride
+ * @param options Driver location, final mileage, and the status and revision the caller expects
+ * @returns The ride as saved
+ * @throws RideTransitionError (or a subclass) if the action isn't allowed
+ */
+export const transitionRide = async (
+  rideId: string,
+  action: RideAction,
+  options: TransitionOptions = {}
+): Promise<RideRequest> => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to update a ride');
+  }
+
+  const transition = RIDE_TRANSITIONS[action];
+  if (action === 'acceptOffer') {
+    // The customer's copy may be out of date, so check the offer as saved
+    const offer = options.offer?.id ? await getRideOffer(options.offer.id) : null;
+    if (
+      !offer ||
+      offer.rideId !== rideId ||
+      offer.driverId !== options.offer.driverId ||
+      getRideOfferStatus(offer) !== 'open'
+    ) {
+      throw new OfferUnavailableError();
+    }
+    options = { ...options, offer };
+  }
+
+  // The driver taking the ride must be on duty and not already on a ride
+  const takingDriverId = action === 'accept' ? currentUser.uid : action === 'acceptOffer' ? options.offer.driverId : null;
+  if (takingDriverId) {
+    await claimDriver(takingDriverId, rideId, takingDriverId === currentUser.uid);
+  }
+
+  const releaseClaim = (driverId: string) => {
+    releaseDriverFromRide(driverId, rideId).catch((error) => {
+      console.error('Error releasing driver from ride:', error);
+    });
+  };
+  // A failed action leaves the ride as it was, so the driver is free again,
+  // unless they already had this ride (say, after accepting it twice)
+  const failWith = (error: unknown, ride?: RideRequest | null) => {
+    if (takingDriverId && ride?.driverId !== takingDriverId) {
+      releaseClaim(takingDriverId);
+    }
+    return error;
+  };
+
+  const rideRef = ref(database, `rideRequests/${rideId}`);
+  let transitionError: RideTransitionError | null = null;
+
+  const result = await runTransaction(rideRef, (ride) => {
+    transitionError = null;
+
+    // Nothing cached locally yet: let the server supply the current value and retry
+    if (ride === null) {
+      return ride;
+    }
+
+    transitionError = getTransitionError(ride, action, currentUser.uid, options.expectedStatus);
+    if (transitionError) {
+      return;
+    }
+
+    const revision = ride.revision || 0;
+    if (options.expectedRevision !== undefined && revision !== options.expectedRevision) {
+      transitionError = new RideChangedError(ride.status, options.expectedRevision, revision);
+      return;
+    }
+
+    const context: TransitionContext = {
+      ...options,
+      userId: currentUser.uid,
+      userName: currentUser.displayName,
+      now: Date.now(),
+      locationSimulated: transition.actor === 'assignedDriver' && isSimulatingLocation(),
+    };
+
+    return {
+      ...mergeRideFields(ride, {
+        ...transition.fields(ride, context),
+        // Only pending rides are in the index drivers search
+        pendingGeohash: transition.to === 'pending' ? getPendingGeohash(ride) : null,
+        // A dispatched ride a driver backs out of goes round the other drivers again
+        dispatch: transition.to === 'pending' && ride.dispatch
+          ? restartDispatch(ride.dispatch, currentUser.uid, context.now)
+          : undefined,
+        // Once simulated, always simulated
+        locationSimulated: context.locationSimulated || undefined,
+      }),
+      status: transition.to,
+      revision: revision + 1,
+    };
+  }).catch((error) => {
+    throw failWith(error);
+  });
+
+  const rideData = result.snapshot.val();
+  if (transitionError) {
+    throw failWith(transitionError, rideData);
+  }
+
+  if (!rideData) {
+    throw failWith(new RideNotFoundError(rideId));
+  }
+
+  if (!result.committed) {
+    throw failWith(new StaleRideError(options.expectedStatus || transition.from[0], rideData.status), rideData);
+  }
+
+  // The ride is already updated, so failures from here on shouldn't fail the action.
+  // A ride leaving pending closes any counter-offers still open on it.
+  if (transition.from.includes('pending') && transition.to !== 'pending') {
+    closeRideOffers(rideId, options.offer?.id).catch((error) => {
+      console.error('Error closing ride offers:', error);
+    });
+  }
+
+  // A driver who has taken a ride can't take up their offers on others
+  if (transition.to === 'accepted' && rideData.driverId) {
+    withdrawDriverOffers(rideData.driverId, rideId).catch((error) => {
+      console.error('Error withdrawing driver offers:', error);
+    });
+  }
+
+  // A driver leaving the ride is free to take another
+  if (action === 'complete' || action === 'driverCancel') {
+    releaseClaim(currentUser.uid);
+  }
+
+  // Best-effort, see above
+  const actorRole = transition.loggedAs || (transition.actor === 'customer' ? 'customer' : 'driver');
+  try {
+    await appendRideEvent(rideId, {
+      type: transition.event,
+      status: transition.to,
+      actorId: currentUser.uid,
+      actorName: actorRole === 'system'
+        ? 'System'
+        : currentUser.displayName || (actorRole === 'customer' ? 'Anonymous User' : 'Anonymous Driver'),
+      actorRole,
+      timestamp: Date.now(),
+      location: options.location,
+    });
+  } catch (error) {
+    console.error('Error recording ride event:', error);
+  }
+
+  return { ...rideData, id: rideId };
+};
@@ -0,0 +1,293 @@
+import { calculateBearing, calculateDistance, calculateEstimatedTime } from '@/utils/distanceCalculator';
+import type { Location } from './firebaseService';
+
+/**
+ * Distance and travel time between two points
+ */
+export interface RouteSummary {
+  distanceMiles: number;
+  durationMinutes: number;
+  source: 'road' | 'straightLine'; // straightLine: estimated, the road network wasn't available
+}
+
+/**
+ * What the driver does at the start of a route step
+ */
+export interface RouteManeuver {
+  type: string; // OSRM maneuver type: depart, turn, merge, fork, roundabout, arrive, ...
+  modifier?: string; // direction: left, slight right, sharp left, straight, uturn, ...
+  bearingAfter?: number; // heading afterwards, in degrees clockwise from north
+  exit?: number; // roundabout exit to take
+}
+
+/**
+ * One maneuver and the stretch of road after it
+ */
+export interface RouteStep {
+  maneuver: RouteManeuver;
+  location: Location; // where the maneuver happens
+  roadName?: string; // road followed after the maneuver
+  distanceMiles: number; // from this maneuver to the next
+  durationMinutes: number;
+}
+
+/**
+ * A route between two points, with the path to draw on a map
+ */
+export interface Route extends RouteSummary {
+  geometry: Location[]; // from the start to the end
+  steps: RouteStep[]; // in order, from departure to arrival
+}
+
+/**
+ * Something that can work out routes, such as an OSRM server
+ */
+export interface RoutingProvider {
+  getRoute: (from: Location, to: Location, signal?: AbortSignal) => Promise<Route>;
+  // Distance and travel time from one point to each of several others, in the same order
+  getDistances: (from: Location, to: Location[], signal?: AbortSignal) => Promise<RouteSummary[]>;
+}
+
+const METERS_PER_MILE = 1609.344;
+
+// Give up on the routing server after this long and fall back to a straight line
+const ROUTING_TIMEOUT_MS = 5000;
+
+// Most destinations sent to the OSRM table service in one request
+const MAX_TABLE_DESTINATIONS = 50;
+
+const getStraightLineSummary = (from: Location, to: Location): RouteSummary => {
+  const distanceMiles = calculateDistance(from, to);
+  return {
+    distanceMiles,
+    durationMinutes: calculateEstimatedTime(distanceMiles),
+    source: 'straightLine',
+  };
+};
+
+/**
+ * Routes as the crow flies, timed at an average urban speed
+ */
+export const straightLineRoutingProvider: RoutingProvider = {
+  getRoute: async (from, to) => {
+    const summary = getStraightLineSummary(from, to);
+    return {
+      ...summary,
+      geometry: [from, to],
+      steps: [
+        {
+          maneuver: { type: 'depart', bearingAfter: calculateBearing(from, to) },
+          location: from,
+          distanceMiles: summary.distanceMiles,
+          durationMinutes: summary.durationMinutes,
+        },
+        { maneuver: { type: 'arrive' }, location: to, distanceMiles: 0, durationMinutes: 0 },
+      ],
+    };
+  },
+  getDistances: async (from, to) => to.map((target) => getStraightLineSummary(from, target)),
+};
+
+// OSRM takes coordinates as longitude,latitude
+const toOsrmCoordinate = (location: Location) => `${location.longitude},${location.latitude}`;
+
+const fromOsrmCoordinate = ([longitude, latitude]: [number, number]): Location => ({ latitude, longitude });
+
+// The parts of an OSRM route step we use
+interface OsrmStep {
+  maneuver: { type: string; modifier?: string; bearing_after?: number; exit?: number; location: [number, number] };
+  name?: string;
+  distance: number; // meters
+  duration: number; // seconds
+}
+
+const fromOsrmStep = (step: OsrmStep): RouteStep => ({
+  maneuver: {
+    type: step.maneuver.type,
+    modifier: step.maneuver.modifier,
+    bearingAfter: step.maneuver.bearing_after,
+    exit: step.maneuver.exit,
+  },
+  location: fromOsrmCoordinate(step.maneuver.location),
+  roadName: step.name || undefined,
+  distanceMiles: step.distance / METERS_PER_MILE,
+  durationMinutes: step.duration / 60,
+});
+
+/**
+ * Routing provider for an OSRM-compatible HTTP server
+ * @param baseUrl Server address, e.g. http://localhost:5000
+ * @param profile Routing profile the server was built with
+ */
+export const createOsrmRoutingProvider = (baseUrl: string, profile: string = 'driving'): RoutingProvider => {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  const request = async (path: string, signal?: AbortSignal) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), ROUTING_TIMEOUT_MS);
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+
+    try {
+      const response = await fetch(`${base}${path}`, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Routing server responded with ${response.status}`);
+      }
+
+      const body = await response.json();
+      if (body.code !== 'Ok') {
+        throw new Error(body.message || `Routing failed: ${body.code}`);
+      }
+      return body;
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', abort);
+    }
+  };
+
+  const getDistanceChunk = async (from: Location, to: Location[], signal?: AbortSignal) => {
+    const coordinates = [from, ...to].map(toOsrmCoordinate).join(';');
+    const body = await request(`/table/v1/${profile}/${coordinates}?sources=0&annotations=distance,duration`, signal);
+
+    return to.map((target, index): RouteSummary => {
+      const distance = body.distances?.[0]?.[index + 1];
+      const duration = body.durations?.[0]?.[index + 1];
+
+      // Points the server can't reach by road come back as null
+      if (typeof distance !== 'number' || typeof duration !== 'number') {
+        return getStraightLineSummary(from, target);
+      }
+      return {
+        distanceMiles: distance / METERS_PER_MILE,
+        durationMinutes: Math.round(duration / 60),
+        source: 'road',
+      };
+    });
+  };
+
+  return {
+    getRoute: async (from, to, signal) => {
+      const body = await request(
+        `/route/v1/${profile}/${toOsrmCoordinate(from)};${toOsrmCoordinate(to)}?overview=full&geometries=geojson&steps=true`,
+        signal
+      );
+
+      const route = body.routes?.[0];
+      if (!route) {
+        throw new Error('No route found');
+      }
+
+      return {
+        geometry: route.geometry.coordinates.map(fromOsrmCoordinate),
+        steps: (route.legs || []).flatMap((leg: { steps?: OsrmStep[] }) => leg.steps || []).map(fromOsrmStep),
+        distanceMiles: route.distance / METERS_PER_MILE,
+        durationMinutes: Math.round(route.duration / 60),
+        source: 'road',
+      };
+    },
+
+    getDistances: async (from, to, signal) => {
+      const summaries: RouteSummary[] = [];
+      for (let start = 0; start < to.length; start += MAX_TABLE_DESTINATIONS) {
+        summaries.push(...await getDistanceChunk(from, to.slice(start, start + MAX_TABLE_DESTINATIONS), signal));
+      }
+      return summaries;
+    },
+  };
+};
+
+/**
+ * Wrap a provider so that when it fails, routes fall back to straight lines
+ * instead of erroring
+ */
+export const withStraightLineFallback = (provider: RoutingProvider): RoutingProvider => ({
+  getRoute: async (from, to, signal) => {
+    try {
+      return await provider.getRoute(from, to, signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn('Road routing unavailable, using a straight line:', error);
+      return straightLineRoutingProvider.getRoute(from, to);
+    }
+  },
+  getDistances: async (from, to, signal) => {
+    try {
+      return await provider.getDistances(from, to, signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn('Road routing unavailable, using straight-line distances:', error);
+      return straightLineRoutingProvider.getDistances(from, to);
+    }
+  },
+});
+
+// Road routing needs an OSRM-compatible server of our own in VITE_ROUTING_URL (for example
+// a local container at http://localhost:5000). Public demo servers don't allow app traffic,
+// so without one, or with "none", routes are straight lines.
+const createDefaultRoutingProvider = (): RoutingProvider => {
+  const baseUrl = import.meta.env.VITE_ROUTING_URL;
+  if (!baseUrl || baseUrl === 'none') {
+    return straightLineRoutingProvider;
+  }
+  return withStraightLineFallback(createOsrmRoutingProvider(baseUrl));
+};
+
+let routingProvider: RoutingProvider | null = null;
+
+/**
+ * The provider used for routes throughout the app
+ */
+export const getRoutingProvider = (): RoutingProvider => {
+  if (!routingProvider) {
+    routingProvider = createDefaultRoutingProvider();
+  }
+  return routingProvider;
+};
+
+/**
+ * Use a different provider from now on. Wrap it with withStraightLineFallback
+ * unless callers should see its errors.
+ */
+export const setRoutingProvider = (provider: RoutingProvider) => {
+  routingProvider = provider;
+  routeCache.clear();
+};
+
+// Recent routes, keyed by their end points to about 10 meters
+const ROUTE_CACHE_SIZE = 50;
+const routeCache = new Map<string, Promise<Route>>();
+
+const getRouteCacheKey = (from: Location, to: Location) =>
+  [from.latitude, from.longitude, to.latitude, to.longitude].map((value) => value.toFixed(4)).join(',');
+
+/**
+ * Route between two points by road, or a straight line if the road network
+ * isn't available. Repeated requests for the same points share one lookup.
+ */
+export const getRoute = (from: Location, to: Location): Promise<Route> => {
+  const key = getRouteCacheKey(from, to);
+  const cached = routeCache.get(key);
+  if (cached) {
+    // Move it to the back so it's evicted last
+    routeCache.delete(key);
+    routeCache.set(key, cached);
+    return cached;
+  }
+
+  const route = getRoutingProvider().getRoute(from, to);
+  routeCache.set(key, route);
+  route.catch(() => routeCache.delete(key));
+
+  if (routeCache.size > ROUTE_CACHE_SIZE) {
+    routeCache.delete(routeCache.keys().next().value);
+  }
+  return route;
+};
+
+/**
+ * Distance and travel time from one point to each of several others, in the same order
+ */
+export const getRouteDistances = (from: Location, to: Location[]): Promise<RouteSummary[]> => {
+  if (to.length === 0) return Promise.resolve([]);
+  return getRoutingProvider().getDistances(from, to);
+};
@@ -0,0 +1,227 @@
+import { TracePoint } from '@/utils/traceParser';
+import { calculateBearing, calculateDistance } from '@/utils/distanceCalculator';
+import { pushSimulatedFix, startSimulatedLocation, stopSimulatedLocation } from './locationService';
+
+export type ReplayStatus = 'empty' | 'ready' | 'playing' | 'paused' | 'finished';
+
+export interface ReplayState {
+  status: ReplayStatus;
+  name: string | null;
+  speed: number; // playback speed multiplier
+  elapsedMs: number; // position within the trace, in trace time
+  durationMs: number;
+  pointCount: number;
+}
+
+// Traces without timestamps are replayed at this constant speed
+const DEFAULT_TRACE_SPEED_MPH = 30;
+
+// How often a simulated fix is emitted, in real time
+const REPLAY_TICK_MS = 1000;
+
+// Accuracy reported for simulated fixes, in meters
+const SIMULATED_ACCURACY = 5;
+
+const METERS_PER_MILE = 1609.344;
+
+let points: TracePoint[] = [];
+let offsets: number[] = []; // time of each point from the start of the trace, in ms
+let tickTimer: ReturnType<typeof setInterval> | null = null;
+// Replay clock: fixes are stamped clockBase + elapsedMs, so time between fixes runs
+// at trace speed and the odometer sees the trace's real speeds at any playback speed
+let clockBase = 0;
+let lastTimestamp = 0;
+let state: ReplayState = {
+  status: 'empty',
+  name: null,
+  speed: 1,
+  elapsedMs: 0,
+  durationMs: 0,
+  pointCount: 0,
+};
+const listeners = new Set<(state: ReplayState) => void>();
+
+const setState = (changes: Partial<ReplayState>) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener(state));
+};
+
+/**
+ * Work out when each point is reached. Uses the recorded timestamps when every
+ * point has one and they increase; otherwise assumes a constant driving speed.
+ */
+const computeOffsets = (trace: TracePoint[]): number[] => {
+  const hasTimes = trace.every((point, index) =>
+    point.timestamp !== undefined && (index === 0 || point.timestamp > trace[index - 1].timestamp)
+  );
+
+  if (hasTimes) {
+    return trace.map((point) => point.timestamp - trace[0].timestamp);
+  }
+
+  const result = [0];
+  for (let i = 1; i < trace.length; i++) {
+    const miles = calculateDistance(trace[i - 1], trace[i]);
+    result.push(result[i - 1] + (miles / DEFAULT_TRACE_SPEED_MPH) * 3600000);
+  }
+  return result;
+};
+
+/**
+ * Interpolate the position, speed and heading at a point in trace time
+ */
+const fixAt = (elapsedMs: number) => {
+  let index = 0;
+  while (index < offsets.length - 2 && offsets[index + 1] <= elapsedMs) {
+    index++;
+  }
+
+  const from = points[index];
+  const to = points[index + 1];
+  const segmentMs = offsets[index + 1] - offsets[index];
+  const fraction = segmentMs > 0 ? Math.min(1, Math.max(0, (elapsedMs - offsets[index]) / segmentMs)) : 1;
+  const segmentMeters = calculateDistance(from, to) * METERS_PER_MILE;
+
+  return {
+    latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+    longitude: from.longitude + (to.longitude - from.longitude) * fraction,
+    accuracy: SIMULATED_ACCURACY,
+    speed: segmentMs > 0 ? segmentMeters / (segmentMs / 1000) : 0,
+    heading: calculateBearing(from, to),
+    timestamp: clockBase + elapsedMs,
+  };
+};
+
+// Line the replay clock up with the current position, never running backwards
+// (a fix older than the last would be dropped) and never behind the real clock
+const resetReplayClock = () => {
+  clockBase = Math.max(Date.now(), lastTimestamp + 1) - state.elapsedMs;
+};
+
+const emitCurrentFix = () => {
+  const fix = fixAt(state.elapsedMs);
+  lastTimestamp = fix.timestamp;
+  pushSimulatedFix(fix);
+};
+
+const stopTicking = () => {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+};
+
+const tick = () => {
+  const elapsedMs = Math.min(state.durationMs, state.elapsedMs + REPLAY_TICK_MS * state.speed);
+  setState({ elapsedMs });
+  emitCurrentFix();
+
+  if (elapsedMs >= state.durationMs) {
+    stopTicking();
+    setState({ status: 'finished' });
+  }
+};
+
+/**
+ * Load a parsed trace and switch the location service over to it.
+ * The first point is emitted immediately; call playReplay to start moving.
+ * @param trace Points to replay
+ * @param name Display name, usually the file name
+ */
+export const loadReplayTrace = (trace: TracePoint[], name: string) => {
+  if (trace.length < 2) {
+    throw new Error('The trace must contain at least two points');
+  }
+
+  stopTicking();
+  points = trace;
+  offsets = computeOffsets(trace);
+  setState({
+    status: 'ready',
+    name,
+    elapsedMs: 0,
+    durationMs: offsets[offsets.length - 1],
+    pointCount: trace.length,
+  });
+  resetReplayClock();
+
+  startSimulatedLocation();
+  emitCurrentFix();
+};
+
+/**
+ * Start or resume playback
+ */
+export const playReplay = () => {
+  if (state.status === 'empty' || state.status === 'playing') return;
+
+  // Restart from the beginning once the end has been reached
+  if (state.status === 'finished') {
+    setState({ elapsedMs: 0 });
+  }
+
+  setState({ status: 'playing' });
+  // Time spent paused isn't trace time: carry on from now
+  resetReplayClock();
+  tickTimer = setInterval(tick, REPLAY_TICK_MS);
+};
+
+/**
+ * Pause playback, holding the simulated position where it is
+ */
+export const pauseReplay = () => {
+  if (state.status !== 'playing') return;
+  stopTicking();
+  setState({ status: 'paused' });
+};
+
+/**
+ * Change the playback speed multiplier
+ */
+export const setReplaySpeed = (speed: number) => {
+  if (speed <= 0) return;
+  setState({ speed });
+};
+
+/**
+ * Jump to a position in the trace
+ * @param fraction Position from 0 (start) to 1 (end)
+ */
+export const seekReplay = (fraction: number) => {
+  if (state.status === 'empty') return;
+
+  const elapsedMs = Math.min(1, Math.max(0, fraction)) * state.durationMs;
+  setState({
+    elapsedMs,
+    status: state.status === 'finished' && elapsedMs < state.durationMs ? 'paused' : state.status,
+  });
+  resetReplayClock();
+  emitCurrentFix();
+};
+
+/**
+ * Stop replaying and hand location back to the real GPS
+ */
+export const unloadReplayTrace = () => {
+  stopTicking();
+  points = [];
+  offsets = [];
+  setState({ status: 'empty', name: null, elapsedMs: 0, durationMs: 0, pointCount: 0 });
+  stopSimulatedLocation();
+};
+
+/**
+ * Get the current replay state
+ */
+export const getReplayState = (): ReplayState => state;
+
+/**
+ * Listen to replay state changes (status, progress, speed)
+ * @returns Function to unsubscribe
+ */
+export const subscribeToReplay = (listener: (state: ReplayState) => void): (() => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
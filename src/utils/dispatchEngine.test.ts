@@ -0,0 +1,166 @@
+import { describe, expect, it } from "vitest";
+import type { Location, RideRequest } from "@/services/firebaseService";
+import {
+  advanceDispatch,
+  createInMemoryDispatchStore,
+  createRideDispatch,
+  declineDispatch,
+  DEFAULT_DISPATCH_SETTINGS,
+  DispatchCandidate,
+  DispatchSettings,
+  rankDispatchCandidates,
+} from "@/utils/dispatchEngine";
+
+const NOW = 1_700_000_000_000;
+const PICKUP: Location = { latitude: 40, longitude: -75 };
+
+const settings: DispatchSettings = { ...DEFAULT_DISPATCH_SETTINGS, enabled: true };
+
+// A point roughly this many miles north of the pickup
+const milesNorth = (miles: number): Location => ({ latitude: PICKUP.latitude + miles / 69, longitude: PICKUP.longitude });
+
+const candidate = (driverId: string, miles: number, extra: Partial<DispatchCandidate> = {}): DispatchCandidate => ({
+  driverId,
+  location: milesNorth(miles),
+  ...extra,
+});
+
+const pendingRide = (overrides: Partial<RideRequest> = {}): RideRequest => ({
+  id: 'ride1',
+  customerId: 'customer1',
+  requestTime: NOW,
+  pickupLocation: PICKUP,
+  status: 'pending',
+  calculatedMileage: 0,
+  dispatch: createRideDispatch(NOW),
+  revision: 0,
+  ...overrides,
+});
+
+describe('rankDispatchCandidates', () => {
+  it('ranks closer drivers first', () => {
+    const ranked = rankDispatchCandidates(PICKUP, [candidate('far', 3), candidate('near', 1)], settings, NOW);
+    expect(ranked.map((driver) => driver.driverId)).toEqual(['near', 'far']);
+  });
+
+  it('moves better-rated and longer-idle drivers up', () => {
+    const rated = rankDispatchCandidates(PICKUP, [
+      candidate('lowRated', 1, { rating: 3 }),
+      candidate('topRated', 1.5, { rating: 5 }),
+    ], settings, NOW);
+    expect(rated[0].driverId).toBe('topRated');
+
+    const idle = rankDispatchCandidates(PICKUP, [
+      candidate('justFree', 1, { availableSince: NOW }),
+      candidate('waiting', 1.5, { availableSince: NOW - 20 * 60000 }),
+    ], settings, NOW);
+    expect(idle[0].driverId).toBe('waiting');
+  });
+
+  it('leaves out drivers beyond the maximum distance', () => {
+    const ranked = rankDispatchCandidates(PICKUP, [candidate('near', 1), candidate('tooFar', 20)], settings, NOW);
+    expect(ranked.map((driver) => driver.driverId)).toEqual(['near']);
+  });
+});
+
+describe('advanceDispatch', () => {
+  it('offers the ride to the best-ranked driver', async () => {
+    const store = createInMemoryDispatchStore([pendingRide()], [candidate('second', 2), candidate('first', 1)]);
+
+    const dispatch = await advanceDispatch(store, 'ride1', settings, NOW);
+
+    expect(dispatch.status).toBe('offering');
+    expect(dispatch.offer).toEqual({
+      driverId: 'first',
+      offeredAt: NOW,
+      expiresAt: NOW + settings.acceptWindowSeconds * 1000,
+    });
+  });
+
+  it('bumps the ride revision when the dispatch changes', async () => {
+    const store = createInMemoryDispatchStore([pendingRide({ revision: 3 })], [candidate('first', 1)]);
+
+    await advanceDispatch(store, 'ride1', settings, NOW);
+
+    expect(store.rides.get('ride1').revision).toBe(4);
+  });
+
+  it('does nothing while an offer is open', async () => {
+    const store = createInMemoryDispatchStore([pendingRide()], [candidate('first', 1), candidate('second', 2)]);
+    await advanceDispatch(store, 'ride1', settings, NOW);
+
+    const dispatch = await advanceDispatch(store, 'ride1', settings, NOW + 1000);
+
+    expect(dispatch.offer.driverId).toBe('first');
+    expect(store.rides.get('ride1').revision).toBe(1);
+  });
+
+  it('moves on to the next driver when the offer times out', async () => {
+    const store = createInMemoryDispatchStore([pendingRide()], [candidate('first', 1), candidate('second', 2)]);
+    await advanceDispatch(store, 'ride1', settings, NOW);
+
+    const later = NOW + settings.acceptWindowSeconds * 1000 + 1;
+    const dispatch = await advanceDispatch(store, 'ride1', settings, later);
+
+    expect(dispatch.offer.driverId).toBe('second');
+    expect(dispatch.passed).toEqual({ first: 'timedOut' });
+  });
+
+  it('moves on to the next driver when the offer is declined', async () => {
+    const store = createInMemoryDispatchStore([pendingRide()], [candidate('first', 1), candidate('second', 2)]);
+    await advanceDispatch(store, 'ride1', settings, NOW);
+
+    expect(await declineDispatch(store, 'ride1', 'first', NOW + 1000)).toBe(true);
+    const dispatch = await advanceDispatch(store, 'ride1', settings, NOW + 1000);
+
+    expect(dispatch.offer.driverId).toBe('second');
+    expect(dispatch.passed).toEqual({ first: 'declined' });
+  });
+
+  it('opens the ride to everyone once every candidate has passed', async () => {
+    const store = createInMemoryDispatchStore([pendingRide()], [candidate('first', 1)]);
+    await advanceDispatch(store, 'ride1', settings, NOW);
+    await declineDispatch(store, 'ride1', 'first', NOW + 1000);
+
+    const dispatch = await advanceDispatch(store, 'ride1', settings, NOW + 1000);
+
+    expect(dispatch.status).toBe('exhausted');
+    expect(dispatch.offer).toBeUndefined();
+  });
+
+  it('stops after the maximum number of offers', async () => {
+    const store = createInMemoryDispatchStore(
+      [pendingRide()],
+      [candidate('first', 1), candidate('second', 2), candidate('third', 3)]
+    );
+    const limited = { ...settings, maxOffers: 2 };
+    const window = limited.acceptWindowSeconds * 1000 + 1;
+
+    await advanceDispatch(store, 'ride1', limited, NOW);
+    await advanceDispatch(store, 'ride1', limited, NOW + window);
+    const dispatch = await advanceDispatch(store, 'ride1', limited, NOW + 2 * window);
+
+    expect(dispatch.status).toBe('exhausted');
+    expect(Object.keys(dispatch.passed)).toEqual(['first', 'second']);
+  });
+
+  it('leaves rides that are no longer pending alone', async () => {
+    const store = createInMemoryDispatchStore([pendingRide({ status: 'accepted' })], [candidate('first', 1)]);
+
+    const dispatch = await advanceDispatch(store, 'ride1', settings, NOW);
+
+    expect(dispatch.offer).toBeUndefined();
+    expect(store.rides.get('ride1').revision).toBe(0);
+  });
+});
+
+describe('declineDispatch', () => {
+  it('only lets the driver holding the offer decline it', async () => {
+    const store = createInMemoryDispatchStore([pendingRide()], [candidate('first', 1), candidate('second', 2)]);
+    await advanceDispatch(store, 'ride1', settings, NOW);
+
+    expect(await declineDispatch(store, 'ride1', 'second', NOW + 1000)).toBe(false);
+    expect(store.rides.get('ride1').dispatch.offer.driverId).toBe('first');
+    expect(store.rides.get('ride1').dispatch.passed).toEqual({});
+  });
+});
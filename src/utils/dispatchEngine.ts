@@ -0,0 +1,297 @@
+import type { Location, RideRequest } from "@/services/firebaseService";
+import { calculateDistance } from "@/utils/distanceCalculator";
+
+/**
+ * Dispatch mode: instead of every driver seeing a new request, it is offered to
+ * one driver at a time, best ranked first. Each driver gets an exclusive window
+ * to accept; when they decline or the window runs out, the next driver gets it.
+ * If nobody takes it, the ride is opened up to every driver as usual.
+ *
+ * Nothing here touches the database directly. The engine reads and writes
+ * through a DispatchStore, so it runs the same against Firebase or in memory.
+ */
+
+export type DispatchPassReason = 'declined' | 'timedOut' | 'cancelled';
+
+export interface DispatchOffer {
+  driverId: string;
+  offeredAt: number;
+  expiresAt: number; // end of the driver's exclusive window
+}
+
+/**
+ * Dispatch state kept on a pending ride
+ */
+export interface RideDispatch {
+  status: 'offering' | 'exhausted'; // exhausted: no driver took it, so it's open to everyone
+  offer?: DispatchOffer;
+  passed?: Record<string, DispatchPassReason>; // drivers who already had their turn
+  updatedAt: number;
+}
+
+/**
+ * A driver who could be offered a ride
+ */
+export interface DispatchCandidate {
+  driverId: string;
+  location: Location;
+  rating?: number; // average stars; unrated drivers are treated as NEUTRAL_RATING
+  availableSince?: number; // when the driver last became free, for idle time
+}
+
+export interface RankedDispatchCandidate extends DispatchCandidate {
+  distance: number; // miles to the pickup
+  score: number; // lower is better
+}
+
+export interface DispatchSettings {
+  enabled: boolean;
+  acceptWindowSeconds: number; // how long each driver has to accept
+  maxDistanceMiles: number; // drivers further than this from the pickup aren't offered the ride
+  maxOffers: number; // drivers to try before opening the ride to everyone
+  // Score weights, in miles: a driver's score is their distance to the pickup
+  // plus ratingWeight per star below 5, minus idleWeight per minute idle
+  ratingWeight: number;
+  idleWeight: number;
+  maxIdleMinutes: number; // idle time beyond this doesn't improve the score
+}
+
+/**
+ * Settings used when none are configured in the database. Dispatch is off,
+ * so rides stay first-come, first-served.
+ */
+export const DEFAULT_DISPATCH_SETTINGS: DispatchSettings = {
+  enabled: false,
+  acceptWindowSeconds: 20,
+  maxDistanceMiles: 10,
+  maxOffers: 5,
+  ratingWeight: 1,
+  idleWeight: 0.05,
+  maxIdleMinutes: 30,
+};
+
+export const NEUTRAL_RATING = 4.5;
+
+// How long a dispatch can sit without an active offer before drivers stop waiting for it
+// (for example, when the customer's app that drives the dispatch has gone away)
+export const DISPATCH_STALL_GRACE_MS = 15000;
+
+/**
+ * Fill in missing or invalid settings from the defaults
+ */
+export const normalizeDispatchSettings = (settings: Partial<DispatchSettings> | null | undefined): DispatchSettings => {
+  if (!settings) return DEFAULT_DISPATCH_SETTINGS;
+
+  const numberOr = (value: unknown, fallback: number) =>
+    typeof value === 'number' && isFinite(value) && value >= 0 ? value : fallback;
+
+  return {
+    enabled: settings.enabled === true,
+    acceptWindowSeconds: numberOr(settings.acceptWindowSeconds, DEFAULT_DISPATCH_SETTINGS.acceptWindowSeconds) || DEFAULT_DISPATCH_SETTINGS.acceptWindowSeconds,
+    maxDistanceMiles: numberOr(settings.maxDistanceMiles, DEFAULT_DISPATCH_SETTINGS.maxDistanceMiles),
+    maxOffers: Math.max(1, Math.floor(numberOr(settings.maxOffers, DEFAULT_DISPATCH_SETTINGS.maxOffers))),
+    ratingWeight: numberOr(settings.ratingWeight, DEFAULT_DISPATCH_SETTINGS.ratingWeight),
+    idleWeight: numberOr(settings.idleWeight, DEFAULT_DISPATCH_SETTINGS.idleWeight),
+    maxIdleMinutes: numberOr(settings.maxIdleMinutes, DEFAULT_DISPATCH_SETTINGS.maxIdleMinutes),
+  };
+};
+
+/**
+ * Initial dispatch state for a new request
+ */
+export const createRideDispatch = (now: number = Date.now()): RideDispatch => ({
+  status: 'offering',
+  updatedAt: now,
+});
+
+/**
+ * Rank drivers for a pickup, best first. Closer drivers rank higher; a better
+ * rating and a longer wait since their last ride move a driver up.
+ */
+export const rankDispatchCandidates = (
+  pickup: Location,
+  candidates: DispatchCandidate[],
+  settings: DispatchSettings,
+  now: number = Date.now()
+): RankedDispatchCandidate[] => {
+  return candidates
+    .map((candidate) => {
+      const distance = calculateDistance(pickup, candidate.location);
+      const rating = candidate.rating || NEUTRAL_RATING;
+      const idleMinutes = candidate.availableSince
+        ? Math.min(Math.max(now - candidate.availableSince, 0) / 60000, settings.maxIdleMinutes)
+        : 0;
+
+      return {
+        ...candidate,
+        distance,
+        score: distance + (5 - rating) * settings.ratingWeight - idleMinutes * settings.idleWeight,
+      };
+    })
+    .filter((candidate) => candidate.distance <= settings.maxDistanceMiles)
+    .sort((a, b) => a.score - b.score);
+};
+
+/**
+ * The offer a dispatch is waiting on, if its window is still open
+ */
+export const getActiveDispatchOffer = (dispatch: RideDispatch | undefined, now: number = Date.now()): DispatchOffer | null => {
+  const offer = dispatch?.status === 'offering' ? dispatch.offer : undefined;
+  if (!offer || offer.expiresAt <= now || dispatch.passed?.[offer.driverId]) return null;
+  return offer;
+};
+
+// Waiting on an offer that will never be made: let everyone see the ride
+const isDispatchStalled = (dispatch: RideDispatch, now: number) => {
+  if (getActiveDispatchOffer(dispatch, now)) return false;
+  const idleSince = Math.max(dispatch.offer?.expiresAt || 0, dispatch.updatedAt || 0);
+  return now - idleSince > DISPATCH_STALL_GRACE_MS;
+};
+
+/**
+ * Whether a driver may see and accept a pending ride. Dispatched rides are only
+ * open to the driver holding the offer, until dispatch gives up or stalls.
+ */
+export const isRideOpenToDriver = (ride: RideRequest, driverId: string, now: number = Date.now()): boolean => {
+  const dispatch = ride.dispatch;
+  if (!dispatch || dispatch.status === 'exhausted') return true;
+
+  const offer = getActiveDispatchOffer(dispatch, now);
+  if (offer) return offer.driverId === driverId;
+  return isDispatchStalled(dispatch, now);
+};
+
+/**
+ * Work out the dispatch state after the current offer ends: offer the ride to the
+ * best-ranked driver who hasn't had it yet, or give up and open it to everyone.
+ * @param ranked Candidates from rankDispatchCandidates
+ */
+export const getNextDispatch = (
+  dispatch: RideDispatch,
+  ranked: RankedDispatchCandidate[],
+  settings: DispatchSettings,
+  now: number = Date.now()
+): RideDispatch => {
+  const passed = { ...dispatch.passed };
+  if (dispatch.offer && !passed[dispatch.offer.driverId]) {
+    passed[dispatch.offer.driverId] = 'timedOut';
+  }
+
+  const next = ranked.find((candidate) => !passed[candidate.driverId]);
+  if (!next || Object.keys(passed).length >= settings.maxOffers) {
+    return { status: 'exhausted', passed, updatedAt: now };
+  }
+
+  return {
+    status: 'offering',
+    offer: {
+      driverId: next.driverId,
+      offeredAt: now,
+      expiresAt: now + settings.acceptWindowSeconds * 1000,
+    },
+    passed,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Start dispatch over after the assigned driver backs out, skipping them
+ */
+export const restartDispatch = (dispatch: RideDispatch, driverId: string, now: number = Date.now()): RideDispatch => ({
+  status: 'offering',
+  passed: { ...dispatch.passed, [driverId]: 'cancelled' },
+  updatedAt: now,
+});
+
+/**
+ * Where the dispatch engine reads rides and drivers and saves its progress
+ */
+export interface DispatchStore {
+  getRide: (rideId: string) => Promise<RideRequest | null>;
+  // Drivers free to take the ride right now
+  getCandidates: (ride: RideRequest) => Promise<DispatchCandidate[]>;
+  // Atomically replace a ride's dispatch state and bump its revision. The update sees the
+  // latest ride and returns nothing to leave it alone. Resolves to the saved state, or null if unchanged.
+  updateDispatch: (rideId: string, update: (ride: RideRequest) => RideDispatch | undefined) => Promise<RideDispatch | null>;
+}
+
+// Only pending rides still being offered around need the engine
+const isDispatching = (ride: RideRequest | null): boolean => {
+  return !!ride && ride.status === 'pending' && ride.dispatch?.status === 'offering';
+};
+
+/**
+ * Move a ride's dispatch along: if no offer is open, offer the ride to the next
+ * driver (or open it to everyone). Safe to call at any time and from several
+ * places at once; it does nothing while an offer is still open.
+ * @returns The dispatch state after the step
+ */
+export const advanceDispatch = async (
+  store: DispatchStore,
+  rideId: string,
+  settings: DispatchSettings,
+  now: number = Date.now()
+): Promise<RideDispatch | null> => {
+  const ride = await store.getRide(rideId);
+  if (!isDispatching(ride) || getActiveDispatchOffer(ride.dispatch, now)) {
+    return ride?.dispatch || null;
+  }
+
+  const ranked = rankDispatchCandidates(ride.pickupLocation, await store.getCandidates(ride), settings, now);
+
+  const saved = await store.updateDispatch(rideId, (current) => {
+    // Someone else may have moved it on while we were ranking drivers
+    if (!isDispatching(current) || getActiveDispatchOffer(current.dispatch, now)) return undefined;
+    return getNextDispatch(current.dispatch, ranked, settings, now);
+  });
+
+  return saved || (await store.getRide(rideId))?.dispatch || null;
+};
+
+/**
+ * Turn down an offered ride, so it can move on to the next driver
+ * @returns Whether the driver held the offer
+ */
+export const declineDispatch = async (
+  store: DispatchStore,
+  rideId: string,
+  driverId: string,
+  now: number = Date.now()
+): Promise<boolean> => {
+  const saved = await store.updateDispatch(rideId, (ride) => {
+    if (!isDispatching(ride) || ride.dispatch.offer?.driverId !== driverId) return undefined;
+    return {
+      ...ride.dispatch,
+      passed: { ...ride.dispatch.passed, [driverId]: 'declined' },
+      updatedAt: now,
+    };
+  });
+  return saved !== null;
+};
+
+/**
+ * A dispatch store kept in memory, for trying the engine out without a database
+ */
+export const createInMemoryDispatchStore = (
+  rides: RideRequest[] = [],
+  candidates: DispatchCandidate[] = []
+): DispatchStore & { rides: Map<string, RideRequest>; candidates: DispatchCandidate[] } => {
+  const store = {
+    rides: new Map(rides.map((ride) => [ride.id, ride])),
+    candidates,
+    getRide: async (rideId: string) => store.rides.get(rideId) || null,
+    getCandidates: async (ride: RideRequest) =>
+      store.candidates.filter((candidate) => candidate.driverId !== ride.customerId),
+    updateDispatch: async (rideId: string, update: (ride: RideRequest) => RideDispatch | undefined) => {
+      const ride = store.rides.get(rideId);
+      if (!ride) return null;
+
+      const dispatch = update(ride);
+      if (!dispatch) return null;
+
+      store.rides.set(rideId, { ...ride, dispatch, revision: (ride.revision || 0) + 1 });
+      return dispatch;
+    },
+  };
+  return store;
+};
@@ -58,3 +58,20 @@ export const formatTravelTime = (minutes: number): string => {
   
   return `${hours} hr${hours !== 1 ? 's' : ''} ${remainingMinutes} min${remainingMinutes !== 1 ? 's' : ''}`;
 };
+
+/**
+ * Calculate the initial compass bearing from one location to another
+ * @param from Starting location
+ * @param to Target location
+ * @returns Bearing in degrees clockwise from true north (0-360)
+ */
+export const calculateBearing = (from: Location, to: Location): number => {
+  const lat1 = from.latitude * Math.PI / 180;
+  const lat2 = to.latitude * Math.PI / 180;
+  const dLon = (to.longitude - from.longitude) * Math.PI / 180;
+  
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
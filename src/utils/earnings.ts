@@ -0,0 +1,180 @@
+import { addDays, format, startOfDay, startOfMonth, startOfWeek } from "date-fns";
+import { RideRequest } from "@/services/firebaseService";
+
+/**
+ * Totals for a period of driving
+ */
+export interface EarningsSummary {
+  total: number;
+  trips: number;
+  miles: number;
+  hoursOnline: number;
+}
+
+export interface DailyEarnings {
+  date: number; // start of the day
+  label: string;
+  total: number;
+  trips: number;
+}
+
+export interface HourlyEarnings {
+  hour: number; // 0-23
+  label: string;
+  total: number;
+  trips: number;
+  averageFare: number;
+}
+
+export interface EarningsReport {
+  today: EarningsSummary;
+  week: EarningsSummary;
+  month: EarningsSummary;
+  allTime: EarningsSummary;
+  averageFarePerMile: number;
+  daily: DailyEarnings[];
+  hourly: HourlyEarnings[];
+  bestHours: HourlyEarnings[];
+}
+
+// A period of time the driver was working, in ms
+export interface OnlineSession {
+  start: number;
+  end: number;
+}
+
+/**
+ * What the driver earned on a ride: the settled fare, falling back to the agreed
+ * or offered price for rides completed before fares were settled
+ */
+export const getRideEarnings = (ride: RideRequest): number => {
+  return ride.settledAmount ?? ride.agreedFare ?? ride.estimatedPrice ?? 0;
+};
+
+const getRideTime = (ride: RideRequest): number => ride.endTime || ride.startTime || ride.requestTime;
+
+/**
+ * Time the driver spent on a ride, from accepting it to dropping off
+ */
+export const getRideSession = (ride: RideRequest): OnlineSession | null => {
+  const start = ride.acceptTime || ride.startTime;
+  const end = ride.endTime;
+  return start && end && end > start ? { start, end } : null;
+};
+
+/**
+ * Total hours covered by a set of sessions, counting overlapping time once
+ * @param sessions Working periods
+ * @param from Only count time from here on
+ * @param to Only count time before this
+ */
+export const getHoursOnline = (sessions: OnlineSession[], from: number = 0, to: number = Infinity): number => {
+  const clipped = sessions
+    .map((session) => ({ start: Math.max(session.start, from), end: Math.min(session.end, to) }))
+    .filter((session) => session.end > session.start)
+    .sort((a, b) => a.start - b.start);
+
+  let totalMs = 0;
+  let currentStart: number | null = null;
+  let currentEnd = 0;
+
+  clipped.forEach((session) => {
+    if (currentStart === null || session.start > currentEnd) {
+      if (currentStart !== null) totalMs += currentEnd - currentStart;
+      currentStart = session.start;
+      currentEnd = session.end;
+    } else {
+      currentEnd = Math.max(currentEnd, session.end);
+    }
+  });
+  if (currentStart !== null) totalMs += currentEnd - currentStart;
+
+  return totalMs / 3600000;
+};
+
+const summarize = (rides: RideRequest[], sessions: OnlineSession[], from: number, to: number): EarningsSummary => {
+  const inPeriod = rides.filter((ride) => {
+    const time = getRideTime(ride);
+    return time >= from && time < to;
+  });
+
+  return {
+    total: inPeriod.reduce((sum, ride) => sum + getRideEarnings(ride), 0),
+    trips: inPeriod.length,
+    miles: inPeriod.reduce((sum, ride) => sum + (ride.calculatedMileage || 0), 0),
+    hoursOnline: getHoursOnline(sessions, from, to),
+  };
+};
+
+const formatHour = (hour: number): string => format(new Date(2000, 0, 1, hour), 'ha');
+
+/**
+ * Earliest time the periods and charts of an earnings report reach back to,
+ * so callers only need to load rides completed since then
+ * @param days Number of days charted
+ * @param now Time the report is for
+ */
+export const getEarningsReportStart = (days: number = 14, now: number = Date.now()): number => {
+  const chartStart = addDays(startOfDay(now), -(days - 1)).getTime();
+  return Math.min(chartStart, startOfMonth(now).getTime(), startOfWeek(now, { weekStartsOn: 1 }).getTime());
+};
+
+/**
+ * Build the driver's earnings report from their completed rides
+ * @param rides Completed rides
+ * @param options Number of days to chart, the time to report at, and working
+ * sessions (defaults to the time spent on each ride)
+ */
+export const getEarningsReport = (
+  rides: RideRequest[],
+  options: { days?: number; now?: number; sessions?: OnlineSession[] } = {}
+): EarningsReport => {
+  const { days = 14, now = Date.now() } = options;
+  const completed = rides.filter((ride) => ride.status === 'completed');
+  const sessions = options.sessions || completed.map(getRideSession).filter(Boolean);
+
+  const todayStart = startOfDay(now).getTime();
+  const end = addDays(todayStart, 1).getTime();
+
+  const allTime = summarize(completed, sessions, 0, end);
+
+  const daily: DailyEarnings[] = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const dayStart = addDays(todayStart, -i).getTime();
+    const summary = summarize(completed, sessions, dayStart, addDays(dayStart, 1).getTime());
+    daily.push({ date: dayStart, label: format(dayStart, 'MMM d'), total: summary.total, trips: summary.trips });
+  }
+
+  // Group by the hour each trip started
+  const hourly: HourlyEarnings[] = Array.from({ length: 24 }, (_, hour) => ({
+    hour,
+    label: formatHour(hour),
+    total: 0,
+    trips: 0,
+    averageFare: 0,
+  }));
+  completed.forEach((ride) => {
+    const bucket = hourly[new Date(ride.startTime || getRideTime(ride)).getHours()];
+    bucket.total += getRideEarnings(ride);
+    bucket.trips += 1;
+  });
+  hourly.forEach((bucket) => {
+    bucket.averageFare = bucket.trips > 0 ? bucket.total / bucket.trips : 0;
+  });
+
+  const bestHours = hourly
+    .filter((bucket) => bucket.trips > 0)
+    .sort((a, b) => b.total - a.total)
+    .slice(0, 3);
+
+  return {
+    today: summarize(completed, sessions, todayStart, end),
+    week: summarize(completed, sessions, startOfWeek(now, { weekStartsOn: 1 }).getTime(), end),
+    month: summarize(completed, sessions, startOfMonth(now).getTime(), end),
+    allTime,
+    averageFarePerMile: allTime.miles > 0 ? allTime.total / allTime.miles : 0,
+    daily,
+    hourly,
+    bestHours,
+  };
+};
@@ -0,0 +1,325 @@
+import { calculateEstimatedTime } from "@/utils/distanceCalculator";
+
+/**
+ * A surcharge (or discount) that applies during part of the day
+ */
+export interface TimeOfDayMultiplier {
+  label: string;
+  startHour: number; // 0-23, inclusive
+  endHour: number; // 0-24, exclusive; wraps past midnight when lower than startHour
+  multiplier: number;
+  days?: number[]; // 0 (Sunday) to 6 (Saturday); every day when omitted
+}
+
+export type FareRoundingMode = 'nearest' | 'up' | 'down';
+
+/**
+ * Pricing rules used to work out a fare
+ */
+export interface FareRules {
+  baseFare: number;
+  perMile: number;
+  perMinute: number;
+  minimumFare: number; // applied before the booking fee
+  bookingFee: number; // added after multipliers and the minimum fare
+  waitPerMinute: number; // charged at settlement for waiting at pickup beyond the free minutes
+  freeWaitMinutes: number;
+  timeOfDayMultipliers: TimeOfDayMultiplier[];
+  rounding: {
+    increment: number; // e.g. 0.05 to round to the nearest 5 cents
+    mode: FareRoundingMode;
+  };
+}
+
+export type FareLineItemType = 'base' | 'distance' | 'time' | 'timeOfDay' | 'minimum' | 'bookingFee' | 'agreed' | 'wait' | 'rounding';
+
+export interface FareLineItem {
+  type: FareLineItemType;
+  label: string;
+  amount: number;
+}
+
+/**
+ * An itemized fare. The line items always add up to the total.
+ */
+export interface FareBreakdown {
+  items: FareLineItem[];
+  total: number;
+  distanceMiles: number;
+  durationMinutes: number;
+  multiplier: number;
+}
+
+export interface FareTrip {
+  distanceMiles: number;
+  durationMinutes?: number; // estimated from the distance when omitted
+  time?: number | Date; // when the trip happens, for time-of-day pricing; now when omitted
+}
+
+/**
+ * Rules used when none are configured in the database
+ */
+export const DEFAULT_FARE_RULES: FareRules = {
+  baseFare: 2.50,
+  perMile: 1.75,
+  perMinute: 0.20,
+  minimumFare: 5.00,
+  bookingFee: 1.00,
+  waitPerMinute: 0.30,
+  freeWaitMinutes: 3,
+  timeOfDayMultipliers: [
+    { label: 'Morning rush hour', startHour: 7, endHour: 9, multiplier: 1.2, days: [1, 2, 3, 4, 5] },
+    { label: 'Evening rush hour', startHour: 16, endHour: 19, multiplier: 1.2, days: [1, 2, 3, 4, 5] },
+    { label: 'Late night', startHour: 23, endHour: 5, multiplier: 1.3 },
+  ],
+  rounding: {
+    increment: 0.05,
+    mode: 'nearest',
+  },
+};
+
+const toCents = (amount: number): number => Math.round(amount * 100) / 100;
+
+const isInWindow = (window: TimeOfDayMultiplier, date: Date): boolean => {
+  const hour = date.getHours();
+  const inHours = window.startHour <= window.endHour
+    ? hour >= window.startHour && hour < window.endHour
+    : hour >= window.startHour || hour < window.endHour;
+
+  if (!inHours) return false;
+  if (!window.days || window.days.length === 0) return true;
+
+  // A window that wraps past midnight belongs to the day it started on
+  const day = window.startHour > window.endHour && hour < window.endHour
+    ? (date.getDay() + 6) % 7
+    : date.getDay();
+  return window.days.includes(day);
+};
+
+/**
+ * Find the time-of-day multiplier in effect at a given time.
+ * When several windows overlap, the highest multiplier wins.
+ * @returns The matching window, or null if none applies
+ */
+export const getTimeOfDayMultiplier = (rules: FareRules, time: number | Date = Date.now()): TimeOfDayMultiplier | null => {
+  const date = time instanceof Date ? time : new Date(time);
+
+  return (rules.timeOfDayMultipliers || [])
+    .filter((window) => isInWindow(window, date))
+    .reduce<TimeOfDayMultiplier | null>(
+      (best, window) => (!best || window.multiplier > best.multiplier ? window : best),
+      null
+    );
+};
+
+/**
+ * Round an amount to the rules' increment
+ */
+export const roundFare = (amount: number, rounding: FareRules['rounding']): number => {
+  if (!rounding || !(rounding.increment > 0)) return toCents(amount);
+
+  // Work in cents so floating point error doesn't push values over a boundary
+  const cents = Math.round(amount * 100);
+  const step = Math.round(rounding.increment * 100);
+  const round = rounding.mode === 'up' ? Math.ceil : rounding.mode === 'down' ? Math.floor : Math.round;
+  return (round(cents / step) * step) / 100;
+};
+
+/**
+ * Calculate an itemized fare for a trip
+ * @param trip Distance, optional duration and time of the trip
+ * @param rules Pricing rules (defaults to the bundled rules)
+ * @returns Line items and total
+ */
+export const calculateFare = (trip: FareTrip, rules: FareRules = DEFAULT_FARE_RULES): FareBreakdown => {
+  const distanceMiles = Math.max(0, trip.distanceMiles || 0);
+  const durationMinutes = Math.max(0, trip.durationMinutes ?? calculateEstimatedTime(distanceMiles));
+  const items: FareLineItem[] = [];
+
+  const addItem = (type: FareLineItemType, label: string, amount: number) => {
+    const rounded = toCents(amount);
+    if (rounded !== 0) {
+      items.push({ type, label, amount: rounded });
+    }
+  };
+
+  addItem('base', 'Base fare', rules.baseFare);
+  addItem('distance', `Distance (${distanceMiles.toFixed(1)} mi)`, distanceMiles * rules.perMile);
+  addItem('time', `Time (${Math.round(durationMinutes)} min)`, durationMinutes * rules.perMinute);
+
+  let subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+  const window = getTimeOfDayMultiplier(rules, trip.time ?? Date.now());
+  const multiplier = window ? window.multiplier : 1;
+  if (window && multiplier !== 1) {
+    const surcharge = toCents(subtotal * (multiplier - 1));
+    addItem('timeOfDay', `${window.label} (${multiplier}x)`, surcharge);
+    subtotal += surcharge;
+  }
+
+  if (subtotal < rules.minimumFare) {
+    addItem('minimum', 'Minimum fare adjustment', rules.minimumFare - subtotal);
+    subtotal = rules.minimumFare;
+  }
+
+  addItem('bookingFee', 'Booking fee', rules.bookingFee);
+  subtotal = toCents(subtotal + (rules.bookingFee || 0));
+
+  const total = roundFare(subtotal, rules.rounding);
+  addItem('rounding', 'Rounding', total - subtotal);
+
+  return {
+    items,
+    total,
+    distanceMiles,
+    durationMinutes,
+    multiplier,
+  };
+};
+
+/**
+ * Fill in any missing or invalid values in a rule set from the defaults
+ * @param rules Rules as loaded from the database, possibly partial
+ */
+export const normalizeFareRules = (rules: Partial<FareRules> | null | undefined): FareRules => {
+  if (!rules) return DEFAULT_FARE_RULES;
+
+  const numberOr = (value: unknown, fallback: number) =>
+    typeof value === 'number' && isFinite(value) && value >= 0 ? value : fallback;
+
+  const multipliers = Array.isArray(rules.timeOfDayMultipliers)
+    ? rules.timeOfDayMultipliers.filter((window) =>
+        window &&
+        typeof window.startHour === 'number' &&
+        typeof window.endHour === 'number' &&
+        typeof window.multiplier === 'number' &&
+        window.multiplier > 0
+      )
+    : DEFAULT_FARE_RULES.timeOfDayMultipliers;
+
+  return {
+    baseFare: numberOr(rules.baseFare, DEFAULT_FARE_RULES.baseFare),
+    perMile: numberOr(rules.perMile, DEFAULT_FARE_RULES.perMile),
+    perMinute: numberOr(rules.perMinute, DEFAULT_FARE_RULES.perMinute),
+    minimumFare: numberOr(rules.minimumFare, DEFAULT_FARE_RULES.minimumFare),
+    bookingFee: numberOr(rules.bookingFee, DEFAULT_FARE_RULES.bookingFee),
+    waitPerMinute: numberOr(rules.waitPerMinute, DEFAULT_FARE_RULES.waitPerMinute),
+    freeWaitMinutes: numberOr(rules.freeWaitMinutes, DEFAULT_FARE_RULES.freeWaitMinutes),
+    timeOfDayMultipliers: multipliers,
+    rounding: {
+      increment: numberOr(rules.rounding?.increment, DEFAULT_FARE_RULES.rounding.increment),
+      mode: ['nearest', 'up', 'down'].includes(rules.rounding?.mode)
+        ? rules.rounding.mode
+        : DEFAULT_FARE_RULES.rounding.mode,
+    },
+  };
+};
+
+/**
+ * Typical price range for a trip, around the rules' fare
+ */
+export interface FareRange {
+  low: number;
+  suggested: number;
+  high: number;
+}
+
+export type OfferComparison = 'lowball' | 'below' | 'fair' | 'above';
+
+// How far either side of the calculated fare offers are still considered typical
+const FARE_RANGE_SPREAD = 0.15;
+
+// Offers below this share of the suggested fare are unlikely to be accepted
+const LOWBALL_RATIO = 0.7;
+
+/**
+ * Typical range around a trip's suggested fare
+ * @param suggested Fare calculated for the trip
+ * @param rules Rules used for rounding the range
+ */
+export const getFareRange = (suggested: number, rules: FareRules = DEFAULT_FARE_RULES): FareRange => {
+  return {
+    low: roundFare(suggested * (1 - FARE_RANGE_SPREAD), rules.rounding),
+    suggested,
+    high: roundFare(suggested * (1 + FARE_RANGE_SPREAD), rules.rounding),
+  };
+};
+
+/**
+ * Compare an offered price against a trip's suggested range
+ */
+export const compareOfferToFare = (offer: number, range: FareRange): OfferComparison => {
+  if (offer < range.suggested * LOWBALL_RATIO) return 'lowball';
+  if (offer < range.low) return 'below';
+  if (offer > range.high) return 'above';
+  return 'fair';
+};
+
+/**
+ * Difference between an offer and the suggested fare, as a fraction (-0.2 is 20% below)
+ */
+export const getOfferDifference = (offer: number, range: FareRange): number => {
+  return range.suggested > 0 ? (offer - range.suggested) / range.suggested : 0;
+};
+
+/**
+ * Final fare for a completed trip, with the figures it was worked out from
+ */
+export interface FareSettlement {
+  basis: 'agreed' | 'metered'; // agreed price, or fare rules applied to the actual trip
+  items: FareLineItem[];
+  total: number;
+  distanceMiles: number;
+  durationMinutes: number;
+  waitMinutes: number;
+  settledAt: number;
+}
+
+export interface CompletedTrip {
+  agreedFare?: number; // price agreed when the ride was accepted, if any
+  distanceMiles: number; // actual mileage driven
+  durationMinutes: number; // actual trip duration
+  waitMinutes: number; // time the driver waited at pickup
+  time?: number | Date; // when the trip started, for time-of-day pricing
+}
+
+/**
+ * Work out the final fare for a completed trip. An agreed price stands for the
+ * trip itself; otherwise the fare rules are applied to the actual distance and
+ * duration. Waiting at pickup beyond the free minutes is added either way.
+ * @param trip Actual trip figures
+ * @param rules Pricing rules (defaults to the bundled rules)
+ * @param settledAt When the fare was settled
+ */
+export const settleFare = (
+  trip: CompletedTrip,
+  rules: FareRules = DEFAULT_FARE_RULES,
+  settledAt: number = Date.now()
+): FareSettlement => {
+  const distanceMiles = Math.max(0, trip.distanceMiles || 0);
+  const durationMinutes = Math.max(0, trip.durationMinutes || 0);
+  const waitMinutes = Math.max(0, trip.waitMinutes || 0);
+  const hasAgreedFare = typeof trip.agreedFare === 'number' && trip.agreedFare > 0;
+
+  const items: FareLineItem[] = hasAgreedFare
+    ? [{ type: 'agreed', label: 'Agreed fare', amount: toCents(trip.agreedFare) }]
+    : calculateFare({ distanceMiles, durationMinutes, time: trip.time }, rules).items;
+
+  const chargeableWait = Math.max(0, waitMinutes - rules.freeWaitMinutes);
+  const waitCharge = toCents(chargeableWait * rules.waitPerMinute);
+  if (waitCharge > 0) {
+    items.push({ type: 'wait', label: `Wait time (${Math.round(chargeableWait)} min)`, amount: waitCharge });
+  }
+
+  const total = toCents(items.reduce((sum, item) => sum + item.amount, 0));
+
+  return {
+    basis: hasAgreedFare ? 'agreed' : 'metered',
+    items,
+    total,
+    distanceMiles,
+    durationMinutes,
+    waitMinutes,
+    settledAt,
+  };
+};
@@ -0,0 +1,35 @@
+/**
+ * Save generated text content as a file in the browser
+ * @param content File contents
+ * @param fileName Name for the downloaded file
+ * @param mimeType MIME type of the content
+ */
+export const downloadTextFile = (content: string, fileName: string, mimeType: string = 'text/plain'): void => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Escape text for use inside XML/HTML element content or attribute values
+ * @param value Text to escape
+ * @returns Escaped text
+ */
+export const escapeXml = (value: string): string => {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
@@ -0,0 +1,126 @@
+import { Location } from "@/services/firebaseService";
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const MILES_PER_DEGREE_LATITUDE = 69;
+
+export const MAX_GEOHASH_PRECISION = 12;
+
+/**
+ * Encode a location as a geohash. Locations that share a prefix are in the same
+ * cell, so a prefix query finds everything in that cell.
+ * @param location Location to encode
+ * @param precision Number of characters (each one narrows the cell down by 32)
+ * @returns Geohash string
+ */
+export const encodeGeohash = (location: Location, precision: number = 9): string => {
+  let latMin = -90, latMax = 90;
+  let lonMin = -180, lonMax = 180;
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true; // bits alternate between longitude and latitude, longitude first
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lonMin + lonMax) / 2;
+      if (location.longitude >= mid) {
+        value = value * 2 + 1;
+        lonMin = mid;
+      } else {
+        value = value * 2;
+        lonMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (location.latitude >= mid) {
+        value = value * 2 + 1;
+        latMin = mid;
+      } else {
+        value = value * 2;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32.charAt(value);
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Size of a geohash cell of the given precision
+ * @returns Height and width of the cell in degrees
+ */
+export const getGeohashCellSize = (precision: number) => {
+  const totalBits = precision * 5;
+  const longitudeBits = Math.ceil(totalBits / 2);
+  const latitudeBits = totalBits - longitudeBits;
+
+  return {
+    latitudeDegrees: 180 / Math.pow(2, latitudeBits),
+    longitudeDegrees: 360 / Math.pow(2, longitudeBits),
+  };
+};
+
+// Bring a longitude back into -180..180 when a search area crosses the antimeridian
+const wrapLongitude = (longitude: number) => ((longitude + 540) % 360) - 180;
+
+/**
+ * Find the geohash cells that together cover a circle, using the finest precision
+ * that needs no more than maxCells cells. Query each cell by prefix, then drop
+ * results outside the radius.
+ * @param center Center of the search area
+ * @param radiusMiles Radius of the search area in miles
+ * @param maxCells Most cells to return (each one is a separate query)
+ * @returns Sorted, unique geohash prefixes
+ */
+export const getGeohashesCoveringRadius = (center: Location, radiusMiles: number, maxCells: number = 16): string[] => {
+  const latitudeRadius = radiusMiles / MILES_PER_DEGREE_LATITUDE;
+  const minLatitude = Math.max(center.latitude - latitudeRadius, -90);
+  const maxLatitude = Math.min(center.latitude + latitudeRadius, 90);
+
+  // A degree of longitude is shortest at the edge of the area furthest from the equator
+  const widestLatitude = Math.min(Math.max(Math.abs(minLatitude), Math.abs(maxLatitude)), 89);
+  const longitudeRadius = Math.min(latitudeRadius / Math.cos(widestLatitude * Math.PI / 180), 180);
+
+  for (let precision = MAX_GEOHASH_PRECISION; precision > 1; precision--) {
+    const { latitudeDegrees, longitudeDegrees } = getGeohashCellSize(precision);
+    const rows = Math.ceil((maxLatitude - minLatitude) / latitudeDegrees) + 1;
+    const columns = Math.ceil((2 * longitudeRadius) / longitudeDegrees) + 1;
+    if (rows * columns <= maxCells) {
+      return collectCells(center, minLatitude, maxLatitude, longitudeRadius, precision);
+    }
+  }
+
+  return collectCells(center, minLatitude, maxLatitude, longitudeRadius, 1);
+};
+
+// Every cell of a precision that touches the bounding box of the search area
+const collectCells = (
+  center: Location,
+  minLatitude: number,
+  maxLatitude: number,
+  longitudeRadius: number,
+  precision: number
+): string[] => {
+  const { latitudeDegrees, longitudeDegrees } = getGeohashCellSize(precision);
+  const cells = new Set<string>();
+  const minLongitude = center.longitude - longitudeRadius;
+  const maxLongitude = center.longitude + longitudeRadius;
+
+  // Step through the box one cell at a time, always including its far edges
+  for (let latitude = minLatitude; ; latitude = Math.min(latitude + latitudeDegrees, maxLatitude)) {
+    for (let longitude = minLongitude; ; longitude = Math.min(longitude + longitudeDegrees, maxLongitude)) {
+      cells.add(encodeGeohash({ latitude, longitude: wrapLongitude(longitude) }, precision));
+      if (longitude >= maxLongitude) break;
+    }
+    if (latitude >= maxLatitude) break;
+  }
+
+  return Array.from(cells).sort();
+};
@@ -0,0 +1,55 @@
+import { Location } from "@/services/firebaseService";
+
+const MILES_PER_DEGREE_LATITUDE = 69;
+
+/**
+ * Snap a location to the center of a grid cell, so anyone reading it only learns
+ * which cell it is in
+ * @param location Exact location
+ * @param cellMiles Size of a grid cell in miles
+ * @returns Center of the cell containing the location
+ */
+export const snapToGrid = (location: Location, cellMiles: number): Location => {
+  const latitudeStep = cellMiles / MILES_PER_DEGREE_LATITUDE;
+  const latitude = (Math.floor(location.latitude / latitudeStep) + 0.5) * latitudeStep;
+
+  // Cells get narrower in degrees of longitude towards the poles
+  const longitudeStep = latitudeStep / Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+  const longitude = (Math.floor(location.longitude / longitudeStep) + 0.5) * longitudeStep;
+
+  return { latitude, longitude };
+};
+
+/**
+ * Make a random offset to scatter fuzzed locations within their cell, so drivers
+ * in the same cell don't stack up on a map. Pick one per session and reuse it,
+ * since a fresh offset on every update would average out to the cell center anyway.
+ * @param cellMiles Size of a grid cell in miles
+ * @param random Source of randomness in [0, 1)
+ * @returns Offset in miles north and east, each within half a cell
+ */
+export const createFuzzOffset = (cellMiles: number, random: () => number = Math.random) => ({
+  northMiles: (random() - 0.5) * cellMiles,
+  eastMiles: (random() - 0.5) * cellMiles,
+});
+
+/**
+ * Coarsen a location for sharing: snap it to a grid cell and scatter it within the cell
+ * @param location Exact location
+ * @param cellMiles Size of a grid cell in miles
+ * @param offset Offset from createFuzzOffset
+ * @returns A location no closer than the cell to the real one
+ */
+export const fuzzLocation = (
+  location: Location,
+  cellMiles: number,
+  offset: { northMiles: number; eastMiles: number }
+): Location => {
+  const center = snapToGrid(location, cellMiles);
+  const milesPerDegreeLongitude = MILES_PER_DEGREE_LATITUDE * Math.max(Math.cos(center.latitude * Math.PI / 180), 0.01);
+
+  return {
+    latitude: center.latitude + offset.northMiles / MILES_PER_DEGREE_LATITUDE,
+    longitude: center.longitude + offset.eastMiles / milesPerDegreeLongitude,
+  };
+};
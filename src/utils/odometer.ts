@@ -0,0 +1,83 @@
+import { Location } from "@/services/firebaseService";
+import { calculateDistance } from "@/utils/distanceCalculator";
+
+/**
+ * A single GPS fix fed into the odometer
+ */
+export interface OdometerFix extends Location {
+  accuracy?: number; // in meters
+  timestamp: number;
+}
+
+/**
+ * Running odometer state for a trip
+ */
+export interface OdometerState {
+  totalMiles: number;
+  lastFix: OdometerFix | null;
+}
+
+// Fixes less accurate than this (in meters) are ignored entirely
+export const ODOMETER_MAX_ACCURACY_METERS = 50;
+
+// Movements shorter than this (in miles) are treated as GPS jitter
+export const ODOMETER_MIN_STEP_MILES = 0.006; // about 10 meters
+
+// Steps implying a higher speed than this are treated as GPS glitches
+export const ODOMETER_MAX_SPEED_MPH = 120;
+
+const METERS_PER_MILE = 1609.344;
+
+/**
+ * Create a new odometer, optionally resuming from a previously stored state
+ * @param totalMiles Distance already driven on this trip
+ * @param lastFix Last fix that was counted, if any
+ * @returns A fresh odometer state
+ */
+export const createOdometer = (totalMiles: number = 0, lastFix: OdometerFix | null = null): OdometerState => ({
+  totalMiles,
+  lastFix,
+});
+
+/**
+ * Add a GPS fix to the odometer, accumulating the distance from the last counted fix
+ * @param state Current odometer state
+ * @param fix New GPS fix
+ * @returns The updated odometer state (the same object if the fix was discarded)
+ */
+export const addOdometerFix = (state: OdometerState, fix: OdometerFix): OdometerState => {
+  // Drop low-accuracy fixes
+  if (fix.accuracy !== undefined && fix.accuracy > ODOMETER_MAX_ACCURACY_METERS) {
+    return state;
+  }
+
+  // The first usable fix only sets the starting point
+  if (!state.lastFix) {
+    return { ...state, lastFix: fix };
+  }
+
+  // Ignore fixes that arrive out of order
+  if (fix.timestamp <= state.lastFix.timestamp) {
+    return state;
+  }
+
+  const step = calculateDistance(state.lastFix, fix);
+
+  // Require the movement to exceed both the jitter floor and the combined
+  // uncertainty of the two fixes, so a parked car doesn't rack up miles
+  const uncertaintyMiles = ((state.lastFix.accuracy || 0) + (fix.accuracy || 0)) / 2 / METERS_PER_MILE;
+  if (step < Math.max(ODOMETER_MIN_STEP_MILES, uncertaintyMiles)) {
+    return state;
+  }
+
+  // Reject jumps that would require an implausible speed
+  const hours = (fix.timestamp - state.lastFix.timestamp) / 3600000;
+  if (step / hours > ODOMETER_MAX_SPEED_MPH) {
+    return state;
+  }
+
+  return {
+    totalMiles: state.totalMiles + step,
+    lastFix: fix,
+  };
+};
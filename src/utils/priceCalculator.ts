@@ -1,10 +1,8 @@
+import { calculateFare, DEFAULT_FARE_RULES, FareRules } from "@/utils/fareEngine";
 
-export const calculateEstimatedPrice = (mileage: number): number => {
-  // Base fare + per mile rate
-  const baseFare = 2.50; // $2.50 base fare
-  const perMileRate = 1.75; // $1.75 per mile
-  
-  return baseFare + (mileage * perMileRate);
+export const calculateEstimatedPrice = (mileage: number, rules: FareRules = DEFAULT_FARE_RULES): number => {
+  // Total from the fare engine; use calculateFare directly for the itemized breakdown
+  return calculateFare({ distanceMiles: mileage }, rules).total;
 };
 
 export const formatPrice = (price: number): string => {
@@ -0,0 +1,119 @@
+import { RideRequest } from "@/services/firebaseService";
+import { FareLineItem, FareSettlement } from "@/utils/fareEngine";
+import { formatPrice } from "@/utils/priceCalculator";
+import { downloadTextFile, escapeXml } from "@/utils/fileDownload";
+
+/**
+ * The settlement of a completed ride. Rides completed before fares were
+ * settled get a single line for the price that was agreed.
+ */
+export const getRideSettlement = (ride: RideRequest): FareSettlement => {
+  if (ride.settlement) return ride.settlement;
+
+  const amount = ride.agreedFare ?? ride.estimatedPrice ?? 0;
+  const items: FareLineItem[] = [{ type: 'agreed', label: 'Fare', amount }];
+  return {
+    basis: 'agreed',
+    items,
+    total: amount,
+    distanceMiles: ride.calculatedMileage || 0,
+    durationMinutes: ride.startTime && ride.endTime ? Math.round((ride.endTime - ride.startTime) / 60000) : 0,
+    waitMinutes: 0,
+    settledAt: ride.endTime || ride.requestTime,
+  };
+};
+
+/**
+ * Short receipt number derived from the ride id
+ */
+export const getReceiptNumber = (ride: RideRequest): string => {
+  return `TT-${(ride.id || '').slice(-8).toUpperCase()}`;
+};
+
+const formatDateTime = (timestamp?: number): string => {
+  return timestamp ? new Date(timestamp).toLocaleString() : '—';
+};
+
+/**
+ * Build a standalone, printable HTML receipt for a completed ride
+ * @param ride Completed ride
+ * @returns HTML document
+ */
+export const buildReceiptHtml = (ride: RideRequest): string => {
+  const settlement = getRideSettlement(ride);
+  const row = (label: string, value: string, className = '') =>
+    `<tr class="${className}"><td>${escapeXml(label)}</td><td class="amount">${escapeXml(value)}</td></tr>`;
+
+  const details = [
+    row('Date', formatDateTime(ride.endTime || ride.requestTime)),
+    row('Customer', ride.customerName || 'Customer'),
+    row('Driver', ride.driverName || 'Driver'),
+    row('Pickup', ride.pickupAddress || 'Pickup location'),
+    row('Destination', ride.destinationAddress || 'Destination'),
+    row('Trip started', formatDateTime(ride.startTime)),
+    row('Trip ended', formatDateTime(ride.endTime)),
+    row('Distance', `${settlement.distanceMiles.toFixed(2)} miles`),
+    row('Duration', `${Math.round(settlement.durationMinutes)} min`),
+  ];
+  if (settlement.waitMinutes > 0) {
+    details.push(row('Wait at pickup', `${Math.round(settlement.waitMinutes)} min`));
+  }
+
+  const lineItems = settlement.items.map((item) => row(item.label, formatPrice(item.amount)));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeXml(getReceiptNumber(ride))}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937; max-width: 480px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 14px; text-transform: uppercase; color: #6b7280; margin: 24px 0 8px; }
+  .muted { color: #6b7280; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  td { padding: 6px 0; vertical-align: top; }
+  td.amount { text-align: right; padding-left: 16px; }
+  tr.total td { border-top: 2px solid #1f2937; font-weight: bold; font-size: 16px; padding-top: 10px; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+  <h1>Trip Tracker receipt</h1>
+  <p class="muted">Receipt ${escapeXml(getReceiptNumber(ride))} · Settled ${escapeXml(formatDateTime(settlement.settledAt))}</p>
+  <h2>Trip</h2>
+  <table>
+    ${details.join('\n    ')}
+  </table>
+  <h2>Fare${settlement.basis === 'agreed' ? ' (agreed price)' : ''}</h2>
+  <table>
+    ${lineItems.join('\n    ')}
+    ${row('Total', formatPrice(settlement.total), 'total')}
+  </table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Download a ride's receipt as an HTML file
+ */
+export const downloadReceipt = (ride: RideRequest): void => {
+  downloadTextFile(buildReceiptHtml(ride), `receipt-${getReceiptNumber(ride)}.html`, 'text/html');
+};
+
+/**
+ * Open a ride's receipt in a new window and show the print dialog,
+ * so it can be printed or saved as a PDF
+ */
+export const printReceipt = (ride: RideRequest): void => {
+  const receiptWindow = window.open('', '_blank');
+  if (!receiptWindow) {
+    throw new Error('Allow pop-ups for this site to print the receipt');
+  }
+
+  receiptWindow.document.write(buildReceiptHtml(ride));
+  receiptWindow.document.close();
+  receiptWindow.focus();
+  receiptWindow.print();
+};
@@ -0,0 +1,65 @@
+import type { RideRequest } from "@/services/firebaseService";
+
+/**
+ * Why a ride request expired without a driver
+ */
+export type RideExpiryReason = 'noDriversNearby' | 'notAccepted';
+
+export interface RequestExpirySettings {
+  timeoutMinutes: number; // how long a request waits for a driver before it expires
+  rerequestIncreasePercent: number; // price bump suggested when requesting again
+}
+
+/**
+ * Settings used when none are configured in the database
+ */
+export const DEFAULT_REQUEST_EXPIRY_SETTINGS: RequestExpirySettings = {
+  timeoutMinutes: 10,
+  rerequestIncreasePercent: 10,
+};
+
+export const RIDE_EXPIRY_MESSAGES: Record<RideExpiryReason, string> = {
+  noDriversNearby: 'There were no drivers available near you.',
+  notAccepted: 'No driver accepted your request in time.',
+};
+
+/**
+ * Fill in missing or invalid settings from the defaults
+ */
+export const normalizeRequestExpirySettings = (
+  settings: Partial<RequestExpirySettings> | null | undefined
+): RequestExpirySettings => {
+  if (!settings) return DEFAULT_REQUEST_EXPIRY_SETTINGS;
+
+  const positiveOr = (value: unknown, fallback: number) =>
+    typeof value === 'number' && isFinite(value) && value > 0 ? value : fallback;
+
+  return {
+    timeoutMinutes: positiveOr(settings.timeoutMinutes, DEFAULT_REQUEST_EXPIRY_SETTINGS.timeoutMinutes),
+    rerequestIncreasePercent: positiveOr(settings.rerequestIncreasePercent, DEFAULT_REQUEST_EXPIRY_SETTINGS.rerequestIncreasePercent),
+  };
+};
+
+/**
+ * When a request made now should expire
+ */
+export const getRequestExpiresAt = (settings: RequestExpirySettings, now: number = Date.now()): number => {
+  return now + settings.timeoutMinutes * 60 * 1000;
+};
+
+/**
+ * Whether a ride is still pending past its expiry time. Drivers treat such rides
+ * as gone even before the status changes to expired.
+ */
+export const isRideRequestExpired = (ride: Pick<RideRequest, 'status' | 'expiresAt'>, now: number = Date.now()): boolean => {
+  return ride.status === 'pending' && typeof ride.expiresAt === 'number' && ride.expiresAt <= now;
+};
+
+/**
+ * Suggested price for requesting an expired ride again, rounded up to the cent
+ */
+export const getRerequestPrice = (price: number, settings: RequestExpirySettings): number => {
+  // Trim floating-point noise first, so 0.1 * 110 doesn't round up to 0.12
+  const cents = Number((price * (100 + settings.rerequestIncreasePercent)).toFixed(6));
+  return Math.ceil(cents) / 100;
+};
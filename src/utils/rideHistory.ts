@@ -0,0 +1,100 @@
+import { endOfDay, format, startOfDay, startOfMonth } from "date-fns";
+import { RideRequest } from "@/services/firebaseService";
+import { downloadTextFile } from "@/utils/fileDownload";
+
+export type RideStatusFilter = RideRequest['status'] | 'all';
+
+export interface RideHistoryFilters {
+  search: string; // matched against pickup and destination addresses
+  status: RideStatusFilter;
+  from?: Date; // inclusive, by request date
+  to?: Date; // inclusive, by request date
+}
+
+export interface MonthlySpend {
+  month: number; // start of the month
+  label: string;
+  total: number;
+  trips: number;
+}
+
+/**
+ * What the customer paid (or will pay) for a ride
+ */
+export const getRideCost = (ride: RideRequest): number => {
+  return ride.settledAmount ?? ride.agreedFare ?? ride.estimatedPrice ?? 0;
+};
+
+/**
+ * Filter rides by address search, status and request date range
+ */
+export const filterRides = (rides: RideRequest[], filters: RideHistoryFilters): RideRequest[] => {
+  const search = filters.search.trim().toLowerCase();
+  const from = filters.from ? startOfDay(filters.from).getTime() : -Infinity;
+  const to = filters.to ? endOfDay(filters.to).getTime() : Infinity;
+
+  return rides.filter((ride) => {
+    if (filters.status !== 'all' && ride.status !== filters.status) return false;
+    if (ride.requestTime < from || ride.requestTime > to) return false;
+    if (!search) return true;
+
+    return [ride.pickupAddress, ride.destinationAddress]
+      .some((address) => address && address.toLowerCase().includes(search));
+  });
+};
+
+/**
+ * Total spent per month on completed rides, most recent month first
+ */
+export const getMonthlySpend = (rides: RideRequest[]): MonthlySpend[] => {
+  const months = new Map<number, MonthlySpend>();
+
+  rides
+    .filter((ride) => ride.status === 'completed')
+    .forEach((ride) => {
+      const month = startOfMonth(ride.endTime || ride.requestTime).getTime();
+      const entry = months.get(month) || { month, label: format(month, 'MMMM yyyy'), total: 0, trips: 0 };
+      entry.total += getRideCost(ride);
+      entry.trips += 1;
+      months.set(month, entry);
+    });
+
+  return Array.from(months.values()).sort((a, b) => b.month - a.month);
+};
+
+const escapeCsv = (value: string | number | undefined): string => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvTime = (timestamp?: number): string => {
+  return timestamp ? format(timestamp, 'yyyy-MM-dd HH:mm') : '';
+};
+
+/**
+ * Convert rides to CSV, one row per ride, for expense claims
+ */
+export const ridesToCsv = (rides: RideRequest[]): string => {
+  const header = ['Ride ID', 'Requested', 'Completed', 'Status', 'Pickup', 'Destination', 'Driver', 'Distance (mi)', 'Amount'];
+
+  const rows = rides.map((ride) => [
+    ride.id,
+    formatCsvTime(ride.requestTime),
+    formatCsvTime(ride.endTime),
+    ride.status,
+    ride.pickupAddress || '',
+    ride.destinationAddress || '',
+    ride.driverName || '',
+    (ride.calculatedMileage || 0).toFixed(2),
+    getRideCost(ride).toFixed(2),
+  ]);
+
+  return [header, ...rows].map((row) => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Download rides as a CSV file
+ */
+export const downloadRidesCsv = (rides: RideRequest[]): void => {
+  downloadTextFile(ridesToCsv(rides), `ride-history-${format(Date.now(), 'yyyy-MM-dd')}.csv`, 'text/csv');
+};
@@ -0,0 +1,191 @@
+import { Location } from "@/services/firebaseService";
+
+/**
+ * A point on a recorded GPS track
+ */
+export interface TracePoint extends Location {
+  timestamp?: number; // original recording time, if the file has one
+}
+
+export type TraceFormat = 'gpx' | 'geojson' | 'nmea';
+
+/**
+ * Guess the format of a trace file from its name and contents
+ * @param text File contents
+ * @param fileName Optional file name, used for the extension
+ * @returns The detected format, or null if it isn't recognised
+ */
+export const detectTraceFormat = (text: string, fileName: string = ''): TraceFormat | null => {
+  const extension = fileName.split('.').pop()?.toLowerCase();
+  const trimmed = text.trimStart();
+
+  if (extension === 'gpx' || trimmed.startsWith('<')) return 'gpx';
+  if (extension === 'geojson' || extension === 'json' || trimmed.startsWith('{')) return 'geojson';
+  if (extension === 'nmea' || trimmed.startsWith('$')) return 'nmea';
+  return null;
+};
+
+/**
+ * Parse track points from a GPX file (track points, falling back to route points)
+ * @param text GPX document
+ * @returns Points in file order
+ */
+export const parseGpx = (text: string): TracePoint[] => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid GPX file');
+  }
+
+  let elements = Array.from(doc.getElementsByTagName('trkpt'));
+  if (elements.length === 0) {
+    elements = Array.from(doc.getElementsByTagName('rtept'));
+  }
+
+  return elements.map((element) => {
+    const point: TracePoint = {
+      latitude: parseFloat(element.getAttribute('lat') || ''),
+      longitude: parseFloat(element.getAttribute('lon') || ''),
+    };
+    const time = element.getElementsByTagName('time')[0]?.textContent;
+    if (time) {
+      const timestamp = Date.parse(time);
+      if (!isNaN(timestamp)) point.timestamp = timestamp;
+    }
+    return point;
+  });
+};
+
+/**
+ * Parse track points from GeoJSON. Accepts a LineString or MultiLineString,
+ * either bare or inside a Feature / FeatureCollection. Timestamps are read
+ * from a `coordTimes` or `times` property when present.
+ * @param text GeoJSON document
+ * @returns Points in file order
+ */
+export const parseGeoJson = (text: string): TracePoint[] => {
+  const data = JSON.parse(text);
+  const points: TracePoint[] = [];
+
+  const addLine = (coordinates: number[][], times?: (string | number)[]) => {
+    coordinates.forEach((coordinate, index) => {
+      // GeoJSON positions are [longitude, latitude]
+      const point: TracePoint = { latitude: coordinate[1], longitude: coordinate[0] };
+      const time = times?.[index];
+      if (time !== undefined) {
+        const timestamp = typeof time === 'number' ? time : Date.parse(time);
+        if (!isNaN(timestamp)) point.timestamp = timestamp;
+      }
+      points.push(point);
+    });
+  };
+
+  const addGeometry = (geometry, properties: { coordTimes?; times? } = {}) => {
+    if (!geometry) return;
+    const times = properties.coordTimes || properties.times;
+
+    if (geometry.type === 'LineString') {
+      addLine(geometry.coordinates, times);
+    } else if (geometry.type === 'MultiLineString') {
+      geometry.coordinates.forEach((line: number[][], index: number) => {
+        addLine(line, Array.isArray(times?.[0]) ? times[index] : undefined);
+      });
+    }
+  };
+
+  if (data.type === 'FeatureCollection') {
+    data.features.forEach((feature) => addGeometry(feature.geometry, feature.properties || {}));
+  } else if (data.type === 'Feature') {
+    addGeometry(data.geometry, data.properties || {});
+  } else {
+    addGeometry(data);
+  }
+
+  return points;
+};
+
+/**
+ * Convert an NMEA ddmm.mmmm coordinate to decimal degrees
+ */
+const parseNmeaCoordinate = (value: string, hemisphere: string): number => {
+  const dot = value.indexOf('.');
+  const degrees = parseFloat(value.slice(0, dot - 2));
+  const minutes = parseFloat(value.slice(dot - 2));
+  const decimal = degrees + minutes / 60;
+  return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+};
+
+/**
+ * Parse track points from NMEA sentences. Only RMC sentences are used, since
+ * they carry both the date and the time of each fix.
+ * @param text NMEA log, one sentence per line
+ * @returns Points in file order
+ */
+export const parseNmea = (text: string): TracePoint[] => {
+  const points: TracePoint[] = [];
+
+  text.split(/\r?\n/).forEach((line) => {
+    const sentence = line.trim().split('*')[0];
+    const fields = sentence.split(',');
+
+    // $GPRMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,speed,course,ddmmyy,...
+    if (!/^\$..RMC$/.test(fields[0]) || fields[2] !== 'A') return;
+
+    const point: TracePoint = {
+      latitude: parseNmeaCoordinate(fields[3], fields[4]),
+      longitude: parseNmeaCoordinate(fields[5], fields[6]),
+    };
+
+    const time = fields[1];
+    const date = fields[9];
+    if (time.length >= 6 && date.length === 6) {
+      point.timestamp = Date.UTC(
+        2000 + parseInt(date.slice(4, 6), 10),
+        parseInt(date.slice(2, 4), 10) - 1,
+        parseInt(date.slice(0, 2), 10),
+        parseInt(time.slice(0, 2), 10),
+        parseInt(time.slice(2, 4), 10),
+        parseFloat(time.slice(4))
+      );
+    }
+
+    points.push(point);
+  });
+
+  return points;
+};
+
+/**
+ * Parse a GPX, GeoJSON or NMEA trace into track points
+ * @param text File contents
+ * @param fileName Optional file name, used to detect the format
+ * @returns Valid points in file order
+ */
+export const parseTrace = (text: string, fileName: string = ''): TracePoint[] => {
+  const format = detectTraceFormat(text, fileName);
+
+  let points: TracePoint[];
+  switch (format) {
+    case 'gpx':
+      points = parseGpx(text);
+      break;
+    case 'geojson':
+      points = parseGeoJson(text);
+      break;
+    case 'nmea':
+      points = parseNmea(text);
+      break;
+    default:
+      throw new Error('Unsupported trace format. Use a GPX, GeoJSON or NMEA file.');
+  }
+
+  const validPoints = points.filter((point) =>
+    !isNaN(point.latitude) && !isNaN(point.longitude) &&
+    Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180
+  );
+
+  if (validPoints.length < 2) {
+    throw new Error('The trace must contain at least two points');
+  }
+
+  return validPoints;
+};
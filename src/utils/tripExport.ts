@@ -0,0 +1,293 @@
+import { Breadcrumb, Location, RideRequest, getRideBreadcrumbs } from "@/services/firebaseService";
+import { formatPrice } from "@/utils/priceCalculator";
+import { downloadTextFile, escapeXml } from "@/utils/fileDownload";
+
+export type TripExportFormat = 'gpx' | 'kml' | 'geojson';
+
+/**
+ * A completed ride together with its recorded route
+ */
+export interface ExportableTrip {
+  ride: RideRequest;
+  breadcrumbs: Breadcrumb[];
+}
+
+interface TripPathPoint extends Location {
+  timestamp?: number;
+}
+
+const EXPORT_FILE_TYPES: Record<TripExportFormat, { extension: string; mimeType: string }> = {
+  gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+};
+
+const toIsoTime = (timestamp?: number): string | undefined => {
+  return timestamp ? new Date(timestamp).toISOString() : undefined;
+};
+
+/**
+ * Get the route to export for a trip. Uses the recorded breadcrumbs from the
+ * start of the trip onwards, falling back to a straight pickup-to-destination
+ * line for rides recorded before breadcrumbs existed.
+ */
+const getTripPath = ({ ride, breadcrumbs }: ExportableTrip): TripPathPoint[] => {
+  const tripCrumbs = breadcrumbs.filter((crumb) =>
+    (!ride.startTime || crumb.timestamp >= ride.startTime) &&
+    (!ride.endTime || crumb.timestamp <= ride.endTime)
+  );
+
+  if (tripCrumbs.length >= 2) {
+    return tripCrumbs;
+  }
+
+  const path: TripPathPoint[] = [];
+  const start = ride.startTripLocation || ride.pickupLocation;
+  if (start) path.push({ ...start, timestamp: ride.startTime });
+  if (ride.destinationLocation) path.push({ ...ride.destinationLocation, timestamp: ride.endTime });
+  return path;
+};
+
+/**
+ * Flat metadata describing a trip, shared by all export formats
+ */
+const getTripMetadata = (ride: RideRequest): Record<string, string | number> => {
+  const metadata: Record<string, string | number> = {
+    rideId: ride.id || '',
+    customerName: ride.customerName || '',
+    driverName: ride.driverName || '',
+    pickupAddress: ride.pickupAddress || '',
+    pickupLatitude: ride.pickupLocation?.latitude,
+    pickupLongitude: ride.pickupLocation?.longitude,
+    destinationAddress: ride.destinationAddress || '',
+    destinationLatitude: ride.destinationLocation?.latitude,
+    destinationLongitude: ride.destinationLocation?.longitude,
+    requestTime: toIsoTime(ride.requestTime),
+    acceptTime: toIsoTime(ride.acceptTime),
+    startTime: toIsoTime(ride.startTime),
+    endTime: toIsoTime(ride.endTime),
+    mileage: Number((ride.calculatedMileage || 0).toFixed(2)),
+    fare: ride.settledAmount ?? ride.agreedFare ?? ride.estimatedPrice ?? 0,
+  };
+
+  // Drop fields the ride doesn't have
+  Object.keys(metadata).forEach((key) => {
+    if (metadata[key] === undefined) delete metadata[key];
+  });
+
+  return metadata;
+};
+
+const getTripName = (ride: RideRequest): string => {
+  const date = ride.endTime || ride.startTime || ride.requestTime;
+  return `Trip ${date ? new Date(date).toLocaleString() : ride.id}`;
+};
+
+const getTripDescription = (ride: RideRequest): string => {
+  return [
+    `Pickup: ${ride.pickupAddress || 'Unknown'}`,
+    `Destination: ${ride.destinationAddress || 'Unknown'}`,
+    `Distance: ${(ride.calculatedMileage || 0).toFixed(2)} miles`,
+    `Fare: ${formatPrice(ride.settledAmount ?? ride.agreedFare ?? ride.estimatedPrice ?? 0)}`,
+  ].join('\n');
+};
+
+/**
+ * Build a GPX 1.1 document with one track per trip, plus pickup and
+ * destination waypoints
+ */
+export const tripsToGpx = (trips: ExportableTrip[]): string => {
+  const waypoints: string[] = [];
+  const tracks: string[] = [];
+
+  trips.forEach((trip) => {
+    const { ride } = trip;
+
+    if (ride.pickupLocation) {
+      waypoints.push(
+        `  <wpt lat="${ride.pickupLocation.latitude}" lon="${ride.pickupLocation.longitude}">\n` +
+        (ride.startTime ? `    <time>${toIsoTime(ride.startTime)}</time>\n` : '') +
+        `    <name>Pickup</name>\n` +
+        `    <desc>${escapeXml(ride.pickupAddress || '')}</desc>\n` +
+        `  </wpt>`
+      );
+    }
+    if (ride.destinationLocation) {
+      waypoints.push(
+        `  <wpt lat="${ride.destinationLocation.latitude}" lon="${ride.destinationLocation.longitude}">\n` +
+        (ride.endTime ? `    <time>${toIsoTime(ride.endTime)}</time>\n` : '') +
+        `    <name>Destination</name>\n` +
+        `    <desc>${escapeXml(ride.destinationAddress || '')}</desc>\n` +
+        `  </wpt>`
+      );
+    }
+
+    const points = getTripPath(trip).map((point) =>
+      `      <trkpt lat="${point.latitude}" lon="${point.longitude}">` +
+      (point.timestamp ? `<time>${toIsoTime(point.timestamp)}</time>` : '') +
+      `</trkpt>`
+    );
+
+    tracks.push(
+      `  <trk>\n` +
+      `    <name>${escapeXml(getTripName(ride))}</name>\n` +
+      `    <desc>${escapeXml(getTripDescription(ride))}</desc>\n` +
+      `    <type>ride</type>\n` +
+      `    <trkseg>\n${points.join('\n')}\n    </trkseg>\n` +
+      `  </trk>`
+    );
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="TripTracker" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata>\n    <name>TripTracker trips</name>\n    <time>${new Date().toISOString()}</time>\n  </metadata>`,
+    ...waypoints,
+    ...tracks,
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build a KML document with a folder per trip, holding the route line and
+ * pickup/destination points. Trip metadata goes in ExtendedData.
+ */
+export const tripsToKml = (trips: ExportableTrip[]): string => {
+  const folders = trips.map((trip) => {
+    const { ride } = trip;
+    const metadata = getTripMetadata(ride);
+    const extendedData = Object.keys(metadata)
+      .map((key) => `          <Data name="${key}"><value>${escapeXml(String(metadata[key]))}</value></Data>`)
+      .join('\n');
+    const coordinates = getTripPath(trip)
+      .map((point) => `${point.longitude},${point.latitude},0`)
+      .join(' ');
+
+    const placemarks = [
+      `      <Placemark>\n` +
+      `        <name>${escapeXml(getTripName(ride))}</name>\n` +
+      `        <description>${escapeXml(getTripDescription(ride))}</description>\n` +
+      (ride.startTime && ride.endTime
+        ? `        <TimeSpan><begin>${toIsoTime(ride.startTime)}</begin><end>${toIsoTime(ride.endTime)}</end></TimeSpan>\n`
+        : '') +
+      `        <styleUrl>#route</styleUrl>\n` +
+      `        <ExtendedData>\n${extendedData}\n        </ExtendedData>\n` +
+      `        <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>\n` +
+      `      </Placemark>`,
+    ];
+
+    if (ride.pickupLocation) {
+      placemarks.push(
+        `      <Placemark><name>Pickup</name><description>${escapeXml(ride.pickupAddress || '')}</description>` +
+        `<Point><coordinates>${ride.pickupLocation.longitude},${ride.pickupLocation.latitude},0</coordinates></Point></Placemark>`
+      );
+    }
+    if (ride.destinationLocation) {
+      placemarks.push(
+        `      <Placemark><name>Destination</name><description>${escapeXml(ride.destinationAddress || '')}</description>` +
+        `<Point><coordinates>${ride.destinationLocation.longitude},${ride.destinationLocation.latitude},0</coordinates></Point></Placemark>`
+      );
+    }
+
+    return `    <Folder>\n      <name>${escapeXml(getTripName(ride))}</name>\n${placemarks.join('\n')}\n    </Folder>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>TripTracker trips</name>',
+    '    <Style id="route"><LineStyle><color>ffeb6325</color><width>4</width></LineStyle></Style>',
+    ...folders,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build a GeoJSON FeatureCollection with a LineString feature per trip
+ * (metadata in its properties, point times in `coordTimes`) and point
+ * features for pickup and destination
+ */
+export const tripsToGeoJson = (trips: ExportableTrip[]): string => {
+  const features: object[] = [];
+
+  trips.forEach((trip) => {
+    const { ride } = trip;
+    const metadata = getTripMetadata(ride);
+    const path = getTripPath(trip);
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: path.map((point) => [point.longitude, point.latitude]),
+      },
+      properties: {
+        ...metadata,
+        name: getTripName(ride),
+        coordTimes: path.every((point) => point.timestamp)
+          ? path.map((point) => toIsoTime(point.timestamp))
+          : undefined,
+      },
+    });
+
+    if (ride.pickupLocation) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [ride.pickupLocation.longitude, ride.pickupLocation.latitude] },
+        properties: { rideId: ride.id, role: 'pickup', address: ride.pickupAddress || '' },
+      });
+    }
+    if (ride.destinationLocation) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [ride.destinationLocation.longitude, ride.destinationLocation.latitude] },
+        properties: { rideId: ride.id, role: 'destination', address: ride.destinationAddress || '' },
+      });
+    }
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+};
+
+/**
+ * Serialize trips in the requested format
+ */
+export const serializeTrips = (trips: ExportableTrip[], format: TripExportFormat): string => {
+  switch (format) {
+    case 'gpx':
+      return tripsToGpx(trips);
+    case 'kml':
+      return tripsToKml(trips);
+    case 'geojson':
+      return tripsToGeoJson(trips);
+  }
+};
+
+/**
+ * Load the recorded routes for the given rides and download them as a single file
+ * @param rides Completed rides to export
+ * @param format GPX, KML or GeoJSON
+ */
+export const exportTrips = async (rides: RideRequest[], format: TripExportFormat): Promise<void> => {
+  if (rides.length === 0) {
+    throw new Error('There are no trips to export');
+  }
+
+  const trips: ExportableTrip[] = await Promise.all(
+    rides.map(async (ride) => ({
+      ride,
+      breadcrumbs: ride.id ? await getRideBreadcrumbs(ride.id) : [],
+    }))
+  );
+
+  const { extension, mimeType } = EXPORT_FILE_TYPES[format];
+  const fileName = rides.length === 1
+    ? `trip-${rides[0].id}.${extension}`
+    : `trips-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  downloadTextFile(serializeTrips(trips, format), fileName, mimeType);
+};
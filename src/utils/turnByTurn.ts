@@ -0,0 +1,139 @@
+import type { Location } from "@/services/firebaseService";
+import type { RouteStep } from "@/services/routingService";
+import { calculateDistance } from "@/utils/distanceCalculator";
+
+/**
+ * Turn-by-turn guidance: which maneuver the driver is heading for along a
+ * route, how far away it is, and how to describe it on screen and out loud.
+ */
+
+// Within this distance of a maneuver point, the driver has made the maneuver
+export const MANEUVER_PASSED_RADIUS_MILES = 0.02;
+
+// A maneuver is announced when it comes up, then again once it's this close
+export const FINAL_PROMPT_DISTANCE_MILES = 0.1;
+
+export interface Guidance {
+  stepIndex: number; // index of the step whose maneuver is next
+  step: RouteStep;
+  distanceMiles: number; // from the driver to the maneuver
+  nextStep?: RouteStep; // the maneuver after, for "then ..." hints
+}
+
+const COMPASS_POINTS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+const toCompassPoint = (bearing: number) => COMPASS_POINTS[Math.round(bearing / 45) % 8];
+
+const toOrdinal = (n: number) => {
+  const suffixes: Record<number, string> = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = n % 100;
+  return `${n}${lastTwo >= 11 && lastTwo <= 13 ? 'th' : suffixes[n % 10] || 'th'}`;
+};
+
+// "Turn left", "Turn slight right", "Make a U-turn"...
+const describeTurn = (modifier: string | undefined) => {
+  if (modifier === 'uturn') return 'Make a U-turn';
+  if (!modifier || modifier === 'straight') return 'Continue straight';
+  return `Turn ${modifier}`;
+};
+
+// "left" or "right" for forks, ramps and merges, ignoring "slight" and "sharp"
+const toSide = (modifier: string | undefined) => {
+  if (modifier?.includes('left')) return 'left';
+  if (modifier?.includes('right')) return 'right';
+  return undefined;
+};
+
+/**
+ * Instruction for a route step, e.g. "Turn left onto Main St"
+ * @param arrivalName What the route leads to, for the last step
+ */
+export const describeRouteStep = (step: RouteStep, arrivalName: string = 'your destination'): string => {
+  const { type, modifier, bearingAfter, exit } = step.maneuver;
+  const onto = step.roadName ? ` onto ${step.roadName}` : '';
+  const side = toSide(modifier);
+
+  switch (type) {
+    case 'depart': {
+      const heading = bearingAfter !== undefined ? `Head ${toCompassPoint(bearingAfter)}` : 'Start driving';
+      return step.roadName ? `${heading} on ${step.roadName}` : `${heading} toward ${arrivalName}`;
+    }
+    case 'arrive':
+      return `Arrive at ${arrivalName}`;
+    case 'continue':
+    case 'new name':
+      return `Continue${onto}`;
+    case 'merge':
+      return `Merge${side ? ` ${side}` : ''}${onto}`;
+    case 'on ramp':
+      return `Take the ramp${side ? ` on the ${side}` : ''}${onto}`;
+    case 'off ramp':
+      return `Take the exit${side ? ` on the ${side}` : ''}${onto}`;
+    case 'fork':
+      return `Keep ${side || 'straight'} at the fork${onto}`;
+    case 'roundabout':
+    case 'rotary':
+      return exit ? `At the roundabout, take the ${toOrdinal(exit)} exit${onto}` : `Enter the roundabout${onto}`;
+    case 'exit roundabout':
+    case 'exit rotary':
+      return `Exit the roundabout${onto}`;
+    default:
+      // turn, end of road, and anything newer OSRM may send
+      return `${describeTurn(modifier)}${onto}`;
+  }
+};
+
+/**
+ * Find the maneuver the driver is heading for
+ * @param steps Route steps; the first is the departure, so guidance starts at the second
+ * @param fromIndex Step the driver was last heading for. Guidance only moves forward
+ * along a route, passing each maneuver once the driver reaches it.
+ */
+export const getGuidance = (steps: RouteStep[], position: Location, fromIndex: number = 1): Guidance | null => {
+  if (steps.length === 0) return null;
+
+  let stepIndex = Math.min(Math.max(fromIndex, 1), steps.length - 1);
+  while (
+    stepIndex < steps.length - 1 &&
+    calculateDistance(position, steps[stepIndex].location) <= MANEUVER_PASSED_RADIUS_MILES
+  ) {
+    stepIndex++;
+  }
+
+  return {
+    stepIndex,
+    step: steps[stepIndex],
+    distanceMiles: calculateDistance(position, steps[stepIndex].location),
+    nextStep: steps[stepIndex + 1],
+  };
+};
+
+/**
+ * Distance to a maneuver for the banner: feet when close, miles otherwise
+ */
+export const formatGuidanceDistance = (miles: number): string => {
+  if (miles < 0.1) {
+    return `${Math.max(50, Math.round((miles * 5280) / 50) * 50)} ft`;
+  }
+  return `${miles.toFixed(1)} mi`;
+};
+
+const formatSpokenDistance = (miles: number): string => {
+  if (miles < 0.1) {
+    return `${Math.max(50, Math.round((miles * 5280) / 50) * 50)} feet`;
+  }
+  const rounded = Number(miles.toFixed(1));
+  return `${rounded} ${rounded === 1 ? 'mile' : 'miles'}`;
+};
+
+/**
+ * What to say for the upcoming maneuver: a heads-up when it comes up, and the
+ * instruction alone once it's close
+ */
+export const getGuidancePrompt = (guidance: Guidance, arrivalName?: string): string => {
+  const instruction = describeRouteStep(guidance.step, arrivalName);
+  if (guidance.distanceMiles <= FINAL_PROMPT_DISTANCE_MILES) {
+    return instruction;
+  }
+  return `In ${formatSpokenDistance(guidance.distanceMiles)}, ${instruction.charAt(0).toLowerCase()}${instruction.slice(1)}`;
+};
@@ -1 +1,12 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  // Base URL of an OSRM-compatible routing server; without one, routes are straight lines
+  readonly VITE_ROUTING_URL?: string;
+  // "enabled" to offer simulated locations (trace replay) outside development builds
+  readonly VITE_LOCATION_SIMULATION?: string;
+}
+
+interface ImportMeta {
+  readonly env: ImportMetaEnv;
+}